@@ -10,11 +10,21 @@
  * - SimilarArtistsRun: Find similar artists (Last.fm artist.getSimilar API)
  * - SimilarTracksRun: Find similar tracks (Last.fm track.getSimilar API)
  * - SimilarGenreRun: Find artists in same genre (Last.fm tag.getTopArtists API)
+ * - SimilarAlbumsRun: Find whole albums by similar artists (Last.fm artist.getTopAlbums API)
+ * - SimilarJourneyRun: Path between the selected artists (Last.fm artist.getSimilar API)
+ * - SimilarLocalRun: Find related tracks using only the library (works offline)
  * - SimilarReccoRun: Find similar tracks using ReccoBeats (requires seed tracks)
- * - SimilarMood*: Find tracks by mood preset
- * - SimilarActivity*: Find tracks by activity preset
+ * - SimilarHybridRun: Merge Last.fm and ReccoBeats candidates with a weighted score (requires seed tracks)
+ * - Seed from Playlist: Run a mode with seeds sampled from a whole playlist
+ * - SimilarMood*: Find tracks by built-in mood preset (hotkeys, hidden once the preset is deleted)
+ * - SimilarActivity*: Find tracks by built-in activity preset (hotkeys, hidden once the preset is deleted)
+ * 
+ * The Mood and Activity submenus are built from the user's preset list
+ * (Options > Match Monkey > Mood & Activity Presets) each time they open.
  * - MatchMonkeyToggleAuto: Toggle auto-queue mode on/off
  * - MatchMonkeyClearCache: Clear Last.fm and ReccoBeats API response caches
+ * - MatchMonkeyPinRadioAnchors: Pin the selected tracks as anchored radio seeds
+ * - MatchMonkeyRadioAnchors: View, edit or clear the anchored radio seeds
  * 
  * @author Remo Imparato
 
@@ -83,23 +93,19 @@ actions.similarGenreRun = {
 	getTracklist: uitools.getSelectedTracklist
 };
 
-// ============================================================================
-// ACTION DEFINITIONS - ReccoBeats Based
-// ============================================================================
-
 /**
- * Run Similar Recco action (ReccoBeats - requires seed tracks)
- * Uses selected tracks to find Similar Acoustics recommendations
+ * Run Similar Albums action (Last.fm)
+ * Finds whole albums in the library by artists similar to the selection's artists
  */
-actions.similarReccoRun = {
-	title: _('Similar A&coustics'),
-	icon: 'analyzeWaveform',
+actions.similarAlbumsRun = {
+	title: _('Similar Al&bums'),
+	icon: 'album',
 	hotkeyAble: true,
 	visible: true,
 	disabled: uitools.notMediaListSelected,
 	execute: function () {
 		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'acoustics');
+			window.matchMonkey.runMatchMonkey(false, 'album');
 		} else {
 			console.error('Match Monkey: Add-on not loaded');
 		}
@@ -107,413 +113,172 @@ actions.similarReccoRun = {
 	getTracklist: uitools.getSelectedTracklist
 };
 
-// ============================================================================
-// MOOD ACTIONS - Use predefined audio profiles
-// ============================================================================
-
-actions.similarMoodEnergetic = {
-	title: _('&Energetic'),
-	icon: 'actor',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find upbeat, high‑energy tracks'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'mood', { moodActivityValue: 'energetic' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarMoodRelaxed = {
-	title: _('&Relaxed'),
-	icon: 'actor',
+/**
+ * Run Artist Journey action (Last.fm)
+ * Plays a path of similar artists from the first selected artist to the last
+ */
+actions.similarJourneyRun = {
+	title: _('Artist &Journey'),
+	icon: 'artist',
 	hotkeyAble: true,
 	visible: true,
 	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find calm, mellow, laid‑back music'),
 	execute: function () {
 		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'mood', { moodActivityValue: 'relaxed' });
+			window.matchMonkey.runMatchMonkey(false, 'journey');
 		} else {
 			console.error('Match Monkey: Add-on not loaded');
 		}
-	}
+	},
+	getTracklist: uitools.getSelectedTracklist
 };
 
-actions.similarMoodHappy = {
-	title: _('&Happy'),
-	icon: 'actor',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find bright, cheerful, feel‑good songs'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'mood', { moodActivityValue: 'happy' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
+// ============================================================================
+// ACTION DEFINITIONS - ReccoBeats Based
+// ============================================================================
 
-actions.similarMoodSad = {
-	title: _('&Sad'),
-	icon: 'actor',
+/**
+ * Run Similar Recco action (ReccoBeats - requires seed tracks)
+ * Uses selected tracks to find Similar Acoustics recommendations
+ */
+actions.similarReccoRun = {
+	title: _('Similar A&coustics'),
+	icon: 'analyzeWaveform',
 	hotkeyAble: true,
 	visible: true,
 	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find emotional, soft, slower tracks'),
 	execute: function () {
 		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'mood', { moodActivityValue: 'sad' });
+			window.matchMonkey.runMatchMonkey(false, 'acoustics');
 		} else {
 			console.error('Match Monkey: Add-on not loaded');
 		}
-	}
+	},
+	getTracklist: uitools.getSelectedTracklist
 };
 
-actions.similarMoodFocused = {
-	title: _('&Focused'),
-	icon: 'actor',
+/**
+ * Run Similar Hybrid action (Last.fm + ReccoBeats - requires seed tracks)
+ * Merges Last.fm and ReccoBeats candidates for the selected tracks
+ */
+actions.similarHybridRun = {
+	title: _('Similar &Hybrid'),
+	icon: 'analyzeWaveform',
 	hotkeyAble: true,
 	visible: true,
 	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find steady, minimal, focus‑friendly music'),
 	execute: function () {
 		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'mood', { moodActivityValue: 'focused' });
+			window.matchMonkey.runMatchMonkey(false, 'hybrid');
 		} else {
 			console.error('Match Monkey: Add-on not loaded');
 		}
-	}
+	},
+	getTracklist: uitools.getSelectedTracklist
 };
 
-actions.similarMoodAngry = {
-	title: _('&Angry'),
-	icon: 'actor',
+/**
+ * Run Local Library action (no online services)
+ * Finds related tracks by genre, year, album artist, composer, BPM and shared playlists
+ */
+actions.similarLocalRun = {
+	title: _('&Local Library (Offline)'),
+	icon: 'search',
 	hotkeyAble: true,
 	visible: true,
 	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find intense, high‑energy tracks'),
 	execute: function () {
 		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'mood', { moodActivityValue: 'angry' });
+			window.matchMonkey.runMatchMonkey(false, 'local');
 		} else {
 			console.error('Match Monkey: Add-on not loaded');
 		}
-	}
+	},
+	getTracklist: uitools.getSelectedTracklist
 };
 
-actions.similarMoodRomantic = {
-	title: _('R&omantic'),
-	icon: 'actor',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find warm, smooth, intimate songs'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'mood', { moodActivityValue: 'romantic' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
+// ============================================================================
+// MOOD ACTIONS - Use predefined audio profiles
+// ============================================================================
 
-actions.similarMoodUplifting = {
-	title: _('&Uplifting'),
-	icon: 'actor',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find inspiring, positive, feel‑good music'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'mood', { moodActivityValue: 'uplifting' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
+/**
+ * Find a mood or activity preset in the user's current preset list.
+ * @param {string} type 'mood' or 'activity'
+ * @param {string} id Preset id
+ * @returns {object|null|undefined} The preset, null once it was deleted in Options,
+ *          undefined while the add-on modules are not loaded
+ */
+function findPreset(type, id) {
+	var moodActivity = window.matchMonkeyMoodActivityDiscovery;
+	if (!moodActivity || typeof moodActivity.getPresets !== 'function') return undefined;
+	return moodActivity.getPresets(type).filter(function (preset) { return preset.id === id; })[0] || null;
+}
 
-actions.similarMoodDark = {
-	title: _('&Dark'),
-	icon: 'actor',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find moody, atmospheric, brooding tracks'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'mood', { moodActivityValue: 'dark' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
+/**
+ * Create the hotkey action for a built-in mood or activity preset.
+ * It follows the preset list: a renamed preset shows its new name, and a deleted
+ * preset hides the action instead of failing with an unknown preset.
+ * @param {string} type 'mood' or 'activity'
+ * @param {string} id Built-in preset id
+ * @param {string} title Default title (with accelerator)
+ * @param {string} tooltip Tooltip text
+ * @returns {object} Action
+ */
+function createPresetAction(type, id, title, tooltip) {
+	return {
+		title: function () {
+			var preset = findPreset(type, id);
+			return preset && preset.name !== title.replace('&', '') ? preset.name : title;
+		},
+		icon: type === 'mood' ? 'actor' : 'mediamonkey',
+		hotkeyAble: true,
+		visible: function () {
+			return findPreset(type, id) !== null;
+		},
+		disabled: uitools.notMediaListSelected,
+		tooltip: tooltip,
+		execute: function () {
+			if (!window.matchMonkey || !window.matchMonkey.runMatchMonkey) {
+				console.error('Match Monkey: Add-on not loaded');
+			} else if (findPreset(type, id) === null) {
+				console.warn('Match Monkey: ' + type + ' preset "' + id + '" was deleted');
+			} else {
+				window.matchMonkey.runMatchMonkey(false, type, { moodActivityValue: id });
+			}
 		}
-	}
-};
+	};
+}
 
-actions.similarHypeSports = {
-	title: _('&Hype Sports'),
-	icon: 'actor',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find high-energy, adrenaline-pumping hype tracks for sports'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'hype_sports' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
+actions.similarMoodEnergetic = createPresetAction('mood', 'energetic', _('&Energetic'), _('Find upbeat, high‑energy tracks'));
+actions.similarMoodRelaxed = createPresetAction('mood', 'relaxed', _('&Relaxed'), _('Find calm, mellow, laid‑back music'));
+actions.similarMoodHappy = createPresetAction('mood', 'happy', _('&Happy'), _('Find bright, cheerful, feel‑good songs'));
+actions.similarMoodSad = createPresetAction('mood', 'sad', _('&Sad'), _('Find emotional, soft, slower tracks'));
+actions.similarMoodFocused = createPresetAction('mood', 'focused', _('&Focused'), _('Find steady, minimal, focus‑friendly music'));
+actions.similarMoodAngry = createPresetAction('mood', 'angry', _('&Angry'), _('Find intense, high‑energy tracks'));
+actions.similarMoodRomantic = createPresetAction('mood', 'romantic', _('R&omantic'), _('Find warm, smooth, intimate songs'));
+actions.similarMoodUplifting = createPresetAction('mood', 'uplifting', _('&Uplifting'), _('Find inspiring, positive, feel‑good music'));
+actions.similarMoodDark = createPresetAction('mood', 'dark', _('&Dark'), _('Find moody, atmospheric, brooding tracks'));
+actions.similarHypeSports = createPresetAction('activity', 'hype_sports', _('&Hype Sports'), _('Find high-energy, adrenaline-pumping hype tracks for sports'));
 
 // ============================================================================
 // ACTIVITY ACTIONS - Use predefined audio profiles
 // ============================================================================
 
-actions.similarActivityCardio = {
-	title: _('High &Energy'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find fast, high\u2011energy tracks'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'cardio' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityCleaning = {
-	title: _('C&leaning'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find rhythmic, motivating cleaning tracks'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'cleaning' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityCooking = {
-	title: _('C&ooking'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find pleasant, upbeat cooking music'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'cooking' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityDriving = {
-	title: _('&Driving'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find steady, melodic driving tracks'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'driving' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityEveningWinddown = {
-	title: _('&Winddown'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find calm, soothing music to wind down'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'evening_winddown' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityFocusWork = {
-	title: _('&Focus Work'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find minimal, instrumental focus music'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'focus_work' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityGaming = {
-	title: _('&Gaming'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find immersive, energetic gaming music'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'gaming' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityGettingReady = {
-	title: _('Getting &Ready'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find upbeat, danceable getting\u2011ready tracks'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'getting_ready' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityHiit = {
-	title: _('&HIIT'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find intense, fast\u2011paced HIIT tracks'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'hiit' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityMeditation = {
-	title: _('&Meditation'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find peaceful, ambient meditation music'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'meditation' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityParty = {
-	title: _('&Party'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find fun, dance\u2011ready party songs'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'party' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityRoadTrip = {
-	title: _('Road &Trip'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find sing\u2011along, feel\u2011good road trip music'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'road_trip' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivitySleep = {
-	title: _('&Sleep'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find soft, quiet, sleep\u2011friendly music'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'sleep' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityWalking = {
-	title: _('&Walking'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find smooth, mid\u2011tempo walking music'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'walking' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
-
-actions.similarActivityYoga = {
-	title: _('&Yoga'),
-	icon: 'mediamonkey',
-	hotkeyAble: true,
-	visible: true,
-	disabled: uitools.notMediaListSelected,
-	tooltip: _('Find gentle, flowing yoga music'),
-	execute: function () {
-		if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
-			window.matchMonkey.runMatchMonkey(false, 'activity', { moodActivityValue: 'yoga' });
-		} else {
-			console.error('Match Monkey: Add-on not loaded');
-		}
-	}
-};
+actions.similarActivityCardio = createPresetAction('activity', 'cardio', _('High &Energy'), _('Find fast, high\u2011energy tracks'));
+actions.similarActivityCleaning = createPresetAction('activity', 'cleaning', _('C&leaning'), _('Find rhythmic, motivating cleaning tracks'));
+actions.similarActivityCooking = createPresetAction('activity', 'cooking', _('C&ooking'), _('Find pleasant, upbeat cooking music'));
+actions.similarActivityDriving = createPresetAction('activity', 'driving', _('&Driving'), _('Find steady, melodic driving tracks'));
+actions.similarActivityEveningWinddown = createPresetAction('activity', 'evening_winddown', _('&Winddown'), _('Find calm, soothing music to wind down'));
+actions.similarActivityFocusWork = createPresetAction('activity', 'focus_work', _('&Focus Work'), _('Find minimal, instrumental focus music'));
+actions.similarActivityGaming = createPresetAction('activity', 'gaming', _('&Gaming'), _('Find immersive, energetic gaming music'));
+actions.similarActivityGettingReady = createPresetAction('activity', 'getting_ready', _('Getting &Ready'), _('Find upbeat, danceable getting\u2011ready tracks'));
+actions.similarActivityHiit = createPresetAction('activity', 'hiit', _('&HIIT'), _('Find intense, fast\u2011paced HIIT tracks'));
+actions.similarActivityMeditation = createPresetAction('activity', 'meditation', _('&Meditation'), _('Find peaceful, ambient meditation music'));
+actions.similarActivityParty = createPresetAction('activity', 'party', _('&Party'), _('Find fun, dance\u2011ready party songs'));
+actions.similarActivityRoadTrip = createPresetAction('activity', 'road_trip', _('Road &Trip'), _('Find sing\u2011along, feel\u2011good road trip music'));
+actions.similarActivitySleep = createPresetAction('activity', 'sleep', _('&Sleep'), _('Find soft, quiet, sleep\u2011friendly music'));
+actions.similarActivityWalking = createPresetAction('activity', 'walking', _('&Walking'), _('Find smooth, mid\u2011tempo walking music'));
+actions.similarActivityYoga = createPresetAction('activity', 'yoga', _('&Yoga'), _('Find gentle, flowing yoga music'));
 
 // ============================================================================
 // AUTO-MODE ACTION
@@ -593,6 +358,59 @@ actions.matchMonkeyClearCache = {
 	}
 };
 
+// ============================================================================
+// ANCHORED RADIO ACTIONS
+// ============================================================================
+
+/**
+ * Pin Radio Anchors action
+ * Pins the selected tracks (or the playing track) as the anchored radio seeds
+ */
+actions.matchMonkeyPinRadioAnchors = {
+	title: _('&Pin Selection as Radio Anchors'),
+	icon: 'script',
+	hotkeyAble: true,
+	visible: true,
+	disabled: false,
+	tooltip: _('Use the selected tracks as the fixed seeds of the auto-queue radio'),
+
+	execute: function () {
+		if (window.matchMonkey && window.matchMonkey.pinRadioAnchors) {
+			window.matchMonkey.pinRadioAnchors();
+		} else {
+			console.error('Match Monkey: Add-on not loaded');
+		}
+	},
+	getTracklist: uitools.getSelectedTracklist
+};
+
+/**
+ * Radio Anchors action
+ * Opens the Radio Anchors dialog
+ */
+actions.matchMonkeyRadioAnchors = {
+	title: _('Radio A&nchors...'),
+	icon: 'search',
+	hotkeyAble: true,
+	visible: true,
+	disabled: false,
+	tooltip: _('View, edit or clear the anchored radio seeds'),
+
+	execute: function () {
+		try {
+			if (typeof uitools !== 'undefined' && uitools.openDialog) {
+				uitools.openDialog('dlgRadioAnchors', {
+					modal: true
+				});
+			} else {
+				console.error('Match Monkey: uitools.openDialog not available');
+			}
+		} catch (e) {
+			console.error('Match Monkey: Error opening radio anchors dialog:', e);
+		}
+	}
+};
+
 // ============================================================================
 // VIEW MISSED RESULTS ACTION
 // ============================================================================
@@ -636,12 +454,56 @@ actions.matchMonkeyViewMissedResults = {
 	}
 };
 
+// ============================================================================
+// SEED FROM PLAYLIST
+// ============================================================================
+
+/**
+ * Build a Seed from Playlist entry: asks for a playlist, then runs the mode
+ * with seeds sampled from the whole playlist.
+ * @param {string} title Menu title
+ * @param {string} icon Menu icon
+ * @param {string} mode Discovery mode
+ * @returns {object} Action
+ */
+function createPlaylistSeedAction(title, icon, mode) {
+	return {
+		title: title,
+		icon: icon,
+		visible: true,
+		disabled: false,
+		execute: function () {
+			if (window.matchMonkey && window.matchMonkey.runFromPlaylist) {
+				window.matchMonkey.runFromPlaylist(mode);
+			} else {
+				console.error('Match Monkey: Add-on not loaded');
+			}
+		}
+	};
+}
+
+// Seed from Playlist submenu items (same order as the main Match Monkey menu)
+var playlistSeedSubmenuItems = [
+	{ action: createPlaylistSeedAction(_('Similar &Tracks'), 'song', 'track'), order: 10 },
+	{ action: createPlaylistSeedAction(_('Similar &Artists'), 'artist', 'artist'), order: 20 },
+	{ action: createPlaylistSeedAction(_('Similar &Genre'), 'genre', 'genre'), order: 30 },
+	{ action: createPlaylistSeedAction(_('Similar Al&bums'), 'album', 'album'), order: 35 },
+	{ action: createPlaylistSeedAction(_('Artist &Journey'), 'artist', 'journey'), order: 37 },
+	{ separator: true, order: 40 },
+	{ action: createPlaylistSeedAction(_('Similar A&coustics'), 'analyzeWaveform', 'acoustics'), order: 50 },
+	{ action: createPlaylistSeedAction(_('Similar &Hybrid'), 'analyzeWaveform', 'hybrid'), order: 55 },
+	{ action: createPlaylistSeedAction(_('&Mood (Default Preset)'), 'actor', 'mood'), order: 60 },
+	{ action: createPlaylistSeedAction(_('A&ctivity (Default Preset)'), 'mediamonkey', 'activity'), order: 70 },
+	{ separator: true, order: 72 },
+	{ action: createPlaylistSeedAction(_('&Local Library (Offline)'), 'search', 'local'), order: 75 }
+];
+
 // ============================================================================
 // TOOLS MENU REGISTRATION - Using Submenu
 // ============================================================================
 
 
-// Mood submenu items
+// Mood submenu items (fallback when the add-on modules are not loaded)
 var moodSubmenuItems = [
 	{ action: actions.similarMoodAngry, order: 10 },
 	{ action: actions.similarMoodDark, order: 20 },
@@ -674,6 +536,68 @@ var activitySubmenuItems = [
 	{ action: actions.similarActivityYoga, order: 150 }
 ];
 
+// Actions of the built-in presets, reused in the menus so they keep their accelerators
+var builtInPresetActions = {
+	mood: {
+		angry: actions.similarMoodAngry,
+		dark: actions.similarMoodDark,
+		energetic: actions.similarMoodEnergetic,
+		focused: actions.similarMoodFocused,
+		happy: actions.similarMoodHappy,
+		relaxed: actions.similarMoodRelaxed,
+		romantic: actions.similarMoodRomantic,
+		sad: actions.similarMoodSad,
+		uplifting: actions.similarMoodUplifting
+	},
+	activity: {
+		cardio: actions.similarActivityCardio,
+		cleaning: actions.similarActivityCleaning,
+		cooking: actions.similarActivityCooking,
+		driving: actions.similarActivityDriving,
+		evening_winddown: actions.similarActivityEveningWinddown,
+		focus_work: actions.similarActivityFocusWork,
+		gaming: actions.similarActivityGaming,
+		getting_ready: actions.similarActivityGettingReady,
+		hiit: actions.similarActivityHiit,
+		hype_sports: actions.similarHypeSports,
+		meditation: actions.similarActivityMeditation,
+		party: actions.similarActivityParty,
+		road_trip: actions.similarActivityRoadTrip,
+		sleep: actions.similarActivitySleep,
+		walking: actions.similarActivityWalking,
+		yoga: actions.similarActivityYoga
+	}
+};
+
+/**
+ * Build Mood or Activity submenu items from the current preset list.
+ * @param {string} type 'mood' or 'activity'
+ * @returns {Array} Menu items
+ */
+function getPresetSubmenuItems(type) {
+	var moodActivity = window.matchMonkeyMoodActivityDiscovery;
+	if (!moodActivity || typeof moodActivity.getPresets !== 'function') {
+		return type === 'mood' ? moodSubmenuItems : activitySubmenuItems;
+	}
+
+	return moodActivity.getPresets(type).map(function (preset, i) {
+		var action = builtInPresetActions[type][preset.id] || {
+			title: preset.name,
+			icon: type === 'mood' ? 'actor' : 'mediamonkey',
+			visible: true,
+			disabled: uitools.notMediaListSelected,
+			execute: function () {
+				if (window.matchMonkey && window.matchMonkey.runMatchMonkey) {
+					window.matchMonkey.runMatchMonkey(false, type, { moodActivityValue: preset.id });
+				} else {
+					console.error('Match Monkey: Add-on not loaded');
+				}
+			}
+		};
+		return { action: action, order: (i + 1) * 10 };
+	});
+}
+
 // Match Monkey submenu for Tools menu
 _menuItems.tools.action.submenu.push({
 	action: {
@@ -684,14 +608,17 @@ _menuItems.tools.action.submenu.push({
 			{ action: actions.similarTracksRun, order: 10 },
 			{ action: actions.similarArtistsRun, order: 20 },
 			{ action: actions.similarGenreRun, order: 30 },
+			{ action: actions.similarAlbumsRun, order: 35 },
+			{ action: actions.similarJourneyRun, order: 37 },
 			{ separator: true, order: 40 },
 			{ action: actions.similarReccoRun, order: 50 },
+			{ action: actions.similarHybridRun, order: 55 },
 			{
 				action: {
 					title: _('&Mood'),
 					icon: 'actor',
 					visible: true,
-					submenu: moodSubmenuItems
+					submenu: function () { return getPresetSubmenuItems('mood'); }
 				},
 				order: 60
 			},
@@ -700,12 +627,25 @@ _menuItems.tools.action.submenu.push({
 					title: _('&Activity'),
 					icon: 'mediamonkey',
 					visible: true,
-					submenu: activitySubmenuItems
+					submenu: function () { return getPresetSubmenuItems('activity'); }
 				},
 				order: 70
 			},
+			{ separator: true, order: 72 },
+			{ action: actions.similarLocalRun, order: 75 },
+			{
+				action: {
+					title: _('Seed from &Playlist...'),
+					icon: 'playlist',
+					visible: true,
+					submenu: playlistSeedSubmenuItems
+				},
+				order: 77
+			},
 			{ separator: true, order: 80 },
 			{ action: actions.matchMonkeyToggleAuto, order: 90 },
+			{ action: actions.matchMonkeyPinRadioAnchors, order: 92 },
+			{ action: actions.matchMonkeyRadioAnchors, order: 93 },
 			{ separator: true, order: 95 },
 			{ action: actions.matchMonkeyViewMissedResults, order: 96 },
 			//{ action: actions.matchMonkeyClearCache, order: 100 }
@@ -736,14 +676,17 @@ if (!window.menus) {
 				{ action: actions.similarTracksRun, order: 10 },
 				{ action: actions.similarArtistsRun, order: 20 },
 				{ action: actions.similarGenreRun, order: 30 },
+				{ action: actions.similarAlbumsRun, order: 35 },
+				{ action: actions.similarJourneyRun, order: 37 },
 				{ separator: true, order: 40 },
 				{ action: actions.similarReccoRun, order: 50 },
+				{ action: actions.similarHybridRun, order: 55 },
 				{
 					action: {
 						title: _('&Mood'),
 						icon: 'actor',
 						visible: true,
-						submenu: moodSubmenuItems
+						submenu: function () { return getPresetSubmenuItems('mood'); }
 					},
 					order: 60
 				},
@@ -752,9 +695,20 @@ if (!window.menus) {
 						title: _('&Activity'),
 						icon: 'mediamonkey',
 						visible: true,
-						submenu: activitySubmenuItems
+						submenu: function () { return getPresetSubmenuItems('activity'); }
 					},
 					order: 70
+				},
+				{ separator: true, order: 72 },
+				{ action: actions.similarLocalRun, order: 75 },
+				{
+					action: {
+						title: _('Seed from &Playlist...'),
+						icon: 'playlist',
+						visible: true,
+						submenu: playlistSeedSubmenuItems
+					},
+					order: 77
 				}
 			]
 		},
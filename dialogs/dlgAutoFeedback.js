@@ -0,0 +1,141 @@
+/**
+ * MatchMonkey Auto-Queue Feedback Dialog
+ *
+ * Lists the skip/completion feedback auto-queue has learned per artist and seed,
+ * and lets the user reset it. Reads and writes the `MatchMonkeyAutoFeedback`
+ * app value directly (the auto-mode module is not loaded in dialog windows):
+ *   { artists: { KEY: {name, skips, completes} }, seeds: { KEY: {name, skips, completes} } }
+ *
+ * @author Remo Imparato
+ */
+
+'use strict';
+
+requirejs('controls/gridview');
+requirejs('helpers/arraydatasource');
+
+const FEEDBACK_STORAGE_KEY = 'MatchMonkeyAutoFeedback';
+
+let UI = null;
+let dataSource = null;
+
+// Field definitions for the grid
+const fieldDefs = {
+	type: {
+		title: 'Type',
+		bindData: (div, item) => {
+			div.innerText = item.type;
+		},
+		columnType: 'type'
+	},
+	name: {
+		title: 'Artist / Seed',
+		bindData: (div, item) => {
+			div.innerText = item.name || '';
+		},
+		columnType: 'name'
+	},
+	score: {
+		title: 'Score',
+		bindData: (div, item) => {
+			div.innerText = item.score > 0 ? `+${item.score}` : String(item.score);
+		},
+		columnType: 'score'
+	},
+	skips: {
+		title: 'Skips',
+		bindData: (div, item) => {
+			div.innerText = String(item.skips);
+		},
+		columnType: 'skips'
+	},
+	completes: {
+		title: 'Played Through',
+		bindData: (div, item) => {
+			div.innerText = String(item.completes);
+		},
+		columnType: 'completes'
+	}
+};
+
+const columns = [
+	{ width: 70, title: fieldDefs.type.title, bindData: fieldDefs.type.bindData, columnType: 'type' },
+	{ width: 260, title: fieldDefs.name.title, bindData: fieldDefs.name.bindData, columnType: 'name' },
+	{ width: 70, title: fieldDefs.score.title, bindData: fieldDefs.score.bindData, columnType: 'score' },
+	{ width: 70, title: fieldDefs.skips.title, bindData: fieldDefs.skips.bindData, columnType: 'skips' },
+	{ width: 110, title: fieldDefs.completes.title, bindData: fieldDefs.completes.bindData, columnType: 'completes' }
+];
+
+async function init(params) {
+	await initDialog(params);
+}
+
+async function initDialog(params) {
+	title = 'Auto-Queue Feedback - MatchMonkey';
+
+	UI = getAllUIElements();
+
+	const rows = loadFeedbackRows();
+	console.log(`dlgAutoFeedback: Loaded ${rows.length} feedback entries`);
+
+	dataSource = new ArrayDataSource(rows);
+	const gridView = UI.gvFeedback.controlClass;
+	gridView.dataSource = dataSource;
+	gridView.fieldDefs = fieldDefs;
+	gridView.setColumns(columns);
+	dataSource.setAutoSort('score ASC');
+
+	UI.entryCount.innerText = rows.length.toString();
+
+	window.localListen(UI.btnReset, 'click', () => {
+		resetFeedback();
+	});
+
+	window.localListen(UI.btnClose, 'click', () => {
+		closeWindow();
+	});
+
+	console.log('dlgAutoFeedback: Dialog initialized');
+}
+
+/**
+ * Flatten the stored feedback into grid rows
+ */
+function loadFeedbackRows() {
+	const rows = [];
+	try {
+		const stored = app.getValue(FEEDBACK_STORAGE_KEY, {}) || {};
+		const add = (type, bucket) => {
+			Object.values(bucket || {}).forEach(entry => {
+				const skips = Number(entry?.skips) || 0;
+				const completes = Number(entry?.completes) || 0;
+				rows.push({
+					type,
+					name: String(entry?.name || ''),
+					skips,
+					completes,
+					score: Math.max(-5, Math.min(5, completes - skips))
+				});
+			});
+		};
+		add('Artist', stored.artists);
+		add('Seed', stored.seeds);
+	} catch (e) {
+		console.error('dlgAutoFeedback: Error loading feedback:', e);
+	}
+	return rows;
+}
+
+/**
+ * Forget all learned feedback
+ */
+function resetFeedback() {
+	try {
+		app.setValue(FEEDBACK_STORAGE_KEY, { artists: {}, seeds: {} });
+		if (dataSource) dataSource.clear();
+		UI.entryCount.innerText = '0';
+		console.log('dlgAutoFeedback: Feedback reset');
+	} catch (e) {
+		console.error('dlgAutoFeedback: Error resetting feedback:', e);
+	}
+}
@@ -12,31 +12,74 @@
  * - ParentPlaylist -> ParentPlaylist
  * - PlaylistMode -> PlaylistMode
  * - ShowConfirmDialog -> ShowConfirmDialog
+ * - ShowPreviewDialog -> ShowPreviewDialog
  * - ShuffleResults -> ShuffleResults
  * - IncludeSeedArtist -> IncludeSeedArtist
+ * - SeedSource -> SeedSource ('Selected tracks' | 'Last.fm recent tracks' | 'Last.fm loved tracks' | 'Last.fm top tracks')
+ * - LastfmUsername -> LastfmUsername
+ * - LastfmUserPeriod -> LastfmUserPeriod ('Last 7 days' ... 'All time')
  * - SimilarArtistsLimit -> SimilarArtistsLimit
  * - TrackSimilarLimit -> TrackSimilarLimit
  * - TracksPerArtist -> TracksPerArtist
+ * - ExplorationDepth -> ExplorationDepth (1-3 artist.getSimilar hops)
+ * - ExplorationDecay -> ExplorationDecay (0.0-1.0 match multiplier per extra hop)
+ * - ExplorationHop2Limit / ExplorationHop3Limit -> same keys (max new artists per hop)
+ * - SeedIntersection -> SeedIntersection
+ * - IntersectionMinSeeds -> IntersectionMinSeeds (1-10 seed artists that must reach an artist)
+ * - DeepCuts -> DeepCuts
+ * - DeepCutsSkipTopHits -> DeepCutsSkipTopHits (0-50 Last.fm top tracks skipped per artist)
+ * - DeepCutsNoveltyWeight -> DeepCutsNoveltyWeight (0-100, 100 = least played first)
  * - MaxPlaylistTracks -> MaxPlaylistTracks
  * - UseLastfmRanking -> UseLastfmRanking
  * - PreferHighQuality -> PreferHighQuality
- * - LocalCollection -> LocalCollection (name of MediaMonkey collection to search locally)
+ * - ScoreWeightApi / ScoreWeightSimilarity / ScoreWeightRating / ScoreWeightPlayCount / ScoreWeightFormat -> same keys (0-100, relative)
+ * - SeedBalance -> SeedBalance ('Off' | 'Round-robin' | 'Weighted')
+ * - SeedWeights -> SeedWeights ("Artist=weight" list)
+ * - LocalCollection -> LocalCollection (name of MediaMonkey collection to search locally, '' = entire library)
  * - ApiMinMatch -> ApiMinMatch (0.00-99.99 float lower bound for API match/popularity filtering)
+ * - HybridLastfmSource -> HybridLastfmSource ('Similar Tracks' | 'Similar Artists')
+ * - HybridLastfmWeight -> HybridLastfmWeight
+ * - HybridReccoWeight -> HybridReccoWeight
+ * - AlbumsPerArtist -> AlbumsPerArtist (1-10)
+ * - AlbumTracksPerAlbum -> AlbumTracksPerAlbum (0 = whole album)
+ * - JourneyMaxHops -> JourneyMaxHops (1-8)
+ * - JourneyTracksPerArtist -> JourneyTracksPerArtist (1-20)
+ * - LocalYearRange -> LocalYearRange (0-50 years)
+ * - LocalBpmRange -> LocalBpmRange (0-100 BPM)
+ * - MoodBlendRatio -> MoodBlendRatio (0.0 = all seed taste, 1.0 = all mood/activity preset)
  * - MinRating -> MinRating
  * - IncludeUnrated -> IncludeUnrated
+ * - SkipPlayedDays -> SkipPlayedDays (0 = off)
+ * - MaxPlayCount -> MaxPlayCount (0 = no cap, manual and auto-queue)
  * - AutoModeEnabled -> AutoModeEnabled
  * - AutoModeDiscovery -> AutoModeDiscovery
+ * - AutoModeFallbackEnabled -> AutoModeFallbackEnabled
+ * - AutoModeFallbackChain -> AutoModeFallbackChain (comma-separated modes or "Mood: X" / "Activity: X")
+ * - AutoModeTriggerType -> AutoModeTriggerType ('Tracks remaining' | 'Minutes remaining')
+ * - AutoModeRadioEnabled -> AutoModeRadioEnabled
+ * - AutoModeAnchorRatio -> AutoModeAnchorRatio (0-100)
  * - AutoModeSeedLimit -> AutoModeSeedLimit
+ * - AutoModeMinutesThreshold -> AutoModeMinutesThreshold
  * - AutoModeSimilarLimit -> AutoModeSimilarLimit
  * - AutoModeTracksPerArtist -> AutoModeTracksPerArtist
  * - AutoModeMaxTracks -> AutoModeMaxTracks
+ * - AutoModeFillMinutes -> AutoModeFillMinutes
+ * - AutoModePrefetchEnabled -> AutoModePrefetchEnabled
  * - AutoModeMinRating -> AutoModeMinRating
  * - AutoModeIncludeUnrated -> AutoModeIncludeUnrated
+ * - AutoModeSkipPlayedDays -> AutoModeSkipPlayedDays (0 = off)
  * - SkipDuplicates -> SkipDuplicates
+ * - AutoModeHistoryEnabled -> AutoModeHistoryEnabled
+ * - AutoModeNoRepeatTrackHours -> AutoModeNoRepeatTrackHours (0 = off)
+ * - AutoModeNoRepeatArtistTracks -> AutoModeNoRepeatArtistTracks (0 = off)
+ * - AutoModeLearnFromSkips -> AutoModeLearnFromSkips
+ * - AutoModeSkipSeconds -> AutoModeSkipSeconds
  * - EnqueueMode -> EnqueueMode
  * - ClearQueueFirst -> ClearQueueFirst
  * - NavigateAfter -> NavigateAfter
  * - ArtistBlacklist -> ArtistBlacklist
+ * - GenreBlacklist -> GenreBlacklist
+ * - TitleExclusions -> TitleExclusions
  * 
 
  */
@@ -46,6 +89,18 @@
 // Script namespace
 const SCRIPT_ID = 'MatchMonkey';
 
+// Dropdown label used for "no collection restriction" (stored as '')
+const ENTIRE_LIBRARY_LABEL = 'Entire library';
+
+// Result scoring weight settings and their defaults
+const SCORE_WEIGHT_DEFAULTS = [
+	['ScoreWeightApi', 40],
+	['ScoreWeightSimilarity', 25],
+	['ScoreWeightRating', 15],
+	['ScoreWeightPlayCount', 10],
+	['ScoreWeightFormat', 10],
+];
+
 /**
  * Read a setting from the MatchMonkey configuration.
  * @param {string} key Setting key.
@@ -96,9 +151,15 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.load = async function (sett,
 		UI.ParentPlaylist.controlClass.value = cfg.ParentPlaylist || '';
 		UI.PlaylistMode.controlClass.value = cfg.PlaylistMode || 'Create new playlist';
 		UI.ShowConfirmDialog.controlClass.checked = Boolean(cfg.ShowConfirmDialog);
+		UI.ShowPreviewDialog.controlClass.checked = Boolean(cfg.ShowPreviewDialog);
 		UI.ShuffleResults.controlClass.checked = cfg.ShuffleResults !== false; // Default true
 		UI.IncludeSeedArtist.controlClass.checked = Boolean(cfg.IncludeSeedArtist);
 
+		// === Seed Source ===
+		UI.SeedSource.controlClass.value = cfg.SeedSource || 'Selected tracks';
+		UI.LastfmUsername.controlClass.value = cfg.LastfmUsername || '';
+		UI.LastfmUserPeriod.controlClass.value = cfg.LastfmUserPeriod || 'Last 7 days';
+
 		// === Discovery Limits ===
 		UI.SimilarArtistsLimit.controlClass.value = cfg.SimilarArtistsLimit || 20;
 		UI.TrackSimilarLimit.controlClass.value = cfg.TrackSimilarLimit || 100;
@@ -106,6 +167,22 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.load = async function (sett,
 		UI.MaxPlaylistTracks.controlClass.value = cfg.MaxPlaylistTracks || 0; // 0 = unlimited
 		UI.UseLastfmRanking.controlClass.checked = cfg.UseLastfmRanking !== false; // Default true
 
+		// === Artist Exploration ===
+		UI.ExplorationDepth.controlClass.value = Number.isFinite(Number(cfg.ExplorationDepth)) ? cfg.ExplorationDepth : 1;
+		const explorationDecay = parseFloat(cfg.ExplorationDecay);
+		UI.ExplorationDecay.controlClass.value = Number.isFinite(explorationDecay) ? Math.max(0, Math.min(1, explorationDecay)) : 0.5;
+		UI.ExplorationHop2Limit.controlClass.value = Number.isFinite(Number(cfg.ExplorationHop2Limit)) ? cfg.ExplorationHop2Limit : 10;
+		UI.ExplorationHop3Limit.controlClass.value = Number.isFinite(Number(cfg.ExplorationHop3Limit)) ? cfg.ExplorationHop3Limit : 5;
+
+		// === Seed Intersection ===
+		UI.SeedIntersection.controlClass.checked = Boolean(cfg.SeedIntersection);
+		UI.IntersectionMinSeeds.controlClass.value = Number.isFinite(Number(cfg.IntersectionMinSeeds)) ? cfg.IntersectionMinSeeds : 1;
+
+		// === Deep Cuts ===
+		UI.DeepCuts.controlClass.checked = Boolean(cfg.DeepCuts);
+		UI.DeepCutsSkipTopHits.controlClass.value = Number.isFinite(Number(cfg.DeepCutsSkipTopHits)) ? cfg.DeepCutsSkipTopHits : 5;
+		UI.DeepCutsNoveltyWeight.controlClass.value = Number.isFinite(Number(cfg.DeepCutsNoveltyWeight)) ? cfg.DeepCutsNoveltyWeight : 70;
+
 		// Audio format preference: 'Mixed (all formats)' | 'Lossless only' | 'Lossy only'
 		// Map from stored value (if using legacy PreferHighQuality boolean, migrate to Mixed)
 		let audioFormatPref = cfg.AudioFormatPreference || 'Mixed (all formats)';
@@ -120,9 +197,13 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.load = async function (sett,
 		this._setRatingControl(UI.MinRating, ratingValue);
 		UI.IncludeUnrated.controlClass.checked = cfg.IncludeUnrated !== false; // Default true
 
+		// === Play History Filter ===
+		UI.SkipPlayedDays.controlClass.value = cfg.SkipPlayedDays || 0;
+		UI.MaxPlayCount.controlClass.value = cfg.MaxPlayCount || 0;
+
 		// === Local Collection
 		if (UI.LocalCollection && UI.LocalCollection.controlClass) {
-			UI.LocalCollection.controlClass.value = cfg.LocalCollection || '';
+			this._setupCollectionDropdown(UI.LocalCollection, cfg.LocalCollection || '');
 		}
 
 		// === API Thresholds ===
@@ -135,21 +216,71 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.load = async function (sett,
 			UI.ApiMinMatch.controlClass.value = apiMatchVal === '' ? '' : apiMatchVal.toFixed(2);
 		}
 
+		// === Result Scoring ===
+		SCORE_WEIGHT_DEFAULTS.forEach(([key, def]) => {
+			UI[key].controlClass.value = Number.isFinite(Number(cfg[key])) ? cfg[key] : def;
+		});
+
+		// === Seed Balance ===
+		UI.SeedBalance.controlClass.value = cfg.SeedBalance || 'Off';
+		UI.SeedWeights.controlClass.value = cfg.SeedWeights || '';
+
+		// === Hybrid Discovery ===
+		UI.HybridLastfmSource.controlClass.value = cfg.HybridLastfmSource || 'Similar Tracks';
+		UI.HybridLastfmWeight.controlClass.value = Number.isFinite(Number(cfg.HybridLastfmWeight)) ? cfg.HybridLastfmWeight : 60;
+		UI.HybridReccoWeight.controlClass.value = Number.isFinite(Number(cfg.HybridReccoWeight)) ? cfg.HybridReccoWeight : 40;
+
+		// === Album Discovery ===
+		UI.AlbumsPerArtist.controlClass.value = Number.isFinite(Number(cfg.AlbumsPerArtist)) ? cfg.AlbumsPerArtist : 2;
+		UI.AlbumTracksPerAlbum.controlClass.value = Number.isFinite(Number(cfg.AlbumTracksPerAlbum)) ? cfg.AlbumTracksPerAlbum : 0;
+
+		// === Artist Journey ===
+		UI.JourneyMaxHops.controlClass.value = Number.isFinite(Number(cfg.JourneyMaxHops)) ? cfg.JourneyMaxHops : 4;
+		UI.JourneyTracksPerArtist.controlClass.value = Number.isFinite(Number(cfg.JourneyTracksPerArtist)) ? cfg.JourneyTracksPerArtist : 3;
+
+		// === Local Library Discovery ===
+		UI.LocalYearRange.controlClass.value = Number.isFinite(Number(cfg.LocalYearRange)) ? cfg.LocalYearRange : 5;
+		UI.LocalBpmRange.controlClass.value = Number.isFinite(Number(cfg.LocalBpmRange)) ? cfg.LocalBpmRange : 10;
+
+		// === Mood & Activity ===
+		const blendRatio = parseFloat(cfg.MoodBlendRatio);
+		UI.MoodBlendRatio.controlClass.value = Number.isFinite(blendRatio) ? Math.max(0, Math.min(1, blendRatio)) : 0.5;
+
 		// === Auto-Mode Settings ===
 		this._setupAutoModeCheckbox(UI.AutoModeEnabled);
 		UI.AutoModeEnabled.controlClass.checked = cfg.AutoModeEnabled || false;
 		UI.AutoModeDiscovery.controlClass.value = cfg.AutoModeDiscovery || 'Similar Artist';
+		UI.AutoModeFallbackEnabled.controlClass.checked = cfg.AutoModeFallbackEnabled !== false; // Default true
+		UI.AutoModeFallbackChain.controlClass.value = cfg.AutoModeFallbackChain ?? 'Similar Tracks, Similar Acoustics, Similar Artists, Similar Genre, Local Library';
+		UI.AutoModeRadioEnabled.controlClass.checked = Boolean(cfg.AutoModeRadioEnabled);
+		UI.AutoModeAnchorRatio.controlClass.value = cfg.AutoModeAnchorRatio ?? 50;
+		UI.AutoModeTriggerType.controlClass.value = cfg.AutoModeTriggerType || 'Tracks remaining';
 		UI.AutoModeSeedLimit.controlClass.value = cfg.AutoModeSeedLimit || 2;
+		UI.AutoModeMinutesThreshold.controlClass.value = cfg.AutoModeMinutesThreshold || 10;
 		UI.AutoModeSimilarLimit.controlClass.value = cfg.AutoModeSimilarLimit || 10;
 		UI.AutoModeTracksPerArtist.controlClass.value = cfg.AutoModeTracksPerArtist || 5;
 		UI.AutoModeMaxTracks.controlClass.value = cfg.AutoModeMaxTracks || 30;
+		UI.AutoModeFillMinutes.controlClass.value = cfg.AutoModeFillMinutes || 30;
+		UI.AutoModePrefetchEnabled.controlClass.checked = cfg.AutoModePrefetchEnabled !== false; // Default true
 
 		// === Auto-Mode Rating Filter ===
 		const autoRatingValue = parseInt(cfg.AutoModeMinRating, 10) || 0;
 		this._setRatingControl(UI.AutoModeMinRating, autoRatingValue);
 		UI.AutoModeIncludeUnrated.controlClass.checked = cfg.AutoModeIncludeUnrated !== false; // Default true
+		UI.AutoModeSkipPlayedDays.controlClass.value = cfg.AutoModeSkipPlayedDays || 0;
 
 		UI.SkipDuplicates.controlClass.checked = cfg.SkipDuplicates !== false; // Default true
+		UI.AutoModeHistoryEnabled.controlClass.checked = cfg.AutoModeHistoryEnabled !== false; // Default true
+		UI.AutoModeNoRepeatTrackHours.controlClass.value = cfg.AutoModeNoRepeatTrackHours ?? 8;
+		UI.AutoModeNoRepeatArtistTracks.controlClass.value = cfg.AutoModeNoRepeatArtistTracks ?? 10;
+		this._setupAutoHistory(UI);
+		UI.AutoModeLearnFromSkips.controlClass.checked = cfg.AutoModeLearnFromSkips !== false; // Default true
+		UI.AutoModeSkipSeconds.controlClass.value = cfg.AutoModeSkipSeconds || 30;
+		if (UI.btnViewAutoFeedback && UI.btnViewAutoFeedback.controlClass) {
+			app.listen(UI.btnViewAutoFeedback, 'click', () => {
+				this._openAutoFeedbackDialog();
+			});
+		}
 
 		// === Queue Behavior ===
 		UI.EnqueueMode.controlClass.checked = Boolean(cfg.EnqueueMode);
@@ -158,6 +289,9 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.load = async function (sett,
 
 		// === Filters ===
 		UI.ArtistBlacklist.controlClass.value = cfg.ArtistBlacklist || '';
+		UI.GenreBlacklist.controlClass.value = cfg.GenreBlacklist || '';
+		UI.TitleExclusions.controlClass.value = cfg.TitleExclusions || '';
+		this._updateFilterStats(UI);
 
 		// === Missed Results ===
 		this._setupMissedResults(UI);
@@ -207,6 +341,30 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey._setRatingControl = function
 };
 
 
+/**
+ * Helper to fill the collection dropdown with the existing MediaMonkey collections.
+ * A saved collection that no longer exists is kept in the list so it isn't silently lost.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey._setupCollectionDropdown = async function (uiDropdown, current) {
+	const ctrl = uiDropdown.controlClass;
+	ctrl.value = current || ENTIRE_LIBRARY_LABEL;
+
+	try {
+		var names = window.matchMonkeyDB?.getCollectionNames
+			? await window.matchMonkeyDB.getCollectionNames()
+			: [];
+		if (current && names.indexOf(current) < 0) names.push(current);
+
+		var ds = newStringList();
+		ds.add(ENTIRE_LIBRARY_LABEL);
+		names.forEach(function (n) { ds.add(n); });
+		ctrl.dataSource = ds;
+		ctrl.value = current || ENTIRE_LIBRARY_LABEL;
+	} catch (e) {
+		console.error('Match Monkey Options: Error loading collections:', e);
+	}
+};
+
 /**
  * Helper to setup auto-mode checkbox with change listener.
  */
@@ -302,9 +460,15 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.save = function (sett) {
 		this.config.ParentPlaylist = UI.ParentPlaylist.controlClass.value || '';
 		this.config.PlaylistMode = UI.PlaylistMode.controlClass.value || 'Create new playlist';
 		this.config.ShowConfirmDialog = UI.ShowConfirmDialog.controlClass.checked;
+		this.config.ShowPreviewDialog = UI.ShowPreviewDialog.controlClass.checked;
 		this.config.ShuffleResults = UI.ShuffleResults.controlClass.checked;
 		this.config.IncludeSeedArtist = UI.IncludeSeedArtist.controlClass.checked;
 
+		// === Seed Source ===
+		this.config.SeedSource = UI.SeedSource.controlClass.value || 'Selected tracks';
+		this.config.LastfmUsername = String(UI.LastfmUsername.controlClass.value || '').trim();
+		this.config.LastfmUserPeriod = UI.LastfmUserPeriod.controlClass.value || 'Last 7 days';
+
 		// === Discovery Limits ===
 		this.config.SimilarArtistsLimit = parseInt(UI.SimilarArtistsLimit.controlClass.value, 10) || 20;
 		this.config.TrackSimilarLimit = parseInt(UI.TrackSimilarLimit.controlClass.value, 10) || 100;
@@ -312,6 +476,28 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.save = function (sett) {
 		this.config.MaxPlaylistTracks = parseInt(UI.MaxPlaylistTracks.controlClass.value, 10) || 0;
 		this.config.UseLastfmRanking = UI.UseLastfmRanking.controlClass.checked;
 
+		// === Artist Exploration ===
+		const explorationDepth = parseInt(UI.ExplorationDepth.controlClass.value, 10);
+		const explorationDecay = parseFloat(UI.ExplorationDecay.controlClass.value);
+		const hop2Limit = parseInt(UI.ExplorationHop2Limit.controlClass.value, 10);
+		const hop3Limit = parseInt(UI.ExplorationHop3Limit.controlClass.value, 10);
+		this.config.ExplorationDepth = Number.isFinite(explorationDepth) ? Math.max(1, Math.min(3, explorationDepth)) : 1;
+		this.config.ExplorationDecay = Number.isFinite(explorationDecay) ? Math.max(0, Math.min(1, explorationDecay)) : 0.5;
+		this.config.ExplorationHop2Limit = Number.isFinite(hop2Limit) ? Math.max(0, Math.min(100, hop2Limit)) : 10;
+		this.config.ExplorationHop3Limit = Number.isFinite(hop3Limit) ? Math.max(0, Math.min(100, hop3Limit)) : 5;
+
+		// === Seed Intersection ===
+		this.config.SeedIntersection = UI.SeedIntersection.controlClass.checked;
+		const intersectionMinSeeds = parseInt(UI.IntersectionMinSeeds.controlClass.value, 10);
+		this.config.IntersectionMinSeeds = Number.isFinite(intersectionMinSeeds) ? Math.max(1, Math.min(10, intersectionMinSeeds)) : 1;
+
+		// === Deep Cuts ===
+		this.config.DeepCuts = UI.DeepCuts.controlClass.checked;
+		const skipTopHits = parseInt(UI.DeepCutsSkipTopHits.controlClass.value, 10);
+		const noveltyWeight = parseInt(UI.DeepCutsNoveltyWeight.controlClass.value, 10);
+		this.config.DeepCutsSkipTopHits = Number.isFinite(skipTopHits) ? Math.max(0, Math.min(50, skipTopHits)) : 5;
+		this.config.DeepCutsNoveltyWeight = Number.isFinite(noveltyWeight) ? Math.max(0, Math.min(100, noveltyWeight)) : 70;
+
 		// Audio format preference: 'Mixed (all formats)' | 'Lossless only' | 'Lossy only'
 		this.config.AudioFormatPreference = UI.AudioFormatPreference.controlClass.value || 'Mixed (all formats)';
 
@@ -322,6 +508,50 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.save = function (sett) {
 		this.config.MinRating = rawRating;
 		this.config.IncludeUnrated = UI.IncludeUnrated.controlClass.checked;
 
+		// === Play History Filter ===
+		this.config.SkipPlayedDays = Math.max(0, parseInt(UI.SkipPlayedDays.controlClass.value, 10) || 0);
+		this.config.MaxPlayCount = Math.max(0, parseInt(UI.MaxPlayCount.controlClass.value, 10) || 0);
+
+		// === Result Scoring ===
+		SCORE_WEIGHT_DEFAULTS.forEach(([key, def]) => {
+			const weight = parseInt(UI[key].controlClass.value, 10);
+			this.config[key] = Number.isFinite(weight) ? Math.max(0, Math.min(100, weight)) : def;
+		});
+
+		// === Seed Balance ===
+		this.config.SeedBalance = UI.SeedBalance.controlClass.value || 'Off';
+		this.config.SeedWeights = UI.SeedWeights.controlClass.value || '';
+
+		// === Hybrid Discovery ===
+		// Weights may be 0 to ignore a source's score (it still contributes candidates)
+		this.config.HybridLastfmSource = UI.HybridLastfmSource.controlClass.value || 'Similar Tracks';
+		const lastfmWeight = parseInt(UI.HybridLastfmWeight.controlClass.value, 10);
+		const reccoWeight = parseInt(UI.HybridReccoWeight.controlClass.value, 10);
+		this.config.HybridLastfmWeight = Number.isFinite(lastfmWeight) ? Math.max(0, Math.min(100, lastfmWeight)) : 60;
+		this.config.HybridReccoWeight = Number.isFinite(reccoWeight) ? Math.max(0, Math.min(100, reccoWeight)) : 40;
+
+		// === Album Discovery ===
+		const albumsPerArtist = parseInt(UI.AlbumsPerArtist.controlClass.value, 10);
+		const albumTracks = parseInt(UI.AlbumTracksPerAlbum.controlClass.value, 10);
+		this.config.AlbumsPerArtist = Number.isFinite(albumsPerArtist) ? Math.max(1, Math.min(10, albumsPerArtist)) : 2;
+		this.config.AlbumTracksPerAlbum = Number.isFinite(albumTracks) ? Math.max(0, Math.min(50, albumTracks)) : 0;
+
+		// === Artist Journey ===
+		const journeyHops = parseInt(UI.JourneyMaxHops.controlClass.value, 10);
+		const journeyTracks = parseInt(UI.JourneyTracksPerArtist.controlClass.value, 10);
+		this.config.JourneyMaxHops = Number.isFinite(journeyHops) ? Math.max(1, Math.min(8, journeyHops)) : 4;
+		this.config.JourneyTracksPerArtist = Number.isFinite(journeyTracks) ? Math.max(1, Math.min(20, journeyTracks)) : 3;
+
+		// === Local Library Discovery ===
+		const localYearRange = parseInt(UI.LocalYearRange.controlClass.value, 10);
+		const localBpmRange = parseInt(UI.LocalBpmRange.controlClass.value, 10);
+		this.config.LocalYearRange = Number.isFinite(localYearRange) ? Math.max(0, Math.min(50, localYearRange)) : 5;
+		this.config.LocalBpmRange = Number.isFinite(localBpmRange) ? Math.max(0, Math.min(100, localBpmRange)) : 10;
+
+		// === Mood & Activity ===
+		const blendRatio = parseFloat(UI.MoodBlendRatio.controlClass.value);
+		this.config.MoodBlendRatio = Number.isFinite(blendRatio) ? Math.max(0, Math.min(1, blendRatio)) : 0.5;
+
 		// === Auto-Mode ===
 		// Get auto-mode state from addon if available, otherwise from checkbox
 		let autoEnabled = false;
@@ -336,10 +566,18 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.save = function (sett) {
 		}
 		this.config.AutoModeEnabled = autoEnabled;
 		this.config.AutoModeDiscovery = UI.AutoModeDiscovery.controlClass.value || 'Similar Artist';
+		this.config.AutoModeFallbackEnabled = UI.AutoModeFallbackEnabled.controlClass.checked;
+		this.config.AutoModeFallbackChain = String(UI.AutoModeFallbackChain.controlClass.value || '').trim();
+		this.config.AutoModeRadioEnabled = UI.AutoModeRadioEnabled.controlClass.checked;
+		this.config.AutoModeAnchorRatio = Math.max(0, Math.min(100, parseInt(UI.AutoModeAnchorRatio.controlClass.value, 10) || 0));
+		this.config.AutoModeTriggerType = UI.AutoModeTriggerType.controlClass.value || 'Tracks remaining';
 		this.config.AutoModeSeedLimit = parseInt(UI.AutoModeSeedLimit.controlClass.value, 10) || 2;
+		this.config.AutoModeMinutesThreshold = parseInt(UI.AutoModeMinutesThreshold.controlClass.value, 10) || 10;
 		this.config.AutoModeSimilarLimit = parseInt(UI.AutoModeSimilarLimit.controlClass.value, 10) || 10;
 		this.config.AutoModeTracksPerArtist = parseInt(UI.AutoModeTracksPerArtist.controlClass.value, 10) || 5;
 		this.config.AutoModeMaxTracks = parseInt(UI.AutoModeMaxTracks.controlClass.value, 10) || 30;
+		this.config.AutoModeFillMinutes = parseInt(UI.AutoModeFillMinutes.controlClass.value, 10) || 30;
+		this.config.AutoModePrefetchEnabled = UI.AutoModePrefetchEnabled.controlClass.checked;
 
 		// === Auto-Mode Rating Filter ===
 		const rawAutoRating = Number.isFinite(UI.AutoModeMinRating.controlClass.value)
@@ -347,12 +585,19 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.save = function (sett) {
 			: 0;
 		this.config.AutoModeMinRating = rawAutoRating;
 		this.config.AutoModeIncludeUnrated = UI.AutoModeIncludeUnrated.controlClass.checked;
+		this.config.AutoModeSkipPlayedDays = Math.max(0, parseInt(UI.AutoModeSkipPlayedDays.controlClass.value, 10) || 0);
 
 		this.config.SkipDuplicates = UI.SkipDuplicates.controlClass.checked;
+		this.config.AutoModeHistoryEnabled = UI.AutoModeHistoryEnabled.controlClass.checked;
+		this.config.AutoModeNoRepeatTrackHours = Math.max(0, parseInt(UI.AutoModeNoRepeatTrackHours.controlClass.value, 10) || 0);
+		this.config.AutoModeNoRepeatArtistTracks = Math.max(0, parseInt(UI.AutoModeNoRepeatArtistTracks.controlClass.value, 10) || 0);
+		this.config.AutoModeLearnFromSkips = UI.AutoModeLearnFromSkips.controlClass.checked;
+		this.config.AutoModeSkipSeconds = parseInt(UI.AutoModeSkipSeconds.controlClass.value, 10) || 30;
 
 		// === Local Collection ===
 		if (UI.LocalCollection && UI.LocalCollection.controlClass) {
-			this.config.LocalCollection = UI.LocalCollection.controlClass.value || '';
+			const collectionValue = UI.LocalCollection.controlClass.value || '';
+			this.config.LocalCollection = collectionValue === ENTIRE_LIBRARY_LABEL ? '' : collectionValue;
 		}
 
 		// === API Thresholds ===
@@ -381,6 +626,8 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.save = function (sett) {
 
 		// === Filters ===
 		this.config.ArtistBlacklist = UI.ArtistBlacklist.controlClass.value || '';
+		this.config.GenreBlacklist = UI.GenreBlacklist.controlClass.value || '';
+		this.config.TitleExclusions = UI.TitleExclusions.controlClass.value || '';
 
 		// === Cache TTL ===
 		if (UI.CacheTTLHours && UI.CacheTTLHours.controlClass) {
@@ -405,6 +652,34 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.save = function (sett) {
 };
 
 
+/**
+ * Update filter activity display (counts recorded by the last discovery run).
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey._updateFilterStats = function (UI) {
+	try {
+		if (!UI.filterStatsInfo) return;
+
+		var meta = app.getValue('MatchMonkeyFilterMeta', {}) || {};
+		var lastRun = meta.lastRun || {};
+		var totals = meta.totals || {};
+
+		if (!meta.lastRunTs) {
+			UI.filterStatsInfo.innerText = 'No filter activity yet';
+			return;
+		}
+
+		var genreLast = Number(lastRun.genre) || 0;
+		var genreTotal = Number(totals.genre) || 0;
+		var titleLast = Number(lastRun.title) || 0;
+		var titleTotal = Number(totals.title) || 0;
+		UI.filterStatsInfo.innerText =
+			'Genre filter: ' + genreLast + ' track' + (genreLast === 1 ? '' : 's') + ' removed last run (' + genreTotal + ' total)\n' +
+			'Title exclusions: ' + titleLast + ' track' + (titleLast === 1 ? '' : 's') + ' excluded last run (' + titleTotal + ' total)';
+	} catch (e) {
+		console.error('Match Monkey Options: Error updating filter stats:', e);
+	}
+};
+
 /**
  * Setup missed results section
  */
@@ -479,6 +754,52 @@ optionPanels.pnl_Library.subPanels.pnl_MatchMonkey._updateMissedResultsCount = f
 	}
 };
 
+/**
+ * Setup auto-queue history - Clear History button and entry count.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey._setupAutoHistory = function (UI) {
+	try {
+		const showCount = () => {
+			if (!UI.autoHistoryInfo) return;
+			const count = window.matchMonkeyAutoMode?.getHistoryCount?.() ?? (app.getValue('MatchMonkeyAutoHistory', []) || []).length;
+			UI.autoHistoryInfo.innerText = count === 0 ? 'History is empty' : `${count} track${count === 1 ? '' : 's'} remembered`;
+		};
+
+		if (UI.btnClearAutoHistory && UI.btnClearAutoHistory.controlClass) {
+			app.listen(UI.btnClearAutoHistory, 'click', () => {
+				if (window.matchMonkeyAutoMode?.clearHistory) {
+					window.matchMonkeyAutoMode.clearHistory();
+				} else {
+					app.setValue('MatchMonkeyAutoHistory', []);
+				}
+				console.log('Match Monkey Options: Auto-queue history cleared');
+				showCount();
+			});
+		}
+
+		showCount();
+	} catch (e) {
+		console.error('Match Monkey Options: Error setting up auto-queue history:', e);
+	}
+};
+
+/**
+ * Open the auto-queue learned feedback dialog
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey._openAutoFeedbackDialog = function () {
+	try {
+		if (typeof uitools !== 'undefined' && uitools.openDialog) {
+			uitools.openDialog('dlgAutoFeedback', {
+				modal: true
+			});
+		} else {
+			console.error('Match Monkey Options: uitools.openDialog not available');
+		}
+	} catch (e) {
+		console.error('Match Monkey Options: Error opening auto-queue feedback dialog:', e);
+	}
+};
+
 /**
  * Open missed results dialog
  */
@@ -0,0 +1,273 @@
+/**
+ * MatchMonkey Mood & Activity Presets Options Panel for MediaMonkey 5
+ *
+ * @author Remo Imparato
+ * @description Create, edit, duplicate and delete the mood/activity presets
+ *              listed in the Match Monkey Mood and Activity submenus.
+ *
+ * Presets are stored in the MatchMonkey settings under MoodActivityPresets:
+ *   { mood: [preset...], activity: [preset...] }
+ *   preset = { id, name, builtIn, targets: { feature: { target, min, max } } }
+ *
+ * Preset ids are derived from the name when a preset is created and never change
+ * afterwards, so renaming a preset keeps hotkeys and saved references working.
+ */
+
+'use strict';
+
+// Audio features editable per preset, with the range used for blank min/max
+const PRESET_FEATURE_RANGES = {
+	acousticness: [0, 1],
+	danceability: [0, 1],
+	energy: [0, 1],
+	instrumentalness: [0, 1],
+	liveness: [0, 1],
+	loudness: [-60, 0],
+	mode: [0, 1],
+	speechiness: [0, 1],
+	tempo: [0, 250],
+	valence: [0, 1]
+};
+
+/**
+ * Map the Type dropdown label to the preset type key.
+ * @param {string} label Dropdown value ('Mood' | 'Activity').
+ * @returns {string} 'mood' or 'activity'.
+ */
+function presetTypeFromLabel(label) {
+	return label === 'Activity' ? 'activity' : 'mood';
+}
+
+/**
+ * Load handler - reads the saved presets and wires up the editor.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets.load = function (sett, pnl, wndParams) {
+	try {
+		this._pnl = pnl;
+
+		// Working copy, written back in save()
+		const stored = (app.getValue('MatchMonkey', {}) || {}).MoodActivityPresets || {};
+		this._presets = {
+			mood: this._copyPresets(Array.isArray(stored.mood) ? stored.mood : this._getBuiltIns('mood')),
+			activity: this._copyPresets(Array.isArray(stored.activity) ? stored.activity : this._getBuiltIns('activity'))
+		};
+		this._type = 'mood';
+		this._selectedId = null;
+
+		const UI = getAllUIElements(pnl);
+		UI.PresetType.controlClass.value = 'Mood';
+		this._refreshList(UI, null);
+
+		app.listen(UI.PresetType, 'change', () => {
+			this._commitEdits(UI);
+			this._type = presetTypeFromLabel(UI.PresetType.controlClass.value);
+			this._refreshList(UI, null);
+		});
+
+		app.listen(UI.PresetList, 'change', () => {
+			const chosen = this._currentList().find(p => p.name === UI.PresetList.controlClass.value);
+			this._commitEdits(UI);
+			// Rebuild the list so a rename of the previous preset shows up
+			this._refreshList(UI, chosen ? chosen.id : null);
+		});
+
+		app.listen(UI.btnNewPreset, 'click', () => {
+			this._commitEdits(UI);
+			this._addPreset(UI, 'New preset', {});
+		});
+
+		app.listen(UI.btnDuplicatePreset, 'click', () => {
+			this._commitEdits(UI);
+			const source = this._selectedPreset();
+			if (source) this._addPreset(UI, source.name + ' copy', source.targets);
+		});
+
+		app.listen(UI.btnDeletePreset, 'click', () => {
+			const list = this._currentList();
+			const index = list.findIndex(p => p.id === this._selectedId);
+			if (index < 0) return;
+			list.splice(index, 1);
+			this._selectedId = null;
+			this._refreshList(UI, null);
+		});
+
+		app.listen(UI.btnResetPresets, 'click', () => {
+			this._commitEdits(UI);
+			this._resetBuiltIns(UI);
+		});
+
+	} catch (e) {
+		console.error('Match Monkey Presets: load error:', e.toString());
+	}
+};
+
+/**
+ * Save handler - stores the edited presets in the MatchMonkey settings.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets.save = function (sett) {
+	try {
+		if (!this._presets) return;
+
+		this._commitEdits(getAllUIElements(this._pnl));
+
+		// Read current config to preserve the main panel's settings
+		const config = app.getValue('MatchMonkey', {}) || {};
+		config.MoodActivityPresets = this._presets;
+		app.setValue('MatchMonkey', config);
+		window.matchMonkeyStorage?.updateSettingsCache(config);
+		console.log('Match Monkey Presets: Presets saved successfully');
+	} catch (e) {
+		console.error('Match Monkey Presets: save error:', e.toString());
+	}
+};
+
+/**
+ * Built-in presets for a type, from the loaded add-on module.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets._getBuiltIns = function (type) {
+	const builtIns = window.matchMonkeyMoodActivityDiscovery?.getBuiltInPresets?.(type);
+	if (!builtIns) console.warn('Match Monkey Presets: Built-in presets not available (add-on not loaded)');
+	return builtIns || [];
+};
+
+/**
+ * Deep copy a preset list, dropping malformed entries.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets._copyPresets = function (presets) {
+	return presets
+		.filter(p => p && p.id && p.targets)
+		.map(p => ({ id: String(p.id), name: String(p.name || p.id), builtIn: Boolean(p.builtIn), targets: JSON.parse(JSON.stringify(p.targets)) }));
+};
+
+/**
+ * Preset list of the type being edited.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets._currentList = function () {
+	return this._presets[this._type];
+};
+
+/**
+ * Preset shown in the editor, or null.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets._selectedPreset = function () {
+	return this._currentList().find(p => p.id === this._selectedId) || null;
+};
+
+/**
+ * Return `name`, or `name 2`, `name 3`... if another preset of the current type already uses it.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets._uniqueName = function (name, ignoreId) {
+	const taken = new Set(this._currentList().filter(p => p.id !== ignoreId).map(p => p.name.toLowerCase()));
+	let candidate = name;
+	for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${name} ${n}`;
+	return candidate;
+};
+
+/**
+ * Return an id derived from `name` that no preset of the current type uses.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets._uniqueId = function (name) {
+	const taken = new Set(this._currentList().map(p => p.id));
+	const base = window.matchMonkeyMoodActivityDiscovery?.presetIdFromName?.(name)
+		|| String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+		|| 'preset';
+	let id = base;
+	for (let n = 2; taken.has(id); n++) id = `${base}_${n}`;
+	return id;
+};
+
+/**
+ * Add a custom preset to the current type and select it.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets._addPreset = function (UI, name, targets) {
+	const uniqueName = this._uniqueName(name, null);
+	const preset = {
+		id: this._uniqueId(uniqueName),
+		name: uniqueName,
+		builtIn: false,
+		targets: JSON.parse(JSON.stringify(targets || {}))
+	};
+	this._currentList().push(preset);
+	this._refreshList(UI, preset.id);
+};
+
+/**
+ * Restore the built-in presets of the current type to their defaults.
+ * Custom presets are kept; one that took a built-in's id or name is renamed.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets._resetBuiltIns = function (UI) {
+	const builtIns = this._copyPresets(this._getBuiltIns(this._type));
+	if (builtIns.length === 0) return;
+
+	const builtInIds = new Set(builtIns.map(p => p.id));
+	const builtInNames = new Set(builtIns.map(p => p.name.toLowerCase()));
+	const custom = this._currentList().filter(p => !p.builtIn);
+
+	this._presets[this._type] = builtIns;
+	custom.forEach(p => {
+		if (builtInNames.has(p.name.toLowerCase())) p.name = this._uniqueName(p.name + ' (custom)', null);
+		if (builtInIds.has(p.id)) p.id = this._uniqueId(p.name);
+		this._presets[this._type].push(p);
+	});
+
+	this._refreshList(UI, this._selectedId);
+};
+
+/**
+ * Fill the preset dropdown for the current type and select `selectId` (or the first preset).
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets._refreshList = function (UI, selectId) {
+	const list = this._currentList();
+	list.sort((a, b) => a.name.localeCompare(b.name));
+
+	const ds = newStringList();
+	list.forEach(p => ds.add(p.name));
+	UI.PresetList.controlClass.dataSource = ds;
+
+	const preset = list.find(p => p.id === selectId) || list[0] || null;
+	this._selectedId = preset ? preset.id : null;
+	UI.PresetList.controlClass.value = preset ? preset.name : '';
+	this._showPreset(UI, preset);
+};
+
+/**
+ * Show a preset's name and targets in the editor (blank fields for a null preset).
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets._showPreset = function (UI, preset) {
+	UI.PresetName.controlClass.value = preset ? preset.name : '';
+	Object.keys(PRESET_FEATURE_RANGES).forEach(feature => {
+		const cfg = preset?.targets?.[feature];
+		UI['Target_' + feature].controlClass.value = cfg ? String(cfg.target) : '';
+		UI['Min_' + feature].controlClass.value = cfg ? String(cfg.min) : '';
+		UI['Max_' + feature].controlClass.value = cfg ? String(cfg.max) : '';
+	});
+};
+
+/**
+ * Copy the editor fields back into the selected preset.
+ * A feature is only kept when its target is a number; blank min/max fall back to
+ * the feature's full range, and a reversed min/max pair is swapped.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeyPresets._commitEdits = function (UI) {
+	const preset = this._selectedPreset();
+	if (!preset) return;
+
+	const name = String(UI.PresetName.controlClass.value || '').trim();
+	if (name && name !== preset.name) preset.name = this._uniqueName(name, preset.id);
+
+	const targets = {};
+	Object.keys(PRESET_FEATURE_RANGES).forEach(feature => {
+		const [low, high] = PRESET_FEATURE_RANGES[feature];
+		const target = parseFloat(UI['Target_' + feature].controlClass.value);
+		if (!Number.isFinite(target)) return;
+
+		let min = parseFloat(UI['Min_' + feature].controlClass.value);
+		let max = parseFloat(UI['Max_' + feature].controlClass.value);
+		if (!Number.isFinite(min)) min = low;
+		if (!Number.isFinite(max)) max = high;
+		if (min > max) [min, max] = [max, min];
+
+		targets[feature] = { target, min, max };
+	});
+	preset.targets = targets;
+};
@@ -0,0 +1,288 @@
+/**
+ * MatchMonkey Auto-Queue Schedules Options Panel for MediaMonkey 5
+ *
+ * @author Remo Imparato
+ * @description Create, edit, reorder and delete the time-of-day profiles that
+ *              auto-queue picks from at trigger time.
+ *
+ * Schedules are stored in the MatchMonkey settings under AutoModeSchedules:
+ *   [schedule...]
+ *   schedule = { id, name, days: [0-6, 0 = Sunday], start: 'HH:MM', end: 'HH:MM',
+ *                mode, value, maxTracks, similarLimit }
+ * `mode` is a discovery mode key ('artist', 'track', ..., 'mood', 'activity'),
+ * `value` the mood/activity preset id, and 0 limits fall back to the Auto-queue settings.
+ * AutoModeSchedulesEnabled turns the schedules on or off.
+ */
+
+'use strict';
+
+// Discovery mode dropdown label <-> mode key
+const SCHEDULE_MODE_LABELS = {
+	artist: 'Similar Artists',
+	track: 'Similar Tracks',
+	genre: 'Similar Genre',
+	acoustics: 'Similar Acoustics',
+	hybrid: 'Similar Hybrid',
+	album: 'Similar Albums',
+	local: 'Local Library',
+	mood: 'Mood',
+	activity: 'Activity'
+};
+
+/**
+ * Map the Discovery mode dropdown label to the mode key.
+ * @param {string} label Dropdown value.
+ * @returns {string} Mode key ('artist' when unknown).
+ */
+function scheduleModeFromLabel(label) {
+	return Object.keys(SCHEDULE_MODE_LABELS).find(key => SCHEDULE_MODE_LABELS[key] === label) || 'artist';
+}
+
+/**
+ * Normalize a typed time to HH:MM, or '' when it is not a valid 24-hour time.
+ * @param {string} value Typed time ('9', '9:30', '09:30').
+ * @returns {string} HH:MM or ''.
+ */
+function normalizeScheduleTime(value) {
+	const match = /^\s*(\d{1,2})(?::(\d{2}))?\s*$/.exec(String(value || ''));
+	if (!match) return '';
+	const hours = parseInt(match[1], 10);
+	const minutes = parseInt(match[2] || '0', 10);
+	if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return '';
+	return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Load handler - reads the saved schedules and wires up the editor.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules.load = function (sett, pnl, wndParams) {
+	try {
+		this._pnl = pnl;
+
+		// Working copy, written back in save()
+		const cfg = app.getValue('MatchMonkey', {}) || {};
+		this._schedules = this._copySchedules(Array.isArray(cfg.AutoModeSchedules) ? cfg.AutoModeSchedules : []);
+		this._selectedId = null;
+
+		const UI = getAllUIElements(pnl);
+		UI.AutoModeSchedulesEnabled.controlClass.checked = Boolean(cfg.AutoModeSchedulesEnabled);
+		this._refreshList(UI, null);
+
+		app.listen(UI.ScheduleList, 'change', () => {
+			const index = this._listIndexOf(UI.ScheduleList.controlClass.value);
+			const chosen = index >= 0 ? this._schedules[index] : null;
+			this._commitEdits(UI);
+			// Rebuild the list so a rename of the previous schedule shows up
+			this._refreshList(UI, chosen ? chosen.id : null);
+		});
+
+		app.listen(UI.ScheduleMode, 'change', () => {
+			this._fillPresetList(UI, scheduleModeFromLabel(UI.ScheduleMode.controlClass.value), '');
+		});
+
+		app.listen(UI.btnNewSchedule, 'click', () => {
+			this._commitEdits(UI);
+			this._addSchedule(UI, { name: 'New schedule', days: [1, 2, 3, 4, 5], start: '09:00', end: '12:00', mode: 'artist', value: '', maxTracks: 0, similarLimit: 0 });
+		});
+
+		app.listen(UI.btnDuplicateSchedule, 'click', () => {
+			this._commitEdits(UI);
+			const source = this._selectedSchedule();
+			if (source) this._addSchedule(UI, Object.assign({}, source, { name: source.name + ' copy' }));
+		});
+
+		app.listen(UI.btnDeleteSchedule, 'click', () => {
+			const index = this._schedules.findIndex(s => s.id === this._selectedId);
+			if (index < 0) return;
+			this._schedules.splice(index, 1);
+			this._selectedId = null;
+			this._refreshList(UI, null);
+		});
+
+		app.listen(UI.btnMoveScheduleUp, 'click', () => {
+			this._commitEdits(UI);
+			const index = this._schedules.findIndex(s => s.id === this._selectedId);
+			if (index <= 0) return;
+			[this._schedules[index - 1], this._schedules[index]] = [this._schedules[index], this._schedules[index - 1]];
+			this._refreshList(UI, this._selectedId);
+		});
+
+		app.listen(UI.btnMoveScheduleDown, 'click', () => {
+			this._commitEdits(UI);
+			const index = this._schedules.findIndex(s => s.id === this._selectedId);
+			if (index < 0 || index >= this._schedules.length - 1) return;
+			[this._schedules[index], this._schedules[index + 1]] = [this._schedules[index + 1], this._schedules[index]];
+			this._refreshList(UI, this._selectedId);
+		});
+
+	} catch (e) {
+		console.error('Match Monkey Schedules: load error:', e.toString());
+	}
+};
+
+/**
+ * Save handler - stores the edited schedules in the MatchMonkey settings.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules.save = function (sett) {
+	try {
+		if (!this._schedules) return;
+
+		const UI = getAllUIElements(this._pnl);
+		this._commitEdits(UI);
+
+		// Read current config to preserve the main panel's settings
+		const config = app.getValue('MatchMonkey', {}) || {};
+		config.AutoModeSchedulesEnabled = UI.AutoModeSchedulesEnabled.controlClass.checked;
+		config.AutoModeSchedules = this._schedules;
+		app.setValue('MatchMonkey', config);
+		window.matchMonkeyStorage?.updateSettingsCache(config);
+		console.log('Match Monkey Schedules: Schedules saved successfully');
+	} catch (e) {
+		console.error('Match Monkey Schedules: save error:', e.toString());
+	}
+};
+
+/**
+ * Copy a schedule list, dropping malformed entries.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules._copySchedules = function (schedules) {
+	return schedules
+		.filter(s => s && s.id)
+		.map(s => ({
+			id: String(s.id),
+			name: String(s.name || s.id),
+			days: Array.isArray(s.days) ? s.days.map(Number).filter(d => d >= 0 && d <= 6) : [],
+			start: normalizeScheduleTime(s.start) || '00:00',
+			end: normalizeScheduleTime(s.end) || '24:00',
+			mode: SCHEDULE_MODE_LABELS[s.mode] ? s.mode : 'artist',
+			value: String(s.value || ''),
+			maxTracks: Math.max(0, parseInt(s.maxTracks, 10) || 0),
+			similarLimit: Math.max(0, parseInt(s.similarLimit, 10) || 0)
+		}));
+};
+
+/**
+ * Schedule shown in the editor, or null.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules._selectedSchedule = function () {
+	return this._schedules.find(s => s.id === this._selectedId) || null;
+};
+
+/**
+ * Dropdown label of a schedule ("1. Mornings"), numbered so the check order is visible.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules._listLabel = function (schedule, index) {
+	return `${index + 1}. ${schedule.name}`;
+};
+
+/**
+ * Index of the schedule shown under a dropdown label, or -1.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules._listIndexOf = function (label) {
+	return this._schedules.findIndex((s, i) => this._listLabel(s, i) === label);
+};
+
+/**
+ * Return `name`, or `name 2`, `name 3`... if another schedule already uses it.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules._uniqueName = function (name, ignoreId) {
+	const taken = new Set(this._schedules.filter(s => s.id !== ignoreId).map(s => s.name.toLowerCase()));
+	let candidate = name;
+	for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${name} ${n}`;
+	return candidate;
+};
+
+/**
+ * Add a schedule at the end of the list and select it.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules._addSchedule = function (UI, template) {
+	const taken = new Set(this._schedules.map(s => s.id));
+	let id = 'schedule_1';
+	for (let n = 2; taken.has(id); n++) id = `schedule_${n}`;
+
+	const schedule = Object.assign({}, template, {
+		id,
+		name: this._uniqueName(template.name, null),
+		days: (template.days || []).slice()
+	});
+	this._schedules.push(schedule);
+	this._refreshList(UI, schedule.id);
+};
+
+/**
+ * Fill the schedule dropdown and select `selectId` (or the first schedule).
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules._refreshList = function (UI, selectId) {
+	const ds = newStringList();
+	this._schedules.forEach((s, i) => ds.add(this._listLabel(s, i)));
+	UI.ScheduleList.controlClass.dataSource = ds;
+
+	const index = Math.max(0, this._schedules.findIndex(s => s.id === selectId));
+	const schedule = this._schedules[index] || null;
+	this._selectedId = schedule ? schedule.id : null;
+	UI.ScheduleList.controlClass.value = schedule ? this._listLabel(schedule, index) : '';
+	this._showSchedule(UI, schedule);
+};
+
+/**
+ * Fill the Mood / activity dropdown with the presets of the mode ('mood' or 'activity').
+ * Other modes get an empty list.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules._fillPresetList = function (UI, mode, selectValue) {
+	const presets = (mode === 'mood' || mode === 'activity')
+		? (window.matchMonkeyMoodActivityDiscovery?.getPresets?.(mode) || [])
+		: [];
+
+	const ds = newStringList();
+	presets.forEach(p => ds.add(p.name));
+	UI.SchedulePreset.controlClass.dataSource = ds;
+
+	const preset = presets.find(p => p.id === selectValue) || presets[0] || null;
+	UI.SchedulePreset.controlClass.value = preset ? preset.name : '';
+};
+
+/**
+ * Show a schedule in the editor (blank fields for a null schedule).
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules._showSchedule = function (UI, schedule) {
+	UI.ScheduleName.controlClass.value = schedule ? schedule.name : '';
+	for (let day = 0; day < 7; day++) {
+		UI['Day_' + day].controlClass.checked = schedule ? schedule.days.includes(day) : false;
+	}
+	UI.ScheduleStart.controlClass.value = schedule ? schedule.start : '';
+	UI.ScheduleEnd.controlClass.value = schedule ? schedule.end : '';
+	UI.ScheduleMode.controlClass.value = SCHEDULE_MODE_LABELS[schedule ? schedule.mode : 'artist'];
+	this._fillPresetList(UI, schedule ? schedule.mode : '', schedule ? schedule.value : '');
+	UI.ScheduleMaxTracks.controlClass.value = schedule ? schedule.maxTracks : 0;
+	UI.ScheduleSimilarLimit.controlClass.value = schedule ? schedule.similarLimit : 0;
+};
+
+/**
+ * Copy the editor fields back into the selected schedule.
+ * Invalid times keep the previous value.
+ */
+optionPanels.pnl_Library.subPanels.pnl_MatchMonkey.subPanels.pnl_MatchMonkeySchedules._commitEdits = function (UI) {
+	const schedule = this._selectedSchedule();
+	if (!schedule) return;
+
+	const name = String(UI.ScheduleName.controlClass.value || '').trim();
+	if (name && name !== schedule.name) schedule.name = this._uniqueName(name, schedule.id);
+
+	schedule.days = [];
+	for (let day = 0; day < 7; day++) {
+		if (UI['Day_' + day].controlClass.checked) schedule.days.push(day);
+	}
+
+	schedule.start = normalizeScheduleTime(UI.ScheduleStart.controlClass.value) || schedule.start;
+	schedule.end = normalizeScheduleTime(UI.ScheduleEnd.controlClass.value) || schedule.end;
+
+	schedule.mode = scheduleModeFromLabel(UI.ScheduleMode.controlClass.value);
+	const presets = (schedule.mode === 'mood' || schedule.mode === 'activity')
+		? (window.matchMonkeyMoodActivityDiscovery?.getPresets?.(schedule.mode) || [])
+		: [];
+	const preset = presets.find(p => p.name === UI.SchedulePreset.controlClass.value);
+	schedule.value = preset ? preset.id : (presets.length > 0 ? schedule.value : '');
+
+	schedule.maxTracks = Math.max(0, parseInt(UI.ScheduleMaxTracks.controlClass.value, 10) || 0);
+	schedule.similarLimit = Math.max(0, parseInt(UI.ScheduleSimilarLimit.controlClass.value, 10) || 0);
+};
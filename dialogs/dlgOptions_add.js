@@ -2,4 +2,12 @@
 
 optionPanels.pnl_Library.subPanels.pnl_MatchMonkey = {
     name: 'Match Monkey',
+    subPanels: {
+        pnl_MatchMonkeyPresets: {
+            name: 'Mood & Activity Presets',
+        },
+        pnl_MatchMonkeySchedules: {
+            name: 'Auto-Queue Schedules',
+        },
+    },
 };
\ No newline at end of file
@@ -0,0 +1,300 @@
+/**
+ * MatchMonkey Preview Dialog
+ *
+ * Dry-run preview shown after library matching and before tracks are written
+ * to a playlist or the Now Playing queue. Lists the final tracks with their
+ * source candidate, API score and seed; tracks can be unticked, reordered or
+ * re-shuffled. A second tab lists the missed recommendations from the same run.
+ *
+ * Params (from orchestration.showPreviewDialog):
+ *   tracks  - [{index, artist, title, album, candidate, source, seed, apiScore}]
+ *   missed  - missed results of this run (same shape as the Missed Results tracker)
+ *
+ * getResult() returns the indexes of the ticked tracks in display order.
+ *
+ * @author Remo Imparato
+ */
+
+'use strict';
+
+requirejs('controls/gridview');
+requirejs('helpers/arraydatasource');
+localRequirejs('../modules/utils/helpers'); // -> window.matchMonkeyHelpers
+
+let UI = null;
+let dataSource = null;
+let rows = [];
+
+// Field definitions for the tracks grid
+const trackFieldDefs = {
+	included: {
+		title: 'Add',
+		bindData: (div, item) => {
+			div.innerText = item.included ? '✔' : '';
+		},
+		columnType: 'included'
+	},
+	artist: {
+		title: 'Artist',
+		bindData: (div, item) => {
+			div.innerText = item.artist || '';
+			div.style.opacity = item.included ? '' : '0.5';
+		},
+		columnType: 'artist'
+	},
+	title: {
+		title: 'Title',
+		bindData: (div, item) => {
+			div.innerText = item.title || '';
+			div.style.opacity = item.included ? '' : '0.5';
+		},
+		columnType: 'title'
+	},
+	candidate: {
+		title: 'Candidate',
+		bindData: (div, item) => {
+			div.innerText = item.candidate || '-';
+		},
+		columnType: 'candidate'
+	},
+	apiScore: {
+		title: 'API Score',
+		bindData: (div, item) => {
+			div.innerText = item.apiScore > 0 ? `${item.apiScore}%` : '-';
+		},
+		columnType: 'apiScore'
+	},
+	source: {
+		title: 'Source',
+		bindData: (div, item) => {
+			div.innerText = item.source || '-';
+		},
+		columnType: 'source'
+	},
+	seed: {
+		title: 'Seed',
+		bindData: (div, item) => {
+			div.innerText = item.seed || '-';
+		},
+		columnType: 'seed'
+	}
+};
+
+const trackColumns = [
+	{ width: 45, title: trackFieldDefs.included.title, bindData: trackFieldDefs.included.bindData, columnType: 'included' },
+	{ width: 170, title: trackFieldDefs.artist.title, bindData: trackFieldDefs.artist.bindData, columnType: 'artist' },
+	{ width: 220, title: trackFieldDefs.title.title, bindData: trackFieldDefs.title.bindData, columnType: 'title' },
+	{ width: 150, title: trackFieldDefs.candidate.title, bindData: trackFieldDefs.candidate.bindData, columnType: 'candidate' },
+	{ width: 80, title: trackFieldDefs.apiScore.title, bindData: trackFieldDefs.apiScore.bindData, columnType: 'apiScore' },
+	{ width: 110, title: trackFieldDefs.source.title, bindData: trackFieldDefs.source.bindData, columnType: 'source' },
+	{ width: 200, title: trackFieldDefs.seed.title, bindData: trackFieldDefs.seed.bindData, columnType: 'seed' }
+];
+
+// Field definitions for the missed results grid
+const missedFieldDefs = {
+	artist: {
+		title: 'Artist',
+		bindData: (div, item) => {
+			div.innerText = item.artist || '';
+		},
+		columnType: 'artist'
+	},
+	title: {
+		title: 'Title',
+		bindData: (div, item) => {
+			div.innerText = item.title || '';
+		},
+		columnType: 'title'
+	},
+	popularity: {
+		title: 'Recommendation %',
+		bindData: (div, item) => {
+			const popularity = Math.round(item.popularity || 0);
+			div.innerText = popularity > 0 ? `${popularity}%` : '-';
+		},
+		columnType: 'popularity'
+	},
+	source: {
+		title: 'Source',
+		bindData: (div, item) => {
+			div.innerText = item.additionalInfo?.source || 'Unknown';
+		},
+		columnType: 'source'
+	}
+};
+
+const missedColumns = [
+	{ width: 200, title: missedFieldDefs.artist.title, bindData: missedFieldDefs.artist.bindData, columnType: 'artist' },
+	{ width: 250, title: missedFieldDefs.title.title, bindData: missedFieldDefs.title.bindData, columnType: 'title' },
+	{ width: 110, title: missedFieldDefs.popularity.title, bindData: missedFieldDefs.popularity.bindData, columnType: 'popularity' },
+	{ width: 100, title: missedFieldDefs.source.title, bindData: missedFieldDefs.source.bindData, columnType: 'source' }
+];
+
+async function init(params) {
+	await initDialog(params);
+}
+
+async function initDialog(params) {
+	title = 'Preview Results - MatchMonkey';
+
+	UI = getAllUIElements();
+
+	rows = (params?.tracks || []).map(item => Object.assign({}, item, { included: true }));
+	const missed = params?.missed || [];
+
+	console.log(`dlgPreviewResults: ${rows.length} tracks, ${missed.length} missed results`);
+
+	// Tracks grid keeps the user's order, so no auto-sort
+	dataSource = new ArrayDataSource(rows.slice());
+	const tracksView = UI.gvTracks.controlClass;
+	tracksView.dataSource = dataSource;
+	tracksView.multiSelect = true;
+	tracksView.fieldDefs = trackFieldDefs;
+	tracksView.setColumns(trackColumns);
+
+	const missedSource = new ArrayDataSource(missed.slice());
+	const missedView = UI.gvMissed.controlClass;
+	missedView.dataSource = missedSource;
+	missedView.multiSelect = true;
+	missedView.fieldDefs = missedFieldDefs;
+	missedView.setColumns(missedColumns);
+	missedSource.setAutoSort('popularity DESC');
+
+	UI.trackCount.innerText = rows.length.toString();
+	UI.missedCount.innerText = missed.length.toString();
+	updateIncludedCount();
+
+	// Tab handlers
+	window.localListen(UI.btnTabTracks, 'click', () => showTab('tracks'));
+	window.localListen(UI.btnTabMissed, 'click', () => showTab('missed'));
+
+	// Track editing handlers
+	window.localListen(UI.btnToggle, 'click', async () => {
+		const selected = await getSelectedRows();
+		if (selected.length === 0) return;
+		// Untick when any selected track is ticked, otherwise tick them all
+		const include = !selected.some(r => r.included);
+		selected.forEach(r => { r.included = include; });
+		refreshTracks(selected);
+	});
+
+	window.localListen(UI.btnMoveUp, 'click', async () => {
+		moveRows(await getSelectedRows(), -1);
+	});
+
+	window.localListen(UI.btnMoveDown, 'click', async () => {
+		moveRows(await getSelectedRows(), 1);
+	});
+
+	window.localListen(UI.btnShuffle, 'click', () => {
+		shuffleRows();
+		refreshTracks([]);
+	});
+
+	// Dialog result
+	window.localListen(UI.btnOK, 'click', () => {
+		modalResult = 1;
+		closeWindow();
+	});
+
+	window.localListen(UI.btnCancel, 'click', () => {
+		modalResult = 0;
+		closeWindow();
+	});
+
+	console.log('dlgPreviewResults: Dialog initialized');
+}
+
+/**
+ * Indexes of the ticked tracks in display order (read by orchestration after close)
+ */
+function getResult() {
+	return rows.filter(r => r.included).map(r => r.index);
+}
+
+/**
+ * Show one of the two tabs
+ */
+function showTab(name) {
+	UI.tabTracks.style.display = name === 'tracks' ? '' : 'none';
+	UI.tabMissed.style.display = name === 'missed' ? '' : 'none';
+}
+
+/**
+ * Selected rows of the tracks grid, in display order
+ */
+async function getSelectedRows() {
+	try {
+		const selectedList = dataSource?.getSelectedList();
+		if (!selectedList || selectedList.count === 0) return [];
+
+		await window.localPromise(selectedList.whenLoaded());
+
+		const selectedIndexes = new Set();
+		selectedList.locked(() => {
+			for (let i = 0; i < selectedList.count; i++) {
+				const item = selectedList.getValue(i);
+				if (item) selectedIndexes.add(item.index);
+			}
+		});
+
+		return rows.filter(r => selectedIndexes.has(r.index));
+	} catch (e) {
+		console.error('dlgPreviewResults: Error reading selection:', e);
+		return [];
+	}
+}
+
+/**
+ * Move the selected rows one position up (-1) or down (1), keeping their relative order
+ */
+function moveRows(selected, direction) {
+	if (selected.length === 0) return;
+
+	const picked = new Set(selected);
+	const ordered = direction < 0 ? rows : rows.slice().reverse();
+
+	for (let i = 1; i < ordered.length; i++) {
+		// Swap a picked row with an unpicked neighbour in the direction of travel
+		if (picked.has(ordered[i]) && !picked.has(ordered[i - 1])) {
+			[ordered[i - 1], ordered[i]] = [ordered[i], ordered[i - 1]];
+		}
+	}
+
+	rows = direction < 0 ? ordered : ordered.reverse();
+	refreshTracks(selected);
+}
+
+/**
+ * Shuffle the rows with the same artist dispersion as the run's own shuffle
+ */
+function shuffleRows() {
+	rows = window.matchMonkeyHelpers.shuffleWithDispersion(rows);
+}
+
+/**
+ * Redraw the tracks grid from `rows`, reselecting the given rows
+ */
+function refreshTracks(selected) {
+	if (!dataSource) return;
+
+	dataSource.beginUpdate();
+	dataSource.clear();
+	rows.forEach(item => dataSource.add(item));
+	dataSource.endUpdate();
+
+	const keep = new Set(selected);
+	rows.forEach((r, i) => {
+		if (keep.has(r)) dataSource.setSelected?.(i, true);
+	});
+
+	updateIncludedCount();
+}
+
+/**
+ * Update the "Included" counter
+ */
+function updateIncludedCount() {
+	if (!UI) return;
+	UI.includedCount.innerText = `${rows.filter(r => r.included).length} of ${rows.length}`;
+}
@@ -0,0 +1,171 @@
+/**
+ * MatchMonkey Radio Anchors Dialog
+ *
+ * Lists the pinned seeds of the anchored radio (auto-queue) and lets the user
+ * remove some or clear them all. Changes are written to the `MatchMonkeyRadioAnchors`
+ * app value on Save (the auto-mode module is not loaded in dialog windows):
+ *   [{ artist, title, album, genre, path }]
+ *
+ * @author Remo Imparato
+ */
+
+'use strict';
+
+requirejs('controls/gridview');
+requirejs('helpers/arraydatasource');
+
+const ANCHORS_STORAGE_KEY = 'MatchMonkeyRadioAnchors';
+
+let UI = null;
+let dataSource = null;
+let anchors = [];
+
+// Field definitions for the grid
+const fieldDefs = {
+	artist: {
+		title: 'Artist',
+		bindData: (div, item) => {
+			div.innerText = item.artist || '';
+		},
+		columnType: 'artist'
+	},
+	title: {
+		title: 'Title',
+		bindData: (div, item) => {
+			div.innerText = item.title || '-';
+		},
+		columnType: 'title'
+	},
+	album: {
+		title: 'Album',
+		bindData: (div, item) => {
+			div.innerText = item.album || '';
+		},
+		columnType: 'album'
+	}
+};
+
+const columns = [
+	{ width: 200, title: fieldDefs.artist.title, bindData: fieldDefs.artist.bindData, columnType: 'artist' },
+	{ width: 250, title: fieldDefs.title.title, bindData: fieldDefs.title.bindData, columnType: 'title' },
+	{ width: 180, title: fieldDefs.album.title, bindData: fieldDefs.album.bindData, columnType: 'album' }
+];
+
+async function init(params) {
+	await initDialog(params);
+}
+
+async function initDialog(params) {
+	title = 'Radio Anchors - MatchMonkey';
+
+	UI = getAllUIElements();
+
+	try {
+		const stored = app.getValue(ANCHORS_STORAGE_KEY, []);
+		anchors = (Array.isArray(stored) ? stored : [])
+			.filter(a => a && a.artist)
+			.map((a, index) => Object.assign({}, a, { index }));
+	} catch (e) {
+		console.error('dlgRadioAnchors: Error loading anchors:', e);
+		anchors = [];
+	}
+
+	console.log(`dlgRadioAnchors: Loaded ${anchors.length} anchors`);
+
+	dataSource = new ArrayDataSource(anchors.slice());
+	const gridView = UI.gvAnchors.controlClass;
+	gridView.dataSource = dataSource;
+	gridView.multiSelect = true;
+	gridView.fieldDefs = fieldDefs;
+	gridView.setColumns(columns);
+	updateCount();
+
+	window.localListen(UI.btnRemove, 'click', async () => {
+		const selected = await getSelectedIndexes();
+		if (selected.size === 0) return;
+		anchors = anchors.filter(a => !selected.has(a.index));
+		refreshAnchors();
+	});
+
+	window.localListen(UI.btnClear, 'click', () => {
+		anchors = [];
+		refreshAnchors();
+	});
+
+	window.localListen(UI.btnOK, 'click', () => {
+		saveAnchors();
+		modalResult = 1;
+		closeWindow();
+	});
+
+	window.localListen(UI.btnCancel, 'click', () => {
+		modalResult = 0;
+		closeWindow();
+	});
+
+	console.log('dlgRadioAnchors: Dialog initialized');
+}
+
+/**
+ * Indexes of the selected anchors
+ */
+async function getSelectedIndexes() {
+	const indexes = new Set();
+	try {
+		const selectedList = dataSource?.getSelectedList();
+		if (!selectedList || selectedList.count === 0) return indexes;
+
+		await window.localPromise(selectedList.whenLoaded());
+
+		selectedList.locked(() => {
+			for (let i = 0; i < selectedList.count; i++) {
+				const item = selectedList.getValue(i);
+				if (item) indexes.add(item.index);
+			}
+		});
+	} catch (e) {
+		console.error('dlgRadioAnchors: Error reading selection:', e);
+	}
+	return indexes;
+}
+
+/**
+ * Redraw the grid from `anchors`
+ */
+function refreshAnchors() {
+	if (!dataSource) return;
+
+	dataSource.beginUpdate();
+	dataSource.clear();
+	anchors.forEach(item => dataSource.add(item));
+	dataSource.endUpdate();
+
+	updateCount();
+}
+
+/**
+ * Update the anchor counter
+ */
+function updateCount() {
+	if (!UI) return;
+	UI.anchorCount.innerText = anchors.length.toString();
+}
+
+/**
+ * Write the remaining anchors back to the settings store
+ */
+function saveAnchors() {
+	try {
+		const stored = anchors.map(a => ({
+			artist: a.artist || '',
+			title: a.title || '',
+			album: a.album || '',
+			genre: a.genre || '',
+			path: a.path || ''
+		}));
+		app.setValue(ANCHORS_STORAGE_KEY, stored);
+		console.log(`dlgRadioAnchors: Saved ${stored.length} anchors`);
+	} catch (e) {
+		console.error('dlgRadioAnchors: Error saving anchors:', e);
+	}
+}
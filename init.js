@@ -97,7 +97,7 @@ function start() {
 		// === Playlist Creation ===
 		// PlaylistName: Custom template for playlist names
 		//   - Uses placeholders for dynamic naming:
-		//     * %action% = Discovery type (Artists, Tracks, Genres, Acoustics, mood name, activity name)
+		//     * %action% = Discovery type (Artists, Tracks, Genres, Acoustics, Hybrid, mood name, activity name)
 		//     * %seed%   = Seed summary (artist names, genre names, or selection)
 		//   - Default: 'Similar %action% (%seed%)'
 		//   - Examples of what gets generated:
@@ -116,6 +116,7 @@ function start() {
 		ParentPlaylist: '',             // Parent playlist to organize results under (blank = root level)
 		PlaylistMode: 'Create new playlist', // Create new / Overwrite / Do not create
 		ShowConfirmDialog: false,       // Show playlist selection dialog
+		ShowPreviewDialog: false,       // Preview (untick/reorder) tracks before they are added (manual runs)
 		ShuffleResults: true,           // Randomize final results
 		IncludeSeedArtist: true,        // Include seed artist tracks
 
@@ -125,21 +126,72 @@ function start() {
 		TracksPerArtist: 20,            // Max tracks per artist from library
 		MaxPlaylistTracks: 0,           // Final limit (0 = unlimited, add all found)
 
+		// === Artist Exploration (Similar Artists) ===
+		ExplorationDepth: 1,            // artist.getSimilar hops from the seed (1-3, 1 = direct similar artists only)
+		ExplorationDecay: 0.5,          // Match score multiplier per extra hop (0.0-1.0)
+		ExplorationHop2Limit: 10,       // Max new artists reached on the second hop
+		ExplorationHop3Limit: 5,        // Max new artists reached on the third hop
+
+		// === Seed Intersection (Similar Artists) ===
+		SeedIntersection: false,        // Boost artists similar to several seed artists (common ground)
+		IntersectionMinSeeds: 1,        // Drop artists reached by fewer seed artists (1 = boost only)
+
+		// === Deep Cuts (Similar Artists / Similar Genre) ===
+		DeepCuts: false,                // Favour less played tracks over each artist's greatest hits
+		DeepCutsSkipTopHits: 5,         // Last.fm top tracks skipped per artist
+		DeepCutsNoveltyWeight: 70,      // 0 = most played first, 50 = neutral, 100 = least played first
+
+		// === Seed Source (Manual Mode) ===
+		SeedSource: 'Selected tracks',  // Selected tracks / Last.fm recent tracks / Last.fm loved tracks / Last.fm top tracks
+		LastfmUsername: '',             // Last.fm profile used by the Last.fm seed sources
+		LastfmUserPeriod: 'Last 7 days', // Period for Last.fm recent and top tracks (Last 7 days ... All time)
+
 		// === Track Selection ===
 		UseLastfmRanking: true,         // Sort by Last.fm popularity
 		PreferHighQuality: true,        // Prefer higher bitrate/rating versions
 
+		// === Result Scoring (used when UseLastfmRanking is on; relative weights, 0 = ignore) ===
+		ScoreWeightApi: 40,             // Last.fm playcount / ReccoBeats popularity / track match
+		ScoreWeightSimilarity: 25,      // Similarity of the candidate to the seeds
+		ScoreWeightRating: 15,          // Local rating (unrated = neutral)
+		ScoreWeightPlayCount: 10,       // Local play count
+		ScoreWeightFormat: 10,          // Audio format priority (lossless highest)
+
+		// === Seed Balance ===
+		SeedBalance: 'Off',             // Off / Round-robin / Weighted: share the final track limit between seeds
+		SeedWeights: '',                // Weighted balance: "Artist=weight" list, e.g. "Radiohead=2, Portishead=1" (unlisted = 1)
+
 		// === Rating Filter ===
 		MinRating: 0,                   // Minimum rating (0-100)
 		IncludeUnrated: true,           // Include tracks without ratings
 
+		// === Play History Filter ===
+		SkipPlayedDays: 0,              // Skip tracks played in the last N days (0 = off)
+		AutoModeSkipPlayedDays: 0,      // Same for auto-queue runs
+		MaxPlayCount: 0,                // Skip tracks played more than N times (0 = no cap)
+
 		// === Auto-Mode Settings ===
 		AutoModeEnabled: false,         // Enable auto-queue on playlist end
-		AutoModeDiscovery: 'Similar Tracks',     // Discovery type: artist/track/genre/acoustics
+		AutoModeDiscovery: 'Similar Tracks',     // Discovery type: artist/track/genre/acoustics/hybrid/album/local
+		AutoModeFallbackEnabled: true,  // Try the fallback chain when the discovery mode adds nothing
+		AutoModeFallbackChain: 'Similar Tracks, Similar Acoustics, Similar Artists, Similar Genre, Local Library', // Modes or "Mood: X"/"Activity: X", tried in order
+		AutoModeTriggerType: 'Tracks remaining', // 'Tracks remaining' or 'Minutes remaining'
 		AutoModeSeedLimit: 2,           // Seeds to process in auto-mode
+		AutoModeMinutesThreshold: 10,   // Minutes trigger: run when this many minutes are left
 		AutoModeSimilarLimit: 10,       // Similar artists per seed in auto-mode
 		AutoModeTracksPerArtist: 5,     // Tracks per artist in auto-mode
-		AutoModeMaxTracks: 10,          // Max tracks per auto-queue trigger
+		AutoModeMaxTracks: 10,          // Max tracks per auto-queue trigger (tracks trigger)
+		AutoModeFillMinutes: 30,        // Minutes trigger: top Now Playing up to this many minutes
+		AutoModePrefetchEnabled: true,  // Prepare the next batch in the background while the queue plays
+		AutoModeHistoryEnabled: true,   // Skip tracks/artists queued or played too recently
+		AutoModeNoRepeatTrackHours: 8,  // No repeat of a track within N hours (0 = off)
+		AutoModeNoRepeatArtistTracks: 10, // No same artist within the last N tracks (0 = off)
+		AutoModeRadioEnabled: false,    // Anchored radio: blend pinned anchor seeds with queue seeds
+		AutoModeAnchorRatio: 50,        // Anchored radio: % of seeds taken from the anchors
+		AutoModeSchedulesEnabled: false, // Pick mode and limits from the active time-of-day schedule
+		AutoModeSchedules: [],          // Time-of-day schedules (edited in Auto-Queue Schedules)
+		AutoModeLearnFromSkips: true,   // Skipped/finished auto-queued tracks adjust their artist and seed
+		AutoModeSkipSeconds: 30,        // Plays shorter than this count as skips
 
 		// === Queue Behavior ===
 		EnqueueMode: false,             // Add to Now Playing instead of playlist
@@ -147,13 +199,33 @@ function start() {
 		SkipDuplicates: true,           // Skip tracks already in queue
 		NavigateAfter: 'Navigate to new playlist', // Navigation after completion
 
+		// === Hybrid Discovery ===
+		HybridLastfmSource: 'Similar Tracks', // Last.fm side of hybrid mode: Similar Tracks or Similar Artists
+		HybridLastfmWeight: 60,         // Weight of Last.fm similarity in the combined score
+		HybridReccoWeight: 40,          // Weight of ReccoBeats popularity in the combined score
+
+		// === Album Discovery ===
+		AlbumsPerArtist: 2,             // Albums taken from each similar artist in album mode
+		AlbumTracksPerAlbum: 0,         // Tracks taken from each album (0 = whole album in track order)
+
+		// === Artist Journey ===
+		JourneyMaxHops: 4,              // Most similar-artist steps between two seed artists (1-8)
+		JourneyTracksPerArtist: 3,      // Library tracks taken from each artist along the path
+
+		// === Local Library Discovery (offline) ===
+		LocalYearRange: 5,              // Tracks more than this many years from a seed get no year score
+		LocalBpmRange: 10,              // Tracks more than this many BPM from a seed get no tempo score
+
+		// === Mood & Activity ===
+		MoodBlendRatio: 0.5,            // 0.0 = all seed taste, 1.0 = all mood/activity preset
+		MoodActivityPresets: null,      // {mood: [...], activity: [...]} edited in Options; null = built-in presets
+
 		// === Underdeveloped / Experimental Features ===
-		HybridMode: false,               // Combine ReccoBeats + Last.fm
 		DefaultMood: '',                // Default mood: energetic, relaxed, happy, sad, focused
 		DefaultActivity: '',            // Default activity: workout, study, party, sleep, driving
 		ArtistBlacklist: '',            // Comma-separated blacklisted artists
 		GenreBlacklist: '',             // Comma-separated blacklisted genres
-		TitleExclusions: '',            // Comma-separated title words to exclude
+		TitleExclusions: '',            // Comma-separated title rules: words, "quoted phrases", /regex/i
 
 		// === Cache ===
 		CacheTTLHours: 72,              // Hours before cached API responses expire (ReccoBeats lookups use 7x this value)
@@ -189,6 +261,7 @@ function start() {
 		'Black': 'ArtistBlacklist',
 		'Genre': 'GenreBlacklist',
 		'Exclude': 'TitleExclusions',
+		'MoodActivityBlendRatio': 'MoodBlendRatio',
 	};
 
 	/**
@@ -239,6 +312,12 @@ function start() {
 					}
 				}
 
+				// Add Local Library as the last resort to an unchanged default fallback chain
+				if (updatedConfig.AutoModeFallbackChain === 'Similar Tracks, Similar Acoustics, Similar Artists, Similar Genre') {
+					updatedConfig.AutoModeFallbackChain = DEFAULTS.AutoModeFallbackChain;
+					upgradedValues.push('AutoModeFallbackChain: + Local Library');
+				}
+
 				// Step 3: Add any missing default keys
 				for (const key in DEFAULTS) {
 					if (!(key in updatedConfig)) {
@@ -96,6 +96,10 @@
 		 * - 'track': Use Last.fm track.getSimilar to find musically similar tracks
 		 * - 'genre': Use Last.fm tag.getTopArtists to find artists in same genre
 		 * - 'acoustics': Use ReccoBeats to find recommendations based on seed tracks
+		 * - 'hybrid': Merge Last.fm and ReccoBeats candidates with a weighted score
+		 * - 'album': Use Last.fm artist.getTopAlbums to find whole albums by similar artists
+		 * - 'journey': Walk the Last.fm similar-artists graph from the first seed artist to the last
+		 * - 'local': Use only the MediaMonkey library (genre, year, album artist, composer, BPM, playlists)
 		 * - 'mood': Use predefined mood audio profiles
 		 * - 'activity': Use predefined activity audio profiles
 		 */
@@ -104,6 +108,10 @@
 			TRACK: 'track',
 			GENRE: 'genre',
 			ACOUSTICS: 'acoustics',
+			HYBRID: 'hybrid',
+			ALBUM: 'album',
+			JOURNEY: 'journey',
+			LOCAL: 'local',
 			MOOD: 'mood',
 			ACTIVITY: 'activity'
 		};
@@ -121,6 +129,7 @@
 		 * @param {string} [discoveryMode='artist'] - Discovery mode constant
 		 * @param {object} [options={}] - Additional options
 		 * @param {string} [options.moodActivityValue] - Specific mood or activity value to use
+		 * @param {object} [options.seedPlaylist] - MM5 playlist to sample the seeds from instead of the selection
 		 * @returns {Promise<object>} Result from orchestration
 		 */
 		async function runMatchMonkey(autoModeFlag = false, discoveryMode = DISCOVERY_MODES.ARTIST, options = {}) {
@@ -132,33 +141,13 @@
 					discoveryMode = DISCOVERY_MODES.ARTIST;
 				}
 				
-				console.log(`Match Monkey: Running (autoMode=${autoModeFlag}, discoveryMode=${discoveryMode}, options=${JSON.stringify(options)})`);
+				const loggedOptions = options.seedPlaylist ? { ...options, seedPlaylist: options.seedPlaylist.name } : options;
+				console.log(`Match Monkey: Running (autoMode=${autoModeFlag}, discoveryMode=${discoveryMode}, options=${JSON.stringify(loggedOptions)})`);
 				
 				// Build enriched modules with mood/activity context if specified
-				let enrichedModules = modules;
-				
-				// Handle mood/activity modes with optional value override
-				if (discoveryMode === DISCOVERY_MODES.MOOD || discoveryMode === DISCOVERY_MODES.ACTIVITY) {
-					const { getSetting } = storage;
-					const context = discoveryMode === DISCOVERY_MODES.MOOD ? 'mood' : 'activity';
-					
-					// Use provided value or fall back to settings default
-					let value = options.moodActivityValue;
-					if (!value) {
-						value = context === 'mood' 
-							? getSetting('DefaultMood', 'energetic')
-							: getSetting('DefaultActivity', 'workout');
-					}
-					
-					enrichedModules = {
-						...modules,
-						_moodActivityContext: {
-							context,
-							value
-						}
-					};
-					
-					console.log(`Match Monkey: Using ${context} "${value}"`);
+				let enrichedModules = withMoodActivityContext(discoveryMode, options.moodActivityValue);
+				if (options.seedPlaylist) {
+					enrichedModules = { ...enrichedModules, _seedPlaylist: options.seedPlaylist };
 				}
 				
 				const result = await orchestration.generateSimilarPlaylist(enrichedModules, autoModeFlag, discoveryMode);
@@ -181,6 +170,39 @@
 			}
 		}
 
+		/**
+		 * Modules for a run, with the mood/activity context attached for mood and activity modes.
+		 * 
+		 * @param {string} discoveryMode - Discovery mode constant
+		 * @param {string} [moodActivityValue] - Mood or activity preset id (defaults to DefaultMood/DefaultActivity)
+		 * @returns {object} Modules to pass to orchestration
+		 */
+		function withMoodActivityContext(discoveryMode, moodActivityValue) {
+			if (discoveryMode !== DISCOVERY_MODES.MOOD && discoveryMode !== DISCOVERY_MODES.ACTIVITY) {
+				return modules;
+			}
+
+			const { getSetting } = storage;
+			const context = discoveryMode === DISCOVERY_MODES.MOOD ? 'mood' : 'activity';
+			
+			// Use provided value or fall back to settings default
+			let value = moodActivityValue;
+			if (!value) {
+				value = context === 'mood' 
+					? getSetting('DefaultMood', 'energetic')
+					: getSetting('DefaultActivity', 'workout');
+			}
+			
+			console.log(`Match Monkey: Using ${context} "${value}"`);
+			return {
+				...modules,
+				_moodActivityContext: {
+					context,
+					value
+				}
+			};
+		}
+
 		/**
 		 * Toggle auto-mode on/off.
 		 */
@@ -335,6 +357,53 @@
 			}
 		}
 
+		/**
+		 * Ask for a playlist and run a discovery mode seeded from its tracks.
+		 * 
+		 * @param {string} [discoveryMode='artist'] - Discovery mode constant
+		 * @returns {Promise<object>} Result from orchestration
+		 */
+		async function runFromPlaylist(discoveryMode = DISCOVERY_MODES.ARTIST) {
+			const playlist = await orchestration.showPlaylistDialog();
+			if (!playlist || playlist.autoCreate) {
+				console.log('Match Monkey: No seed playlist selected');
+				return { success: false, error: 'No playlist selected.', tracksAdded: 0 };
+			}
+
+			console.log(`Match Monkey: Seeding ${discoveryMode} discovery from playlist "${playlist.name}"`);
+			return runMatchMonkey(false, discoveryMode, { seedPlaylist: playlist });
+		}
+
+		// ============================================================================
+		// ANCHORED RADIO
+		// ============================================================================
+
+		/**
+		 * Pin the selected tracks (or the playing track) as the anchored radio seeds.
+		 * 
+		 * @returns {Promise<number>} Number of anchors pinned
+		 */
+		async function pinRadioAnchors() {
+			const { showToast } = modules.ui.notifications;
+
+			try {
+				const seeds = await orchestration.collectSeedTracks(modules);
+				if (!seeds || seeds.length === 0) {
+					showToast('Select tracks to pin as radio anchors', { type: 'warning', duration: 4000 });
+					return 0;
+				}
+
+				const pinned = autoMode.setRadioAnchors(seeds);
+				console.log(`Match Monkey: Pinned ${pinned} radio anchor(s)`);
+				showToast(`Pinned ${pinned} radio anchor(s)`, { type: 'success', duration: 3000 });
+				return pinned;
+			} catch (e) {
+				console.error('Match Monkey: Error pinning radio anchors:', e);
+				showToast(`Could not pin radio anchors: ${e.message || e}`, { type: 'error', duration: 5000 });
+				return 0;
+			}
+		}
+
 		// ============================================================================
 		// AUTO-MODE SETUP
 		// ============================================================================
@@ -360,14 +429,16 @@
 
 			cachedAutoTriggerHandler = autoMode.createAutoTriggerHandler({
 				getSetting,
-				generateSimilarPlaylist: (autoModeFlag, discoveryMode, thresholdParam) => {
+				generateSimilarPlaylist: (autoModeFlag, discoveryMode, thresholdParam, options = {}) => {
 					// Use provided threshold or fall back to settings
 					const actualThreshold = typeof thresholdParam === 'number' ? thresholdParam : threshold;
+					const runOptions = { fillMs: options.fillMs, limits: options.limits, prefetch: options.prefetch, isCancelled: options.isCancelled };
 					
-					// If discoveryMode is explicitly provided (e.g., from retry logic), use it
+					// If discoveryMode is explicitly provided (e.g., from the fallback chain), use it
 					if (discoveryMode) {
 						console.log(`Match Monkey Auto-Mode: Using explicit discovery mode: ${discoveryMode}`);
-						return orchestration.generateSimilarPlaylist(modules, autoModeFlag, discoveryMode, actualThreshold);
+						const runModules = withMoodActivityContext(discoveryMode, options.moodActivityValue);
+						return orchestration.generateSimilarPlaylist(runModules, autoModeFlag, discoveryMode, actualThreshold, runOptions);
 					}
 
 					// Otherwise, read from settings and normalize to lowercase
@@ -375,8 +446,9 @@
 					const mode = autoModeSetting.toLowerCase();
 
 					console.log(`Match Monkey Auto-Mode: Using ${mode} discovery from settings`);
-					return orchestration.generateSimilarPlaylist(modules, autoModeFlag, mode, actualThreshold);
+					return orchestration.generateSimilarPlaylist(modules, autoModeFlag, mode, actualThreshold, runOptions);
 				},
+				queuePrefetched: (prefetchResult, options = {}) => orchestration.queuePrefetchedResults(modules, prefetchResult, options),
 				showToast,
 				isAutoModeEnabled: () => autoMode.isAutoModeEnabled(getSetting),
 				threshold,
@@ -409,6 +481,14 @@
 					return 'Similar Genre';
 				case 'acoustics':
 					return 'Similar Acoustics';
+				case 'hybrid':
+					return 'Similar Hybrid';
+				case 'album':
+					return 'Similar Albums';
+				case 'journey':
+					return 'Artist Journey';
+				case 'local':
+					return 'Local Library';
 				case 'mood':
 					return 'Mood';
 				case 'activity':
@@ -580,12 +660,16 @@
 			shutdown,
 			runMatchMonkey,
 			runMoodActivityPlaylist,
+			runFromPlaylist,
 			toggleAuto,
 			isAutoEnabled,
 			
 			// Cache management
 			clearCache,
 
+			// Anchored radio
+			pinRadioAnchors,
+
 			// Discovery modes (for external use)
 			DISCOVERY_MODES,
 
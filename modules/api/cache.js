@@ -12,6 +12,8 @@
  * - lastfm.topTracks: artist.getTopTracks results
  * - lastfm.similarTracks: track.getSimilar results
  * - lastfm.artistInfo: artist.getInfo results
+ * - lastfm.userTracks: user.getRecentTracks / getLovedTracks / getTopTracks results
+ * - lastfm.topAlbums: artist.getTopAlbums results
  * 
  * ReccoBeats (separated by data type):
  * - reccobeats.lookups: artist, album, and track ID lookups
@@ -23,6 +25,7 @@
  *   use the user-configurable CacheTTLHours (default 72h).
  * - reccobeats.lookups uses a fixed 1-year TTL because artist/album/track IDs
  *   are permanent and lookups are expensive (many paginated API calls).
+ * - lastfm.userTracks is capped at 1 hour so listening-history seeds stay current.
  * 
  * Only essential fields are stored in each cache entry to minimize memory.
  * API responses are trimmed to the fields actually consumed downstream.
@@ -57,6 +60,14 @@ const LONG_TTL_MAPS = new Set(['lookups']);
 
 const LOOKUP_TTL_MS = 365 * 24 * 60 * 60 * 1000; // 1 year — IDs don't change
 
+/**
+ * Map category names capped at a short TTL.
+ * A user's listening history changes with every scrobble.
+ */
+const SHORT_TTL_MAPS = new Set(['userTracks']);
+
+const USER_TRACKS_TTL_MS = 60 * 60 * 1000; // 1 hour
+
 // =========================================================================
 // CACHE KEY HELPERS
 // =========================================================================
@@ -110,6 +121,9 @@ function getTTLForMap(groupName, mapName) {
 	if (groupName === 'reccobeats' && LONG_TTL_MAPS.has(mapName)) {
 		return LOOKUP_TTL_MS; // fixed 1-year — IDs are permanent
 	}
+	if (groupName === 'lastfm' && SHORT_TTL_MAPS.has(mapName)) {
+		return Math.min(USER_TRACKS_TTL_MS, getStandardTTL());
+	}
 	return getStandardTTL();
 }
 
@@ -132,7 +146,7 @@ function isEntryValid(ts, ttl) {
  * All Map names that belong to each group.
  */
 const CACHE_STRUCTURE = {
-	lastfm: ['similarArtists', 'topTracks', 'similarTracks', 'artistInfo', 'tagArtists'],
+	lastfm: ['similarArtists', 'topTracks', 'similarTracks', 'artistInfo', 'tagArtists', 'userTracks', 'topAlbums'],
 	reccobeats: ['lookups', 'audioFeatures', 'recommendations'],
 };
 
@@ -143,6 +157,8 @@ function createEmptyCacheCounts() {
 		similarTracks: 0,
 		artistInfo: 0,
 		tagArtists: 0,
+		userTracks: 0,
+		topAlbums: 0,
 		artistLookups: 0,
 		albumLookups: 0,
 		trackLookups: 0,
@@ -169,6 +185,8 @@ function computeCacheCountsFromStore(store) {
 	counts.similarTracks = store.lastfm?.similarTracks?.size || 0;
 	counts.artistInfo = store.lastfm?.artistInfo?.size || 0;
 	counts.tagArtists = store.lastfm?.tagArtists?.size || 0;
+	counts.userTracks = store.lastfm?.userTracks?.size || 0;
+	counts.topAlbums = store.lastfm?.topAlbums?.size || 0;
 	counts.audioFeatures = store.reccobeats?.audioFeatures?.size || 0;
 	counts.recommendations = store.reccobeats?.recommendations?.size || 0;
 
@@ -567,7 +585,7 @@ function removeCacheEntry(groupName, mapName, key) {
  * Get a specific Last.fm cache Map by name.
  * Returns a wrapper that transparently handles timestamped entries,
  * so callers can use has()/get()/set() without knowing about { data, ts }.
- * @param {string} mapName - One of: 'similarArtists', 'topTracks', 'similarTracks', 'artistInfo'
+ * @param {string} mapName - One of: 'similarArtists', 'topTracks', 'similarTracks', 'artistInfo', 'tagArtists', 'userTracks', 'topAlbums'
  * @returns {object|null} Map-like wrapper, or null if cache is not active
  */
 function getLastfmMap(mapName) {
@@ -688,6 +706,8 @@ function getCacheStats() {
 			similarTracks: cacheStore.lastfm.similarTracks?.size || 0,
 			artistInfo: cacheStore.lastfm.artistInfo?.size || 0,
 			tagArtists: cacheStore.lastfm.tagArtists?.size || 0,
+			userTracks: cacheStore.lastfm.userTracks?.size || 0,
+			topAlbums: cacheStore.lastfm.topAlbums?.size || 0,
 		},
 		reccobeats: {
 			lookups: cacheStore.reccobeats.lookups?.size || 0,
@@ -712,6 +732,8 @@ function getDetailedStats() {
 			similarTracks: cacheStore.lastfm.similarTracks?.size || 0,
 			artistInfo: cacheStore.lastfm.artistInfo?.size || 0,
 			tagArtists: cacheStore.lastfm.tagArtists?.size || 0,
+			userTracks: cacheStore.lastfm.userTracks?.size || 0,
+			topAlbums: cacheStore.lastfm.topAlbums?.size || 0,
 		},
 		reccobeats: {
 			artistLookups: 0,
@@ -1,7 +1,8 @@
 /**
  * Last.fm API Query Functions
  * 
- * Fetches similar artists and top tracks from Last.fm API.
+ * Fetches similar artists, top tracks and top albums from Last.fm API, plus a user's
+ * recent/loved/top tracks for profile-based seeding.
  * Works with per-run cache to avoid redundant API calls within a single operation.
  * 
 
@@ -642,6 +643,230 @@ async function fetchArtistsByTag(tag, limit = 30) {
 	}
 }
 
+/**
+ * Fetch top albums for an artist from Last.fm (artist.getTopAlbums).
+ * Results are cached in the lastfm.topAlbums map.
+ * 
+ * @param {string} artistName Artist name to fetch top albums for.
+ * @param {number} [limit=10] Maximum albums to return.
+ * @returns {Promise<object[]>} Array of {name, playcount, rank}, most played first.
+ *                              Returns empty array on error.
+ */
+async function fetchTopAlbums(artistName, limit = 10) {
+	const logger = _getLastfmLogger();
+	try {
+		if (!artistName) return [];
+
+		const cache = window.matchMonkeyCache;
+		const updateProgress = window.matchMonkeyNotifications?.updateProgress || (() => { });
+
+		const lim = Math.max(1, Number(limit) || 10);
+		const cacheKey = `${artistName}:${lim}`.toUpperCase();
+		const topAlbumsMap = cache?.getLastfmMap?.('topAlbums');
+		if (topAlbumsMap?.has(cacheKey)) {
+			const cached = topAlbumsMap.get(cacheKey);
+			logger?.debug('Last.fm', `Cache hit for top albums: "${artistName}" (${cached.length} albums)`);
+			return cached;
+		}
+
+		const apiKey = getApiKey();
+		if (!apiKey) {
+			logger?.error('Last.fm', 'No API key available for fetchTopAlbums');
+			updateProgress('Last.fm: API key not configured - contact developer', undefined);
+			return [];
+		}
+
+		const params = new URLSearchParams({
+			method: 'artist.getTopAlbums',
+			api_key: apiKey,
+			format: 'json',
+			artist: artistName,
+			autocorrect: '1',
+			limit: String(lim)
+		});
+
+		const url = API_BASE + '?' + params.toString();
+		logger?.debug('Last.fm', `Fetching top albums for "${artistName}", limit=${lim}`);
+		updateProgress(`Last.fm: Fetching top albums for "${artistName}"...`, undefined);
+
+		const res = await lastfmFetch(url);
+		if (!res || !res.ok) {
+			logger?.warn('Last.fm', `HTTP ${res?.status} for top albums: "${artistName}"`);
+			updateProgress(`Last.fm: Failed to fetch albums for "${artistName}" (HTTP ${res?.status})`, undefined);
+			return [];
+		}
+
+		let data;
+		try {
+			data = await res.json();
+		} catch (e) {
+			logger?.warn('Last.fm', `Invalid JSON for top albums: "${artistName}": ${e.toString()}`);
+			updateProgress(`Last.fm: Error parsing albums for "${artistName}"`, undefined);
+			return [];
+		}
+
+		if (data?.error) {
+			logger?.warn('Last.fm', `API Error ${data.error} for top albums: "${artistName}" - ${data.message || 'Unknown error'}`);
+			updateProgress(`Last.fm: Error fetching albums for "${artistName}": ${data.message || 'Unknown error'}`, undefined);
+			return [];
+		}
+
+		let albums = data?.topalbums?.album || [];
+		if (!Array.isArray(albums)) albums = albums ? [albums] : [];
+
+		// Last.fm lists "(null)" placeholders for untitled releases
+		const results = albums.map((a, idx) => ({
+			name: a?.name || '',
+			playcount: Number(a?.playcount) || 0,
+			rank: Number(a?.['@attr']?.rank) || (idx + 1)
+		})).filter(a => a.name && a.name !== '(null)');
+
+		logger?.debug('Last.fm', `Found ${results.length} top albums for "${artistName}"`);
+
+		topAlbumsMap?.set(cacheKey, results);
+
+		return results;
+
+	} catch (e) {
+		if (e?.message === '__CANCELLED__') throw e;
+		logger?.error('Last.fm', `Exception for top albums "${artistName}": ${e.toString()}`);
+		window.matchMonkeyNotifications?.updateProgress?.(`Last.fm: Error fetching albums`, undefined);
+		return [];
+	}
+}
+
+/**
+ * Last.fm user.* methods and the response key holding their track list.
+ */
+const USER_TRACK_METHODS = {
+	recent: { method: 'user.getRecentTracks', root: 'recenttracks', label: 'recent' },
+	loved: { method: 'user.getLovedTracks', root: 'lovedtracks', label: 'loved' },
+	top: { method: 'user.getTopTracks', root: 'toptracks', label: 'top' },
+};
+
+/**
+ * Valid `period` values for user.getTopTracks.
+ */
+const USER_TOP_PERIODS = ['7day', '1month', '3month', '6month', '12month', 'overall'];
+
+/**
+ * Days covered by each period, for the `from` timestamp of user.getRecentTracks ('overall' has no start).
+ */
+const USER_PERIOD_DAYS = { '7day': 7, '1month': 30, '3month': 90, '6month': 180, '12month': 365 };
+
+/**
+ * Fetch a Last.fm user's recent, loved or top tracks.
+ * Results are cached in the lastfm.userTracks map (short TTL, history changes often).
+ * 
+ * @param {string} username Last.fm username.
+ * @param {string} source 'recent' | 'loved' | 'top'.
+ * @param {string} [period='7day'] Top tracks period; recent tracks start that many days back (ignored for loved).
+ * @param {number} [limit=50] Maximum tracks to return (1-200).
+ * @returns {Promise<object[]>} Array of {artist, title, album, playcount}, most recent/played first.
+ *                              Duplicate artist/title pairs are removed. Returns empty array on error.
+ */
+async function fetchUserTracks(username, source, period = '7day', limit = 50) {
+	const logger = _getLastfmLogger();
+	try {
+		const user = String(username || '').trim();
+		const spec = USER_TRACK_METHODS[source];
+		if (!user || !spec) return [];
+
+		const cache = window.matchMonkeyCache;
+		const updateProgress = window.matchMonkeyNotifications?.updateProgress || (() => { });
+
+		const topPeriod = USER_TOP_PERIODS.includes(period) ? period : '7day';
+		const lim = Math.max(1, Math.min(200, Number(limit) || 50));
+		const usesPeriod = source === 'top' || source === 'recent';
+		const cacheKey = `${source}:${user}:${usesPeriod ? topPeriod : ''}:${lim}`.toUpperCase();
+		const userTracksMap = cache?.getLastfmMap?.('userTracks');
+		if (userTracksMap?.has(cacheKey)) {
+			const cached = userTracksMap.get(cacheKey);
+			logger?.debug('Last.fm', `Cache hit for ${spec.label} tracks of "${user}" (${cached.length} tracks)`);
+			return cached;
+		}
+
+		const apiKey = getApiKey();
+		if (!apiKey) {
+			logger?.error('Last.fm', 'No API key available for fetchUserTracks');
+			updateProgress('Last.fm: API key not configured - contact developer', undefined);
+			return [];
+		}
+
+		const params = new URLSearchParams({
+			method: spec.method,
+			api_key: apiKey,
+			format: 'json',
+			user: user,
+			limit: String(lim)
+		});
+		if (source === 'top') params.set('period', topPeriod);
+		if (source === 'recent' && USER_PERIOD_DAYS[topPeriod]) {
+			params.set('from', String(Math.floor(Date.now() / 1000) - USER_PERIOD_DAYS[topPeriod] * 86400));
+		}
+
+		const url = API_BASE + '?' + params.toString();
+		logger?.debug('Last.fm', `Querying ${spec.method} for user="${user}"${usesPeriod ? `, period=${topPeriod}` : ''}, limit=${lim}`);
+		updateProgress(`Last.fm: Loading ${spec.label} tracks for "${user}"...`, undefined);
+
+		const res = await lastfmFetch(url);
+		if (!res || !res.ok) {
+			logger?.warn('Last.fm', `HTTP ${res?.status} for ${spec.method} user="${user}"`);
+			updateProgress(`Last.fm: Failed to load ${spec.label} tracks for "${user}" (HTTP ${res?.status})`, undefined);
+			return [];
+		}
+
+		let data;
+		try {
+			data = await res.json();
+		} catch (e) {
+			logger?.warn('Last.fm', `Invalid JSON for ${spec.method} user="${user}": ${e.toString()}`);
+			updateProgress(`Last.fm: Error parsing ${spec.label} tracks for "${user}"`, undefined);
+			return [];
+		}
+
+		if (data?.error) {
+			logger?.warn('Last.fm', `API Error ${data.error} for ${spec.method} user="${user}" - ${data.message || 'Unknown error'}`);
+			updateProgress(`Last.fm: Error loading tracks for "${user}": ${data.message || 'Unknown error'}`, undefined);
+			return [];
+		}
+
+		let tracks = data?.[spec.root]?.track || [];
+		if (!Array.isArray(tracks)) tracks = tracks ? [tracks] : [];
+
+		// Artist/album come as {name} (loved/top) or {'#text'} (recent)
+		const seen = new Set();
+		const results = [];
+		for (const t of tracks) {
+			const artist = t?.artist?.name || t?.artist?.['#text'] || '';
+			const title = t?.name || '';
+			if (!artist || !title) continue;
+			const key = `${artist}|${title}`.toUpperCase();
+			if (seen.has(key)) continue;
+			seen.add(key);
+			results.push({
+				artist,
+				title,
+				album: t?.album?.['#text'] || '',
+				playcount: Number(t?.playcount) || 0
+			});
+		}
+
+		logger?.debug('Last.fm', `Found ${results.length} unique ${spec.label} tracks for user="${user}"`);
+		updateProgress(`Last.fm: Found ${results.length} ${spec.label} tracks for "${user}"`, undefined);
+
+		userTracksMap?.set(cacheKey, results);
+
+		return results;
+
+	} catch (e) {
+		if (e?.message === '__CANCELLED__') throw e;
+		logger?.error('Last.fm', `Exception for user tracks "${username}": ${e.toString()}`);
+		window.matchMonkeyNotifications?.updateProgress?.(`Last.fm: Error loading user tracks`, undefined);
+		return [];
+	}
+}
+
 // Export to window namespace for MM5
 window.matchMonkeyLastfmAPI = {
 	fetchSimilarArtists,
@@ -649,6 +874,8 @@ window.matchMonkeyLastfmAPI = {
 	fetchSimilarTracks,
 	fetchArtistInfo,
 	fetchArtistsByTag,
+	fetchTopAlbums,
+	fetchUserTracks,
 	getApiKey,
 	API_BASE,
 	MATCHMONKEY_API_KEY,
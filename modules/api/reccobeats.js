@@ -1569,6 +1569,77 @@ function calculateAudioFeatureMatch(track, target, weights = null) {
 	return totalWeight > 0 ? (weightedScore / totalWeight) : 0;
 }
 
+/**
+ * Average audio features across tracks.
+ * Only numeric values are averaged; features missing from every track are omitted.
+ * 
+ * @param {object[]} features - Array of audio feature objects (from fetchTrackAudioFeatures)
+ * @returns {object|null} Averaged features keyed by AUDIO_FEATURE_NAMES, or null if none
+ */
+function calculateAverageFeatures(features) {
+	if (!Array.isArray(features) || features.length === 0) return null;
+
+	const avg = {};
+	for (const name of AUDIO_FEATURE_NAMES) {
+		let sum = 0;
+		let count = 0;
+		for (const f of features) {
+			const v = Number(f?.[name]);
+			if (f?.[name] != null && Number.isFinite(v)) {
+				sum += v;
+				count++;
+			}
+		}
+		if (count > 0) avg[name] = sum / count;
+	}
+
+	return Object.keys(avg).length > 0 ? avg : null;
+}
+
+/**
+ * Blend a mood/activity preset with the seeds' averaged audio features.
+ * 
+ * For every feature in the preset, target/min/max are interpolated between the
+ * preset window re-centred on the seed average (blendRatio 0.0 = all seed taste)
+ * and the preset itself (blendRatio 1.0 = all mood/activity). Features the seeds
+ * have no value for keep the preset window.
+ * 
+ * @param {object|null} seedAvg - Averaged seed features (from calculateAverageFeatures)
+ * @param {object} moodPreset - Preset {feature: {target, min, max}}
+ * @param {number} blendRatio - 0.0-1.0
+ * @returns {object} Blended preset {feature: {target, min, max}}
+ */
+function blendFeatures(seedAvg, moodPreset, blendRatio) {
+	const ratio = Math.max(0, Math.min(1, Number(blendRatio)));
+	const blended = {};
+
+	for (const [feature, preset] of Object.entries(moodPreset || {})) {
+		const seedValue = seedAvg?.[feature];
+		if (seedValue == null || !Number.isFinite(ratio) || ratio >= 1) {
+			blended[feature] = { ...preset };
+			continue;
+		}
+
+		// Shifting the window by (1 - ratio) of the distance to the seed average
+		// interpolates target, min and max alike
+		const shift = (1 - ratio) * (seedValue - preset.target);
+		let target = preset.target + shift;
+		let min = preset.min + shift;
+		let max = preset.max + shift;
+
+		// Keep 0-1 features inside their scale (tempo is BPM, loudness is dB)
+		if (feature !== 'tempo' && feature !== 'loudness') {
+			target = Math.max(0, Math.min(1, target));
+			min = Math.max(0, Math.min(1, min));
+			max = Math.max(0, Math.min(1, max));
+		}
+
+		blended[feature] = { target, min, max };
+	}
+
+	return blended;
+}
+
 // =============================================================================
 // EXPORT TO WINDOW NAMESPACE
 // =============================================================================
@@ -1595,6 +1666,8 @@ window.matchMonkeyReccoBeatsAPI = {
 	fetchRecommendations,
 	filterTracksByAudioFeatures,
 	calculateAudioFeatureMatch,
+	calculateAverageFeatures,
+	blendFeatures,
 	getLogAudioFeatures,
 
 	// Constants
@@ -7,8 +7,14 @@
  * Key Features:
  * - Playback event listener attachment/detachment
  * - Remaining entries detection (multiple fallback methods)
- * - Threshold-based auto-triggering (2 or fewer entries remaining)
+ * - Threshold-based auto-triggering (2 or fewer entries remaining, or minutes remaining)
  * - Rate limiting (prevent multiple simultaneous runs)
+ * - Configurable fallback chain (discovery modes and mood/activity presets)
+ * - Session history of queued/played tracks for no-repeat windows (persisted)
+ * - Skip/completion feedback per artist and seed, used to order later runs (persisted)
+ * - Anchored radio: pinned seeds blended with recent queue seeds (persisted)
+ * - Time-of-day schedules that pick the mode, mood/activity and limits per trigger
+ * - Background prefetch of the next batch, revalidated against the queue before it is added
  * - Error recovery and logging
  * 
  * @author Remo Imparato
@@ -17,6 +23,124 @@
 
 'use strict';
 
+// Fallback chain used when AutoModeFallbackChain is not set (the previous hardcoded order, then
+// Local Library as the last resort: it needs no Last.fm or ReccoBeats, so it still works offline)
+const AUTO_FALLBACK_DEFAULT_CHAIN = 'Similar Tracks, Similar Acoustics, Similar Artists, Similar Genre, Local Library';
+
+// Discovery modes accepted in the fallback chain (display name or mode key -> mode key)
+const AUTO_FALLBACK_MODE_KEYS = {
+	'similar artists': 'artist',
+	'similar tracks': 'track',
+	'similar genre': 'genre',
+	'similar acoustics': 'acoustics',
+	'similar hybrid': 'hybrid',
+	'similar albums': 'album',
+	'local library': 'local',
+	artist: 'artist',
+	track: 'track',
+	genre: 'genre',
+	acoustics: 'acoustics',
+	hybrid: 'hybrid',
+	album: 'album',
+	local: 'local',
+};
+
+// Session history of tracks queued or played, persisted via app.setValue()
+const AUTO_HISTORY_STORAGE_KEY = 'MatchMonkeyAutoHistory';
+const AUTO_HISTORY_MAX_ENTRIES = 1000;
+const AUTO_HISTORY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Learned skip/completion feedback, persisted via app.setValue()
+const AUTO_FEEDBACK_STORAGE_KEY = 'MatchMonkeyAutoFeedback';
+const AUTO_FEEDBACK_SCORE_LIMIT = 5;
+const AUTO_FEEDBACK_STEP = 0.1;
+const AUTO_FEEDBACK_COMPLETE_RATIO = 0.9;
+
+// Pinned seeds of the anchored radio, persisted via app.setValue()
+const AUTO_RADIO_ANCHORS_STORAGE_KEY = 'MatchMonkeyRadioAnchors';
+const AUTO_RADIO_MAX_ANCHORS = 50;
+
+/**
+ * In-memory history, oldest first. Null until first loaded.
+ * Entry: { key: 'ARTIST||TITLE', artist: 'ARTIST', seed: string, ts: number, played: boolean }
+ */
+let autoHistory = null;
+
+/**
+ * Learned feedback, re-read on every load so a reset from the feedback dialog is seen.
+ * { artists: { KEY: {name, skips, completes} }, seeds: { KEY: {name, skips, completes} } }
+ */
+let autoFeedback = null;
+
+/**
+ * Normalized artist and artist+title keys for a track (same cleaning as queue dedupe).
+ */
+function autoHistoryKeys(track) {
+	const artistRaw = track?.artist || track?.Artist || '';
+	const titleRaw = track?.title || track?.SongTitle || track?.Title || '';
+	const helpers = window.matchMonkeyHelpers;
+	const artist = (typeof helpers?.cleanArtistName === 'function' ? helpers.cleanArtistName(artistRaw) : String(artistRaw).trim()).toUpperCase();
+	const title = (typeof helpers?.cleanTrackName === 'function' ? helpers.cleanTrackName(titleRaw) : String(titleRaw).trim()).toUpperCase();
+	return { artist, key: artist && title ? `${artist}||${title}` : '' };
+}
+
+function loadAutoHistory() {
+	if (autoHistory) return autoHistory;
+	autoHistory = [];
+	if (typeof app === 'undefined' || !app.getValue) return autoHistory;
+	try {
+		const raw = app.getValue(AUTO_HISTORY_STORAGE_KEY, []);
+		if (Array.isArray(raw)) autoHistory = raw.filter(e => e && e.key && Number.isFinite(e.ts));
+	} catch (_) {
+		// Start with an empty history
+	}
+	return autoHistory;
+}
+
+function saveAutoHistory() {
+	const cutoff = Date.now() - AUTO_HISTORY_MAX_AGE_MS;
+	autoHistory = loadAutoHistory().filter(e => e.ts >= cutoff).slice(-AUTO_HISTORY_MAX_ENTRIES);
+	if (typeof app === 'undefined' || !app.setValue) return;
+	try {
+		app.setValue(AUTO_HISTORY_STORAGE_KEY, autoHistory);
+	} catch (_) {
+		// non-fatal
+	}
+}
+
+function loadAutoFeedback() {
+	if (typeof app === 'undefined' || !app.getValue) return autoFeedback || (autoFeedback = { artists: {}, seeds: {} });
+	autoFeedback = { artists: {}, seeds: {} };
+	try {
+		const raw = app.getValue(AUTO_FEEDBACK_STORAGE_KEY, {});
+		if (raw && typeof raw === 'object') {
+			autoFeedback.artists = (raw.artists && typeof raw.artists === 'object') ? raw.artists : {};
+			autoFeedback.seeds = (raw.seeds && typeof raw.seeds === 'object') ? raw.seeds : {};
+		}
+	} catch (_) {
+		// Start without learned feedback
+	}
+	return autoFeedback;
+}
+
+function saveAutoFeedback() {
+	if (typeof app === 'undefined' || !app.setValue) return;
+	try {
+		app.setValue(AUTO_FEEDBACK_STORAGE_KEY, autoFeedback || { artists: {}, seeds: {} });
+	} catch (_) {
+		// non-fatal
+	}
+}
+
+/**
+ * Learned score of a feedback entry: completions minus skips, clamped to +/- AUTO_FEEDBACK_SCORE_LIMIT.
+ */
+function autoFeedbackScore(entry) {
+	if (!entry) return 0;
+	const score = (Number(entry.completes) || 0) - (Number(entry.skips) || 0);
+	return Math.max(-AUTO_FEEDBACK_SCORE_LIMIT, Math.min(AUTO_FEEDBACK_SCORE_LIMIT, score));
+}
+
 // Export to window namespace for MM5
 window.matchMonkeyAutoMode = {
 	/**
@@ -33,7 +157,565 @@ window.matchMonkeyAutoMode = {
 			lastTriggerTime: 0,
 			// Minimum time between auto-triggers (milliseconds)
 			triggerCooldown: 5000,
+			// Outcome of each fallback chain attempt of the last trigger [{label, mode, value, outcome, tracksAdded}]
+			lastAttempts: [],
+			// Auto-queued track now playing, for skip feedback {artist, artistName, seed, lengthMs, startTs, pausedMs, pausedAt}
+			currentPlay: null,
+			// Next batch prepared in the background {key, seedCount, signature, cancelled, done, startedAt, promise}
+			prefetch: null,
+		};
+	},
+
+	/**
+	 * Parse the auto-queue fallback chain setting.
+	 * 
+	 * Entries are comma-separated and tried in order. Each entry is a discovery
+	 * mode ("Similar Tracks" or "track") or a mood/activity preset written as
+	 * "Mood: Relaxed" or "activity:driving" (preset name or id). Unknown entries
+	 * are logged and skipped.
+	 * 
+	 * @param {string} value - AutoModeFallbackChain setting
+	 * @param {Function} [logger=console.log] - Logging function
+	 * @returns {Array<{mode: string, value: string, label: string}>} Chain steps (value is '' for plain modes)
+	 */
+	parseFallbackChain: function (value, logger = console.log) {
+		const steps = [];
+		const entries = String(value ?? AUTO_FALLBACK_DEFAULT_CHAIN).split(',').map(e => e.trim()).filter(Boolean);
+		const moodActivity = window.matchMonkeyMoodActivityDiscovery;
+
+		for (const entry of entries) {
+			const presetMatch = /^(mood|activity)\s*:\s*(.+)$/i.exec(entry);
+
+			if (presetMatch) {
+				const type = presetMatch[1].toLowerCase();
+				const wanted = presetMatch[2].trim().toLowerCase();
+				const wantedId = moodActivity?.presetIdFromName?.(wanted) || wanted;
+				const preset = (moodActivity?.getPresets?.(type) || [])
+					.find(p => p.id === wanted || p.id === wantedId || String(p.name).toLowerCase() === wanted);
+
+				if (!preset) {
+					logger(`Auto-Mode: Unknown ${type} preset "${presetMatch[2].trim()}" in fallback chain, skipping`);
+					continue;
+				}
+				steps.push({ mode: type, value: preset.id, label: `${type === 'mood' ? 'Mood' : 'Activity'}: ${preset.name}` });
+				continue;
+			}
+
+			const mode = AUTO_FALLBACK_MODE_KEYS[entry.toLowerCase()];
+			if (!mode) {
+				logger(`Auto-Mode: Unknown discovery mode "${entry}" in fallback chain, skipping`);
+				continue;
+			}
+			steps.push({ mode, value: '', label: '' });
+		}
+
+		return steps;
+	},
+
+	/**
+	 * Find the schedule active at a given time.
+	 * 
+	 * Schedules are checked in list order and the first match wins. A range whose
+	 * start is after its end runs overnight: it matches from start until midnight
+	 * on its days, and from midnight until end on the following day.
+	 * 
+	 * @param {object[]} schedules - AutoModeSchedules setting ({ days: [0-6, 0 = Sunday], start: 'HH:MM', end: 'HH:MM', ... })
+	 * @param {Date} [now=new Date()] - Time to check
+	 * @returns {object|null} Matching schedule, or null when none applies
+	 */
+	getActiveSchedule: function (schedules, now = new Date()) {
+		const toMinutes = (value) => {
+			const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+			return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : -1;
+		};
+		const day = now.getDay();
+		const previousDay = (day + 6) % 7;
+		const minutes = now.getHours() * 60 + now.getMinutes();
+
+		for (const schedule of Array.isArray(schedules) ? schedules : []) {
+			const days = Array.isArray(schedule?.days) ? schedule.days.map(Number) : [];
+			const start = toMinutes(schedule?.start);
+			const end = toMinutes(schedule?.end);
+			if (days.length === 0 || start < 0 || end < 0 || start === end) continue;
+
+			if (start < end) {
+				if (days.includes(day) && minutes >= start && minutes < end) return schedule;
+			} else if ((days.includes(day) && minutes >= start) || (days.includes(previousDay) && minutes < end)) {
+				return schedule;
+			}
+		}
+
+		return null;
+	},
+
+	/**
+	 * Record tracks added to Now Playing by an auto-queue run.
+	 * 
+	 * @param {object[]} tracks - Queued tracks, in queue order
+	 * @param {Function} [getSeed] - Track -> seed label it was discovered from
+	 */
+	recordQueued: function (tracks, getSeed) {
+		const history = loadAutoHistory();
+		const now = Date.now();
+		for (const track of tracks || []) {
+			const { artist, key } = autoHistoryKeys(track);
+			const seed = typeof getSeed === 'function' ? String(getSeed(track) || '') : '';
+			if (key) history.push({ key, artist, seed, ts: now, played: false });
+		}
+		saveAutoHistory();
+	},
+
+	/**
+	 * Record a track that started playing.
+	 * A queued entry of the same track is marked played instead of adding a second entry.
+	 * 
+	 * @param {object} track - MM5 track object
+	 * @returns {object|null} The auto-queued history entry this play matched, or null
+	 */
+	recordPlayed: function (track) {
+		const { artist, key } = autoHistoryKeys(track);
+		if (!key) return null;
+
+		const history = loadAutoHistory();
+		const queued = history.find(e => e.key === key && !e.played);
+		if (queued) {
+			queued.played = true;
+			queued.ts = Date.now();
+		} else {
+			history.push({ key, artist, ts: Date.now(), played: true });
+		}
+		saveAutoHistory();
+		return queued || null;
+	},
+
+	/**
+	 * Learn from how an auto-queued track ended.
+	 * Skipped within skipSeconds lowers its artist and seed; played to completion raises them.
+	 * 
+	 * @param {object} play - { artist, artistName, seed, playedMs, lengthMs }
+	 * @param {number} skipSeconds - Plays shorter than this count as skips
+	 * @returns {string} 'skip', 'complete' or '' when nothing was learned
+	 */
+	recordFeedback: function (play, skipSeconds) {
+		if (!play || !play.artist) return '';
+
+		let outcome = '';
+		if (play.playedMs < Math.max(1, skipSeconds) * 1000) {
+			outcome = 'skip';
+		} else if (play.lengthMs > 0 && play.playedMs >= play.lengthMs * AUTO_FEEDBACK_COMPLETE_RATIO) {
+			outcome = 'complete';
+		}
+		if (!outcome) return '';
+
+		const feedback = loadAutoFeedback();
+		const bump = (bucket, key, name) => {
+			const entry = bucket[key] || (bucket[key] = { name, skips: 0, completes: 0 });
+			if (outcome === 'skip') entry.skips++;
+			else entry.completes++;
 		};
+
+		bump(feedback.artists, play.artist, play.artistName || play.artist);
+		if (play.seed) bump(feedback.seeds, play.seed.toUpperCase(), play.seed);
+		saveAutoFeedback();
+		return outcome;
+	},
+
+	/**
+	 * Learned feedback as stored, for passing to getFeedbackWeight while sorting a batch.
+	 * 
+	 * @returns {object} { artists: {KEY: {name, skips, completes}}, seeds: {...} }
+	 */
+	loadFeedback: function () {
+		return loadAutoFeedback();
+	},
+
+	/**
+	 * Ordering weight for a candidate from the learned feedback of its artist and seed.
+	 * 1 is neutral; each point of learned score moves it by AUTO_FEEDBACK_STEP.
+	 * 
+	 * @param {string} artist - Track artist
+	 * @param {string} [seed] - Seed label the track was discovered from
+	 * @param {object} [feedback] - Feedback from loadFeedback(), loaded once per run (read from storage when omitted)
+	 * @returns {number} Weight between 0.25 and 2
+	 */
+	getFeedbackWeight: function (artist, seed, feedback = loadAutoFeedback()) {
+		const { artist: artistKey } = autoHistoryKeys({ artist });
+		const artistWeight = 1 + AUTO_FEEDBACK_STEP * autoFeedbackScore(feedback.artists[artistKey]);
+		const seedWeight = seed ? 1 + AUTO_FEEDBACK_STEP * autoFeedbackScore(feedback.seeds[String(seed).toUpperCase()]) : 1;
+		return Math.max(0.25, Math.min(2, artistWeight * seedWeight));
+	},
+
+	/**
+	 * Learned feedback as rows for display, most skipped first.
+	 * 
+	 * @returns {Array<{type: string, name: string, skips: number, completes: number, score: number}>}
+	 */
+	getFeedbackEntries: function () {
+		const feedback = loadAutoFeedback();
+		const rows = [];
+		const add = (type, bucket) => Object.values(bucket).forEach(e => rows.push({
+			type,
+			name: e.name,
+			skips: Number(e.skips) || 0,
+			completes: Number(e.completes) || 0,
+			score: autoFeedbackScore(e)
+		}));
+		add('Artist', feedback.artists);
+		add('Seed', feedback.seeds);
+		return rows.sort((a, b) => (a.score - b.score) || a.name.localeCompare(b.name));
+	},
+
+	/**
+	 * Forget all learned feedback.
+	 */
+	resetFeedback: function () {
+		autoFeedback = { artists: {}, seeds: {} };
+		saveAutoFeedback();
+	},
+
+	/**
+	 * Drop tracks that repeat a track or artist too soon after the session history.
+	 * 
+	 * @param {object[]} tracks - Candidate library tracks
+	 * @param {object} windows - { trackHours, artistTracks } (0 turns a window off)
+	 * @returns {{tracks: object[], removedTracks: number, removedArtists: number}}
+	 */
+	filterByHistory: function (tracks, windows) {
+		const history = loadAutoHistory();
+		const trackHours = Math.max(0, Number(windows?.trackHours) || 0);
+		const artistTracks = Math.max(0, Number(windows?.artistTracks) || 0);
+
+		const trackCutoff = Date.now() - trackHours * 60 * 60 * 1000;
+		const recentKeys = new Set(trackHours > 0 ? history.filter(e => e.ts >= trackCutoff).map(e => e.key) : []);
+		const recentArtists = new Set(artistTracks > 0 ? history.slice(-artistTracks).map(e => e.artist) : []);
+
+		let removedTracks = 0;
+		let removedArtists = 0;
+		const kept = (tracks || []).filter(track => {
+			const { artist, key } = autoHistoryKeys(track);
+			if (key && recentKeys.has(key)) {
+				removedTracks++;
+				return false;
+			}
+			if (artist && recentArtists.has(artist)) {
+				removedArtists++;
+				return false;
+			}
+			return true;
+		});
+
+		return { tracks: kept, removedTracks, removedArtists };
+	},
+
+	/**
+	 * Reorder a batch so the same artist doesn't come back within `artistTracks` tracks.
+	 * Walks the batch in order and takes the first track whose artist is outside the rolling
+	 * window; tracks that can't be spaced out are deferred to the end instead of dropped,
+	 * so a limit applied afterwards cuts them first but can still use them to fill up.
+	 * 
+	 * @param {object[]} tracks - Library tracks, best first
+	 * @param {number} artistTracks - Window size in tracks (0 = keep the order)
+	 * @returns {{tracks: object[], deferred: number}}
+	 */
+	spaceByArtist: function (tracks, artistTracks) {
+		const windowSize = Math.max(0, Number(artistTracks) || 0);
+		const pending = (tracks || []).slice();
+		if (windowSize === 0) return { tracks: pending, deferred: 0 };
+
+		const spaced = [];
+		const recentArtists = [];
+		while (pending.length > 0) {
+			const recent = recentArtists.slice(-windowSize);
+			const index = pending.findIndex(track => {
+				const { artist } = autoHistoryKeys(track);
+				return !artist || !recent.includes(artist);
+			});
+			if (index < 0) break;
+
+			const [track] = pending.splice(index, 1);
+			spaced.push(track);
+			recentArtists.push(autoHistoryKeys(track).artist);
+		}
+
+		return { tracks: spaced.concat(pending), deferred: pending.length };
+	},
+
+	/**
+	 * Remember the track that started playing (history entry plus skip-feedback timing).
+	 * 
+	 * @param {object} state - Auto-mode state
+	 * @param {object} track - MM5 track object
+	 */
+	startCurrentPlay: function (state, track) {
+		const queued = this.recordPlayed(track);
+		state.currentPlay = queued ? {
+			artist: queued.artist,
+			artistName: String(track?.artist || queued.artist),
+			seed: queued.seed || '',
+			lengthMs: Number(track?.songLength) || 0,
+			startTs: Date.now(),
+			pausedMs: 0,
+			pausedAt: 0,
+		} : null;
+	},
+
+	/**
+	 * Turn the previous auto-queued play into skip/completion feedback.
+	 * 
+	 * @param {object} state - Auto-mode state
+	 * @param {Function} logger - Logging function
+	 */
+	finishCurrentPlay: function (state, logger = console.log) {
+		const play = state.currentPlay;
+		state.currentPlay = null;
+		if (!play) return;
+
+		const storage = window.matchMonkeyStorage;
+		if (storage && !storage.boolSetting('AutoModeLearnFromSkips', true)) return;
+
+		const now = Date.now();
+		const pausedMs = play.pausedMs + (play.pausedAt ? now - play.pausedAt : 0);
+		const playedMs = Math.max(0, now - play.startTs - pausedMs);
+		const skipSeconds = storage ? storage.intSetting('AutoModeSkipSeconds', 30) : 30;
+
+		const outcome = this.recordFeedback({ ...play, playedMs }, skipSeconds);
+		if (outcome) {
+			logger(`Auto-Mode: Learned ${outcome} for "${play.artistName}" after ${Math.round(playedMs / 1000)}s${play.seed ? ` (seed: ${play.seed})` : ''}`);
+		}
+	},
+
+	/**
+	 * Identify the last tracks of Now Playing - the seeds a prefetch starts from.
+	 * 
+	 * @param {object} player - MM5 player object
+	 * @param {number} count - Number of tracks at the end of the queue
+	 * @returns {string} Signature ('' if the queue cannot be read)
+	 */
+	getQueueTailSignature: function (player, count) {
+		const keys = [];
+		try {
+			const tracklist = player?.getTracklist?.();
+			if (!tracklist || typeof tracklist.locked !== 'function') return '';
+			tracklist.locked(() => {
+				let track;
+				for (let i = Math.max(0, tracklist.count - Math.max(1, count)); i < tracklist.count; i++) {
+					track = tracklist.getFastObject(i, track);
+					if (track) keys.push(track.path || `${track.artist}||${track.title}`);
+				}
+			});
+		} catch (e) {
+			return '';
+		}
+		return keys.join('\n');
+	},
+
+	/**
+	 * Prepare the next auto-queue batch in the background.
+	 * 
+	 * Keeps a prefetch that matches `key` and the current queue tail; otherwise
+	 * cancels it and starts a new one. A running prefetch cancels itself when the
+	 * queue tail changes (see `run`'s isCancelled argument).
+	 * 
+	 * @param {object} state - Auto-mode state
+	 * @param {object} options - { key, seedCount, run: (isCancelled) => Promise<object> }
+	 * @param {Function} [logger=console.log] - Logging function
+	 */
+	startPrefetch: function (state, options, logger = console.log) {
+		const { key, seedCount, run } = options;
+		const signature = this.getQueueTailSignature(app.player, seedCount);
+		if (!signature) return;
+
+		const current = state.prefetch;
+		if (current && !current.cancelled && current.key === key && current.signature === signature) return;
+		if (current) this.cancelPrefetch(state, current.key !== key ? 'settings changed' : 'queue changed', logger);
+
+		const entry = { key, seedCount, signature, cancelled: false, done: false, startedAt: Date.now(), promise: null };
+		const isCancelled = () => entry.cancelled || this.getQueueTailSignature(app.player, seedCount) !== signature;
+
+		logger('Auto-Mode: Prefetching next batch in the background');
+		entry.promise = Promise.resolve()
+			.then(() => run(isCancelled))
+			.then((result) => {
+				const count = result?.prefetched?.length || 0;
+				logger(count > 0
+					? `Auto-Mode: Prefetched ${count} tracks in ${((Date.now() - entry.startedAt) / 1000).toFixed(1)}s`
+					: `Auto-Mode: Prefetch found nothing (${result?.error || 'no matches'})`);
+				return result;
+			})
+			.catch((e) => {
+				logger(`Auto-Mode: Prefetch failed: ${e?.message || e}`);
+				return null;
+			})
+			.finally(() => {
+				entry.done = true;
+			});
+		state.prefetch = entry;
+	},
+
+	/**
+	 * Cancel the background prefetch, if any.
+	 * 
+	 * @param {object} state - Auto-mode state
+	 * @param {string} reason - Logged reason
+	 * @param {Function} [logger=console.log] - Logging function
+	 */
+	cancelPrefetch: function (state, reason, logger = console.log) {
+		const entry = state?.prefetch;
+		if (!entry) return;
+		entry.cancelled = true;
+		state.prefetch = null;
+		logger(`Auto-Mode: Prefetch cancelled (${reason})`);
+	},
+
+	/**
+	 * Take the prefetched batch for the current trigger.
+	 * Waits for a prefetch that is still running. The batch is only returned if it was
+	 * made for `key` and the queue tail it started from has not changed.
+	 * 
+	 * @param {object} state - Auto-mode state
+	 * @param {string} key - Mode/limits key of the current trigger
+	 * @param {Function} [logger=console.log] - Logging function
+	 * @returns {Promise<object|null>} Orchestration prefetch result ({prefetched, trackOrigins}) or null
+	 */
+	takePrefetch: async function (state, key, logger = console.log) {
+		const entry = state.prefetch;
+		if (!entry) return null;
+		state.prefetch = null;
+
+		if (entry.key !== key) {
+			entry.cancelled = true;
+			logger('Auto-Mode: Discarding prefetched batch (mode or limits changed)');
+			return null;
+		}
+
+		if (!entry.done) {
+			logger('Auto-Mode: Waiting for the background prefetch to finish');
+		}
+		const result = await entry.promise;
+
+		if (entry.cancelled || this.getQueueTailSignature(app.player, entry.seedCount) !== entry.signature) {
+			entry.cancelled = true;
+			logger('Auto-Mode: Discarding prefetched batch (queue changed)');
+			return null;
+		}
+		return result?.success && result.prefetched?.length > 0 ? result : null;
+	},
+
+	/**
+	 * Pinned anchor seeds of the anchored radio (read fresh, the anchors dialog edits them directly).
+	 * 
+	 * @returns {Array<{artist: string, title: string, album: string, genre: string, path: string}>}
+	 */
+	getRadioAnchors: function () {
+		if (typeof app === 'undefined' || !app.getValue) return [];
+		try {
+			const raw = app.getValue(AUTO_RADIO_ANCHORS_STORAGE_KEY, []);
+			return Array.isArray(raw) ? raw.filter(a => a && a.artist) : [];
+		} catch (_) {
+			return [];
+		}
+	},
+
+	/**
+	 * Pin a new set of anchor seeds (replaces the current anchors).
+	 * 
+	 * @param {object[]} seeds - Seed objects ({artist, title, album, genre, path})
+	 * @returns {number} Number of anchors stored
+	 */
+	setRadioAnchors: function (seeds) {
+		const seen = new Set();
+		const anchors = [];
+		for (const seed of seeds || []) {
+			const { key, artist } = autoHistoryKeys(seed);
+			const dedupe = key || artist;
+			if (!dedupe || seen.has(dedupe)) continue;
+			seen.add(dedupe);
+			anchors.push({
+				artist: String(seed.artist || ''),
+				title: String(seed.title || ''),
+				album: String(seed.album || ''),
+				genre: String(seed.genre || ''),
+				path: String(seed.path || '')
+			});
+		}
+
+		const pinned = anchors.slice(0, AUTO_RADIO_MAX_ANCHORS);
+		if (typeof app !== 'undefined' && app.setValue) {
+			try {
+				app.setValue(AUTO_RADIO_ANCHORS_STORAGE_KEY, pinned);
+			} catch (_) {
+				// non-fatal
+			}
+		}
+		return pinned.length;
+	},
+
+	/**
+	 * Unpin all anchors; the next radio trigger pins the queue seeds again.
+	 */
+	clearRadioAnchors: function () {
+		this.setRadioAnchors([]);
+	},
+
+	/**
+	 * Blend pinned anchors with recent queue seeds.
+	 * 
+	 * ratioPercent of the seed count comes from a random pick of the anchors, the
+	 * rest from the recent seeds in queue order. When one side runs short the other
+	 * fills the gap. Duplicates (same artist and title) are dropped.
+	 * 
+	 * @param {object[]} anchors - Pinned anchor seeds
+	 * @param {object[]} recent - Seeds collected from Now Playing
+	 * @param {number} count - Seeds wanted
+	 * @param {number} ratioPercent - Share of anchors (0-100)
+	 * @returns {object[]} Blended seeds
+	 */
+	blendRadioSeeds: function (anchors, recent, count, ratioPercent) {
+		const total = Math.max(1, Number(count) || 1);
+		const ratio = Math.max(0, Math.min(100, Number(ratioPercent) || 0));
+		let anchorCount = Math.round(total * ratio / 100);
+		if (ratio > 0 && anchorCount === 0) anchorCount = 1;
+
+		const shuffled = (anchors || []).slice();
+		for (let i = shuffled.length - 1; i > 0; i--) {
+			const j = Math.floor(Math.random() * (i + 1));
+			[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+		}
+
+		const seen = new Set();
+		const result = [];
+		const take = (list, limit) => {
+			for (const seed of list) {
+				if (result.length >= total || limit <= 0) break;
+				const { key, artist } = autoHistoryKeys(seed);
+				const dedupe = key || artist;
+				if (!dedupe || seen.has(dedupe)) continue;
+				seen.add(dedupe);
+				result.push(seed);
+				limit--;
+			}
+		};
+
+		take(shuffled, anchorCount);
+		take(recent || [], total - result.length);
+		// One side ran short: top up from the other
+		take(shuffled, total - result.length);
+		return result;
+	},
+
+	/**
+	 * Forget the session history.
+	 */
+	clearHistory: function () {
+		autoHistory = [];
+		saveAutoHistory();
+	},
+
+	/**
+	 * Number of entries in the session history.
+	 */
+	getHistoryCount: function () {
+		return loadAutoHistory().length;
 	},
 
 	/**
@@ -78,7 +760,21 @@ window.matchMonkeyAutoMode = {
 				//logger(`Auto-Mode: Playback state changed to '${newState}'`);
 
 				// Only respond to track changes
+				// Keep paused time out of the played time used for skip feedback
+				if (newState === 'pause' && state.currentPlay && !state.currentPlay.pausedAt) {
+					state.currentPlay.pausedAt = Date.now();
+				} else if ((newState === 'unpause' || newState === 'play') && state.currentPlay?.pausedAt) {
+					state.currentPlay.pausedMs += Date.now() - state.currentPlay.pausedAt;
+					state.currentPlay.pausedAt = 0;
+				}
+
 				if (newState === 'trackChanged') {
+					// Learn from the track that just ended, then remember what plays now
+					this.finishCurrentPlay(state, logger);
+					Promise.resolve(player.getCurrentTrack?.())
+						.then(track => this.startCurrentPlay(state, track))
+						.catch((e) => logger(`Auto-Mode: Could not record played track: ${e?.message || e}`));
+
 					// Check cooldown
 					const now = Date.now();
 					const timeSinceLastTrigger = now - state.lastTriggerTime;
@@ -140,6 +836,7 @@ window.matchMonkeyAutoMode = {
 			// Unsubscribe from playback events
 			app.unlisten(state.autoListen);
 			state.autoListen = null;
+			this.cancelPrefetch(state, 'auto-mode off', logger);
 
 			logger('Auto-Mode: Listener successfully detached');
 			return true;
@@ -208,13 +905,12 @@ window.matchMonkeyAutoMode = {
 				const tracklist = songList.getTracklist?.();
 				if (tracklist && typeof tracklist.count === 'number') {
 					const total = tracklist.count;
-					// Try to get current position
-					const currentTrack = player.getCurrentTrack?.();
-					if (currentTrack && typeof tracklist.indexOf === 'function') {
-						const currentIndex = tracklist.indexOf(currentTrack);
+					// Position of the playing entry (indexOf would find the first copy of a track queued twice)
+					if (typeof player.getIndexOfPlayingTrack === 'function') {
+						const currentIndex = player.getIndexOfPlayingTrack(tracklist);
 						if (currentIndex >= 0) {
 							remaining = total - (currentIndex + 1);
-							logger(`Auto-Mode: Method 3 (songList with indexOf): total=${total}, currentIndex=${currentIndex}, remaining=${remaining}`);
+							logger(`Auto-Mode: Method 3 (playing index): total=${total}, currentIndex=${currentIndex}, remaining=${remaining}`);
 							if (remaining >= 0) return remaining;
 						}
 					}
@@ -232,6 +928,66 @@ window.matchMonkeyAutoMode = {
 		return 0;
 	},
 
+	/**
+	 * Sum the playing time left in Now Playing.
+	 *
+	 * Adds the songLength of every entry after the current one to the time left
+	 * on the current track (trackLengthMS - trackPositionMS).
+	 *
+	 * @param {object} player - MM5 player object
+	 * @param {Function} logger - Optional logging function
+	 * @returns {Promise<number>} Remaining milliseconds (-1 if cannot be determined)
+	 */
+	getPlaylistRemainingMs: async function (player, logger = console.log) {
+		if (!player) {
+			logger('Auto-Mode: Player not available');
+			return -1;
+		}
+
+		try {
+			const tracklist = player.getTracklist?.();
+			if (!tracklist) {
+				logger('Auto-Mode: Now Playing tracklist not available');
+				return -1;
+			}
+
+			if (typeof tracklist.whenLoaded === 'function') {
+				await tracklist.whenLoaded();
+			}
+
+			// Position of the playing entry (not indexOf, a track can be queued twice);
+			// fall back to the played-entries count
+			const currentTrack = player.getCurrentTrack?.();
+			let currentIndex = typeof player.getIndexOfPlayingTrack === 'function' ? player.getIndexOfPlayingTrack(tracklist) : -1;
+			if (currentIndex == null) currentIndex = -1;
+			if (currentIndex < 0 && typeof player.getCountOfPlayedEntries === 'function') {
+				currentIndex = player.getCountOfPlayedEntries();
+			}
+			if (currentIndex < 0) currentIndex = 0;
+
+			let upcomingMs = 0;
+			tracklist.locked(() => {
+				for (let i = currentIndex + 1; i < tracklist.count; i++) {
+					const track = tracklist.getValue(i);
+					upcomingMs += Math.max(0, Number(track?.songLength) || 0);
+				}
+			});
+
+			// Time left on the current track
+			const lengthMs = Number(player.trackLengthMS) || Number(currentTrack?.songLength) || 0;
+			const positionMs = Number(player.trackPositionMS) || 0;
+			const currentMs = Math.max(0, lengthMs - positionMs);
+
+			const remainingMs = upcomingMs + currentMs;
+			logger(`Auto-Mode: Remaining time: ${(remainingMs / 60000).toFixed(1)} min (current=${Math.round(currentMs / 1000)}s, upcoming=${Math.round(upcomingMs / 1000)}s)`);
+			return remainingMs;
+
+		} catch (e) {
+			logger(`Auto-Mode: Could not determine remaining time: ${e.toString()}`);
+			return -1;
+		}
+	},
+
 	/**
 	 * Check if auto-mode is enabled via settings.
 	 * Supports both old and new property names.
@@ -256,15 +1012,20 @@ window.matchMonkeyAutoMode = {
 	 * 
 	 * This is the callback invoked when playback reaches the end of the playlist.
 	 * It orchestrates:
-	 * 1. Remaining entries check
-	 * 2. Threshold comparison (2 or fewer remaining)
+	 * 1. Remaining entries check (or remaining minutes when AutoModeTriggerType is 'Minutes remaining')
+	 * 2. Threshold comparison (2 or fewer remaining, or AutoModeMinutesThreshold)
 	 * 3. Rate limiting check
-	 * 4. Tries multiple discovery strategies if needed
-	 * 5. Invocation of orchestration (Phase 5)
+	 * 4. Queues the batch prefetched in the background, if it is still valid (AutoModePrefetchEnabled)
+	 * 5. Otherwise tries the active schedule's mode (AutoModeSchedulesEnabled) or the configured mode,
+	 *    then the AutoModeFallbackChain links (unless AutoModeFallbackEnabled is off)
+	 * 6. Invocation of orchestration (Phase 5)
+	 * 
+	 * Track changes that are not near the end start the prefetch of the next batch.
 	 * 
 	 * @param {object} config - Configuration object
 	 * @param {Function} config.getSetting - Settings getter
-	 * @param {Function} config.generateSimilarPlaylist - Phase 5 orchestration function
+	 * @param {Function} config.generateSimilarPlaylist - Phase 5 orchestration function (autoMode, discoveryMode, threshold, {moodActivityValue, fillMs, limits, prefetch, isCancelled})
+	 * @param {Function} [config.queuePrefetched] - Queues a prefetch result (prefetchResult, {fillMs}) => {success, tracksAdded, error}
 	 * @param {Function} config.showToast - UI notification function
 	 * @param {Function} config.isAutoModeEnabled - Settings check function
 	 * @param {Function} [config.getModeName] - Optional function to get current mode name
@@ -276,6 +1037,7 @@ window.matchMonkeyAutoMode = {
 		const {
 			getSetting,
 			generateSimilarPlaylist,
+			queuePrefetched,
 			showToast,
 			isAutoModeEnabled,
 			getModeName,
@@ -305,6 +1067,7 @@ window.matchMonkeyAutoMode = {
 
 				if (!enabled) {
 					log(`Auto-Mode [${modeName}]: Auto-mode disabled, skipping trigger`);
+					autoMode.cancelPrefetch(state, 'auto-mode off', log);
 					return;
 				}
 
@@ -321,27 +1084,68 @@ window.matchMonkeyAutoMode = {
 					return;
 				}
 
-				// Use captured autoMode reference instead of 'this'
-				const remaining = autoMode.getPlaylistRemaining(player, log);
-				log(`Auto-Mode [${modeName}]: Remaining entries: ${remaining} (threshold: ${threshold})`);
-
-				// Trigger when remaining entries <= threshold AND > 0
-				// remaining = 0 means on last track
-				// remaining = 1 means 1 track left after current (on second-to-last)
-				// remaining = 2 means 2 tracks left after current (on third-to-last)
-				// Default threshold = 3, so trigger when on second-to-last or third-to-last
-				if (remaining > threshold) {
-					log(`Auto-Mode [${modeName}]: Not near end yet (remaining=${remaining}, threshold=${threshold}), skipping`);
-					return;
-				}
+				// Time-based trigger: compare minutes left instead of entries left
+				const triggerByTime = getSetting('AutoModeTriggerType', 'Tracks remaining') === 'Minutes remaining';
+				let remaining;
+				let fillMs = 0;
+
+				// Not near the end yet: prepare the next batch from the end of the queue meanwhile.
+				// A time-based prefetch fills the whole target; the trigger trims it to what is missing.
+				const prefetchNextBatch = (prefetchFillMs) => {
+					if (getSetting('AutoModePrefetchEnabled', true) === false || typeof queuePrefetched !== 'function') return;
+					const { firstStep, limits } = resolveFirstStep(configuredMode, log);
+					autoMode.startPrefetch(state, {
+						key: getPrefetchKey(firstStep, limits, triggerByTime),
+						seedCount: threshold,
+						run: (isCancelled) => generateSimilarPlaylist(true, firstStep.mode, threshold,
+							{ moodActivityValue: firstStep.value, fillMs: prefetchFillMs, limits, prefetch: true, isCancelled }),
+					}, log);
+				};
+
+				if (triggerByTime) {
+					const thresholdMinutes = Math.max(1, parseInt(getSetting('AutoModeMinutesThreshold', 10), 10) || 10);
+					const fillMinutes = Math.max(1, parseInt(getSetting('AutoModeFillMinutes', 30), 10) || 30);
+					const remainingMs = await autoMode.getPlaylistRemainingMs(player, log);
+
+					if (remainingMs < 0) {
+						log(`Auto-Mode [${modeName}]: Invalid remaining time, skipping`);
+						return;
+					}
 
-				if (remaining < 0) {
-					log(`Auto-Mode [${modeName}]: Invalid remaining count (${remaining}), skipping`);
-					return;
-				}
+					remaining = `${(remainingMs / 60000).toFixed(1)} min`;
+					if (remainingMs > thresholdMinutes * 60000) {
+						log(`Auto-Mode [${modeName}]: Not near end yet (remaining=${remaining}, threshold=${thresholdMinutes} min), skipping`);
+						prefetchNextBatch(fillMinutes * 60000);
+						return;
+					}
+
+					// Top the queue up to the fill target (always room for at least one track)
+					fillMs = Math.max(1, fillMinutes * 60000 - remainingMs);
+					log(`Auto-Mode [${modeName}]: Near end of playlist detected (remaining=${remaining}), will fill ${(fillMs / 60000).toFixed(1)} min`);
+				} else {
+					// Use captured autoMode reference instead of 'this'
+					remaining = autoMode.getPlaylistRemaining(player, log);
+					log(`Auto-Mode [${modeName}]: Remaining entries: ${remaining} (threshold: ${threshold})`);
+
+					// Trigger when remaining entries <= threshold AND > 0
+					// remaining = 0 means on last track
+					// remaining = 1 means 1 track left after current (on second-to-last)
+					// remaining = 2 means 2 tracks left after current (on third-to-last)
+					// Default threshold = 3, so trigger when on second-to-last or third-to-last
+					if (remaining > threshold) {
+						log(`Auto-Mode [${modeName}]: Not near end yet (remaining=${remaining}, threshold=${threshold}), skipping`);
+						prefetchNextBatch(0);
+						return;
+					}
+
+					if (remaining < 0) {
+						log(`Auto-Mode [${modeName}]: Invalid remaining count (${remaining}), skipping`);
+						return;
+					}
 
-				// Note: We trigger even when remaining=0 (on last track) to give one last chance
-				log(`Auto-Mode [${modeName}]: Near end of playlist detected (remaining=${remaining}), will trigger`);
+					// Note: We trigger even when remaining=0 (on last track) to give one last chance
+					log(`Auto-Mode [${modeName}]: Near end of playlist detected (remaining=${remaining}), will trigger`);
+				}
 
 				// Check cooldown (prevent rapid re-triggers)
 				const now = Date.now();
@@ -358,25 +1162,61 @@ window.matchMonkeyAutoMode = {
 				try {
 					log(`Auto-Mode: User configured mode: ${getDiscoveryModeDisplayName(configuredMode)}`);
 
-					// Define all discovery modes to try in order
-					const allModes = ['track', 'acoustics', 'artist', 'genre'];
+					// An active time-of-day schedule replaces the configured mode and limits
+					const { firstStep, limits, schedule } = resolveFirstStep(configuredMode, log);
+					if (schedule) {
+						log(`Auto-Mode: Schedule "${schedule.name}" active (${schedule.start}-${schedule.end})`);
+					}
+					const firstLabel = firstStep.label || getDiscoveryModeDisplayName(firstStep.mode);
+
+					// Use the batch prepared in the background while it still matches the queue and mode
+					const prefetched = await autoMode.takePrefetch(state, getPrefetchKey(firstStep, limits, triggerByTime), log);
+					if (prefetched) {
+						const result = await queuePrefetched(prefetched, { fillMs });
+						if (result && result.success && result.tracksAdded > 0) {
+							state.lastAttempts = [{ label: firstLabel, mode: firstStep.mode, value: firstStep.value, outcome: 'added (prefetched)', tracksAdded: result.tracksAdded }];
+							log(`Auto-Mode [${firstLabel}]: Added ${result.tracksAdded} prefetched tracks`);
+							showToast(`Added ${result.tracksAdded} tracks (${firstLabel})`, 'success');
+							return;
+						}
+						log(`Auto-Mode [${firstLabel}]: Prefetched batch added nothing (${result?.error || 'no tracks'}), running discovery`);
+					}
+
+					// Scheduled/configured mode first, then the fallback chain (unless fallback is turned off)
+					const fallbackEnabled = getSetting('AutoModeFallbackEnabled', true) !== false;
+					const chain = fallbackEnabled
+						? autoMode.parseFallbackChain(getSetting('AutoModeFallbackChain', AUTO_FALLBACK_DEFAULT_CHAIN), log)
+						: [];
 
-					// Start with user's preferred mode, then try others
-					const modesToTry = [configuredMode];
-					for (const mode of allModes) {
-						if (mode !== configuredMode.toLowerCase()) {
-							modesToTry.push(mode);
+					const modesToTry = [firstStep];
+					for (const step of chain) {
+						if (!modesToTry.some(s => s.mode === step.mode && s.value === step.value)) {
+							modesToTry.push(step);
 						}
 					}
+					modesToTry.forEach(step => {
+						if (!step.label) step.label = getDiscoveryModeDisplayName(step.mode);
+					});
+					log(`Auto-Mode: Fallback chain: ${modesToTry.map(s => s.label).join(' → ')}${fallbackEnabled ? '' : ' (fallback off)'}`);
+
+					// Outcome of each attempt, used to explain the result in the toast
+					const attempts = [];
+					state.lastAttempts = attempts;
+					const describeFailures = () => attempts
+						.filter(a => a.tracksAdded === 0)
+						.map(a => `${a.label}: ${a.outcome}`)
+						.join('; ');
 
 					let totalTracksAdded = 0;
 					let successfulMode = null;
 
-					// Try each mode until we add at least 1 track
+					// Try each link of the chain until we add at least 1 track
 					for (let i = 0; i < modesToTry.length; i++) {
-						const attemptMode = modesToTry[i];
+						const attempt = modesToTry[i];
 						const isRetry = i > 0;
-						const attemptModeName = getDiscoveryModeDisplayName(attemptMode);
+						const attemptModeName = attempt.label;
+						const record = { label: attempt.label, mode: attempt.mode, value: attempt.value, outcome: '', tracksAdded: 0 };
+						attempts.push(record);
 
 						if (isRetry) {
 							log(`Auto-Mode: Retry attempt ${i + 1}/${modesToTry.length} with ${attemptModeName}`);
@@ -388,30 +1228,42 @@ window.matchMonkeyAutoMode = {
 
 						try {
 							// Call Phase 5 orchestration with autoMode=true, discovery mode, and threshold
-							const result = await generateSimilarPlaylist(true, attemptMode, threshold);
+							const result = await generateSimilarPlaylist(true, attempt.mode, threshold, { moodActivityValue: attempt.value, fillMs, limits });
 
 							if (result && result.success && result.tracksAdded > 0) {
 								totalTracksAdded = result.tracksAdded;
 								successfulMode = attemptModeName;
+								record.outcome = 'added';
+								record.tracksAdded = result.tracksAdded;
 								log(`Auto-Mode [${attemptModeName}]: Successfully added ${result.tracksAdded} tracks`);
-								showToast(`Added ${result.tracksAdded} tracks (${attemptModeName})`, 'success');
+								if (isRetry) {
+									showToast(`Added ${result.tracksAdded} tracks via ${attemptModeName} (link ${i + 1} of ${modesToTry.length}; ${describeFailures()})`, 'success');
+								} else {
+									showToast(`Added ${result.tracksAdded} tracks (${attemptModeName})`, 'success');
+								}
 								break; // Success - stop trying
 							} else {
+								record.outcome = String(result?.error || 'no matches').replace(/\.$/, '').toLowerCase();
 								log(`Auto-Mode [${attemptModeName}]: No tracks added (${result?.error || 'no matches'})`);
 
 								// If this was the last attempt, show error
 								if (i === modesToTry.length - 1) {
 									log(`Auto-Mode: All discovery modes exhausted, no tracks added`);
-									showToast(`Auto-queue failed: No matching tracks found`, 'warning');
+									showToast(modesToTry.length > 1
+										? `Auto-queue failed: ${describeFailures()}`
+										: `Auto-queue failed: No matching tracks found`, 'warning');
 								}
 							}
 
 						} catch (attemptError) {
+							record.outcome = `error (${attemptError.message})`;
 							log(`Auto-Mode [${attemptModeName}]: Attempt failed with error: ${attemptError.toString()}`);
 
 							// If this was the last attempt, show error
 							if (i === modesToTry.length - 1) {
-								showToast(`Auto-queue error: ${attemptError.message}`, 'error');
+								showToast(modesToTry.length > 1
+									? `Auto-queue failed: ${describeFailures()}`
+									: `Auto-queue error: ${attemptError.message}`, 'error');
 							}
 						}
 					}
@@ -436,6 +1288,46 @@ window.matchMonkeyAutoMode = {
 			}
 		};
 
+		/**
+		 * Helper to get the first mode to try and its limits.
+		 * An active time-of-day schedule (AutoModeSchedulesEnabled) replaces the configured mode.
+		 */
+		function resolveFirstStep(configuredMode, log) {
+			const schedule = getSetting('AutoModeSchedulesEnabled', false) === true
+				? autoMode.getActiveSchedule(getSetting('AutoModeSchedules', []))
+				: null;
+			if (!schedule) {
+				return { firstStep: { mode: configuredMode, value: '', label: '' }, limits: {}, schedule: null };
+			}
+
+			let firstStep = { mode: configuredMode, value: '', label: '' };
+			const scheduledMode = String(schedule.mode || '').toLowerCase();
+			if (scheduledMode === 'mood' || scheduledMode === 'activity') {
+				const preset = (window.matchMonkeyMoodActivityDiscovery?.getPresets?.(scheduledMode) || [])
+					.find(p => p.id === schedule.value);
+				if (preset) {
+					firstStep = { mode: scheduledMode, value: preset.id, label: `${scheduledMode === 'mood' ? 'Mood' : 'Activity'}: ${preset.name}` };
+				} else {
+					log(`Auto-Mode: Schedule "${schedule.name}" has an unknown ${scheduledMode} preset "${schedule.value}", using configured mode`);
+				}
+			} else {
+				firstStep = { mode: AUTO_FALLBACK_MODE_KEYS[scheduledMode] || configuredMode, value: '', label: '' };
+			}
+
+			const limits = {
+				maxTracks: Math.max(0, parseInt(schedule.maxTracks, 10) || 0),
+				similarLimit: Math.max(0, parseInt(schedule.similarLimit, 10) || 0),
+			};
+			return { firstStep, limits, schedule };
+		}
+
+		/**
+		 * Helper to build the key a prefetched batch must match to be used
+		 */
+		function getPrefetchKey(step, limits, triggerByTime) {
+			return [step.mode, step.value, limits.maxTracks || 0, limits.similarLimit || 0, triggerByTime ? 'minutes' : 'tracks'].join('|');
+		}
+
 		/**
 		 * Helper to get display name for discovery mode
 		 */
@@ -450,6 +1342,16 @@ window.matchMonkeyAutoMode = {
 					return 'Similar Genre';
 				case 'acoustics':
 					return 'Similar Acoustics';
+				case 'hybrid':
+					return 'Similar Hybrid';
+				case 'album':
+					return 'Similar Albums';
+				case 'local':
+					return 'Local Library';
+				case 'mood':
+					return 'Mood';
+				case 'activity':
+					return 'Activity';
 				default:
 					return 'Similar Artists';
 			}
@@ -469,6 +1371,12 @@ window.matchMonkeyAutoMode = {
 					return 'genre';
 				case 'similar acoustics':
 					return 'acoustics';
+				case 'similar hybrid':
+					return 'hybrid';
+				case 'similar albums':
+					return 'album';
+				case 'local library':
+					return 'local';
 				default:
 					return 'artist';
 			}
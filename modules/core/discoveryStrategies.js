@@ -6,6 +6,10 @@
  * - Track-based: Use Last.fm track.getSimilar API  
  * - Genre-based: Use Last.fm tag.getTopArtists API
  * - Recco-based: Use ReccoBeats recommendations from seed tracks
+ * - Hybrid: Merge Last.fm and ReccoBeats candidates with a weighted score
+ * - Album-based: Use Last.fm artist.getTopAlbums for similar artists, matched as whole albums
+ * - Journey: Path through the Last.fm similar-artists graph from the first seed artist to the last
+ * - Local: Related library tracks by genre, year, album artist, composer, BPM and shared playlists (offline)
  * - Mood-based: Use predefined mood audio profiles
  * - Activity-based: Use predefined activity audio profiles
  * 
@@ -25,6 +29,12 @@
 // Get logger reference
 const _getLogger = () => window.matchMonkeyLogger;
 
+// Stop the run when it was cancelled. Polls the run's own notifications (the silent
+// stand-in for background prefetches) rather than the shared progress task.
+const _checkCancelled = (modules) => {
+	if (modules?.ui?.notifications?.isCancelled?.()) throw new Error('__CANCELLED__');
+};
+
 /**
  * Discovery mode constants
  */
@@ -33,6 +43,10 @@ const DISCOVERY_MODES = {
 	TRACK: 'track',
 	GENRE: 'genre',
 	ACOUSTICS: 'acoustics',    // ReccoBeats with seed tracks
+	HYBRID: 'hybrid',    // Last.fm + ReccoBeats merged
+	ALBUM: 'album',      // Whole albums by similar artists
+	JOURNEY: 'journey',  // Similar-artists path between seed artists
+	LOCAL: 'local',      // Library metadata only (offline)
 	MOOD: 'mood',      // Mood preset
 	ACTIVITY: 'activity' // Activity preset
 };
@@ -47,6 +61,9 @@ const DISCOVERY_MODES = {
  * Uses Last.fm artist.getSimilar to find similar artists, then gets their top tracks.
  * For tracks with multiple artists (separated by ';'), makes separate API calls for each.
  * This is the original/classic approach - best for discovering new artists in same genre.
+ * With explorationDepth > 1 the similar artists are expanded again (see exploreArtistHops).
+ * Every candidate lists the seed artists that reached it (`seeds`); with seedIntersection
+ * on, candidates shared by several seeds are boosted (see applySeedIntersection).
  * 
  * @param {object} modules - Module dependencies
  * @param {Array} seeds - Seed objects [{artist, title, genre}, ...]
@@ -78,7 +95,7 @@ async function discoverByArtist(modules, seeds, config) {
 	const filteredArtists = []; // Track details for debug mode
 
 	for (let i = 0; i < artistCount; i++) {
-		if (window.matchMonkeyNotifications?.isCancelled?.()) throw new Error('__CANCELLED__');
+		_checkCancelled(modules);
 		const artistName = uniqueArtists[i];
 		const progress = 0.2 + ((i + 1) / artistCount) * 0.25;
 		updateProgress(`Last.fm: Finding artists similar to "${artistName}" (${i + 1}/${artistCount})...`, progress);
@@ -99,7 +116,7 @@ async function discoverByArtist(modules, seeds, config) {
 
 			// Include seed artist in the search if configured
 			if (config.includeSeedArtist) {
-				addArtistCandidate(artistName, seenArtists, blacklist, candidates);
+				addArtistCandidate(artistName, seenArtists, blacklist, candidates, artistName);
 			}
 
 			// Add similar artists with match score as popularity indicator
@@ -119,13 +136,21 @@ async function discoverByArtist(modules, seeds, config) {
 					}
 
 					// Add or update the artist candidate entry
-					addArtistCandidate(artist.name, seenArtists, blacklist, candidates);
-					// Store match score for popularity tracking
-					if (artist.match) {
-						const candidateEntry = candidates.find(c => c.artist === artist.name);
-						if (candidateEntry) {
+					addArtistCandidate(artist.name, seenArtists, blacklist, candidates, artistName);
+					const candidateEntry = candidates.find(c => c.artist === artist.name);
+					if (candidateEntry) {
+						// Store match score for popularity tracking
+						if (artist.match) {
 							candidateEntry.matchScore = artist.match;
 						}
+						// First hop: reached directly from the seed artist
+						if (!candidateEntry.path) {
+							candidateEntry.path = [artistName, artist.name];
+						}
+						// Every seed artist that reaches this candidate, with its match
+						if (!candidateEntry.seedMatches) candidateEntry.seedMatches = {};
+						candidateEntry.seedMatches[artistName] = rawMatch <= 1 ? rawMatch : rawMatch / 100;
+						candidateEntry.seeds = Object.keys(candidateEntry.seedMatches);
 					}
 				}
 			}
@@ -143,6 +168,19 @@ async function discoverByArtist(modules, seeds, config) {
 	}, filteredArtists);
 	updateProgress(`Last.fm returned ${totalSimilarFound} similar artists → ${candidates.length} unique candidates`, 0.45);
 
+	// Intersection: common ground between the seed artists (before exploring further hops)
+	let intersectionFilteredCount = 0;
+	if (config.seedIntersection && artistCount > 1) {
+		intersectionFilteredCount = applySeedIntersection(candidates, uniqueArtists, config.intersectionMinSeeds ?? 1);
+	}
+
+	// Multi-hop exploration: similar artists of the similar artists
+	if ((config.explorationDepth ?? 1) > 1 && candidates.length > 0) {
+		const hopResult = await exploreArtistHops(modules, candidates, seenArtists, blacklist, config);
+		totalSimilarFound += hopResult.totalFromApi;
+		apiFilteredCount += hopResult.apiFilteredCount;
+	}
+
 	// Fetch top tracks for all candidates
 	if (candidates.length > 0) {
 		updateProgress(`Fetching top tracks for ${candidates.length} artists from Last.fm...`, 0.5);
@@ -158,11 +196,161 @@ async function discoverByArtist(modules, seeds, config) {
 		candidates,
 		stats: {
 			apiFilteredCount,
-			totalFromApi: totalSimilarFound
+			totalFromApi: totalSimilarFound,
+			intersectionFilteredCount
 		}
 	};
 }
 
+/**
+ * Favour the artists that several seed artists have in common.
+ * 
+ * A candidate's match score becomes the sum of its matches with each seed artist
+ * divided by the number of seed artists, so an artist similar to every seed keeps
+ * its full match and one similar to a single seed out of three keeps a third.
+ * Candidates reached by fewer than `minSeeds` seed artists are removed (the seed
+ * artists themselves are kept), and the rest are ordered by how many seeds reach
+ * them, then by score.
+ * 
+ * @param {Array} candidates - First-hop candidates ({artist, matchScore, seeds, seedMatches}); updated in place
+ * @param {string[]} seedArtists - Seed artist names
+ * @param {number} minSeeds - Minimum number of seed artists that must reach a candidate (1 = boost only)
+ * @returns {number} Number of candidates removed
+ */
+function applySeedIntersection(candidates, seedArtists, minSeeds) {
+	const logger = _getLogger();
+	const seedKeys = new Set(seedArtists.map(name => String(name).trim().toUpperCase()));
+	const seedCount = seedArtists.length;
+	const reachOf = (c) => c.seeds?.length || 0;
+	const isSeedArtist = (c) => seedKeys.has(String(c.artist).trim().toUpperCase());
+
+	for (const candidate of candidates) {
+		if (!candidate.seedMatches || isSeedArtist(candidate)) continue;
+		const total = Object.values(candidate.seedMatches).reduce((sum, match) => sum + match, 0);
+		candidate.matchScore = total / seedCount;
+	}
+
+	const kept = candidates.filter(c => isSeedArtist(c) || reachOf(c) >= minSeeds);
+	const removed = candidates.length - kept.length;
+
+	// Seed artists first, then the most shared candidates (sort is stable for ties)
+	kept.sort((a, b) => (isSeedArtist(b) - isSeedArtist(a))
+		|| (reachOf(b) - reachOf(a))
+		|| ((Number(b.matchScore) || 0) - (Number(a.matchScore) || 0)));
+	candidates.splice(0, candidates.length, ...kept);
+
+	const shared = kept.filter(c => !isSeedArtist(c) && reachOf(c) > 1);
+	logger.info('Artist', `Intersection: ${shared.length} candidate(s) shared by 2+ of ${seedCount} seed artists`
+		+ (removed > 0 ? `, ${removed} reached by fewer than ${minSeeds} removed` : ''));
+	for (const candidate of shared) {
+		const score = ((Number(candidate.matchScore) || 0) * 100).toFixed(1);
+		logger.info('Artist', `Shared (${reachOf(candidate)}/${seedCount}, ${score}%): ${candidate.artist} ← ${candidate.seeds.join(', ')}`);
+	}
+
+	return removed;
+}
+
+/**
+ * Expand artist candidates beyond the first hop of artist.getSimilar.
+ * 
+ * Each hop asks Last.fm for artists similar to the previous hop's artists
+ * (strongest first). A new artist's match score is its parent's score times
+ * the link's match times the decay factor, so distant artists rank lower but
+ * still trace back to their seed. Each hop has its own cap on new artists,
+ * spread across the parents. The path of every artist found by a later hop is logged (debug).
+ * 
+ * @param {object} modules - Module dependencies
+ * @param {Array} candidates - Candidates from the first hop ({artist, matchScore, path, seed, seeds}); new ones are appended
+ * @param {Set<string>} seenArtists - Artist keys already collected (updated)
+ * @param {Set<string>} blacklist - Blacklisted artist keys
+ * @param {object} config - Configuration (explorationDepth, explorationDecay, explorationHopLimits, similarLimit, apiMinMatch)
+ * @returns {Promise<object>} { added, totalFromApi, apiFilteredCount }
+ */
+async function exploreArtistHops(modules, candidates, seenArtists, blacklist, config) {
+	const { api: { lastfmApi }, settings: { prefixes }, ui: { notifications } } = modules;
+	const { fetchSimilarArtists } = lastfmApi;
+	const { fixPrefixes } = prefixes;
+	const { updateProgress } = notifications;
+	const logger = _getLogger();
+
+	const depth = Math.max(1, Math.min(3, config.explorationDepth ?? 1));
+	const decay = Math.max(0, Math.min(1, config.explorationDecay ?? 0.5));
+	const hopLimits = config.explorationHopLimits || [10, 5];
+	const similarLimit = config.similarLimit ?? 20;
+	const apiMinMatch = config.apiMinMatch ?? 0;
+
+	let frontier = candidates.filter(c => c.path?.length === 2);
+	let added = 0;
+	let totalFromApi = 0;
+	let apiFilteredCount = 0;
+
+	for (let hop = 2; hop <= depth && frontier.length > 0; hop++) {
+		const cap = Math.max(0, Number(hopLimits[hop - 2]) || 0);
+		if (cap === 0) break;
+
+		// Strongest parents first, spreading the cap so one parent can't fill the hop
+		const parents = frontier.slice()
+			.sort((a, b) => (Number(b.matchScore) || 0) - (Number(a.matchScore) || 0))
+			.slice(0, cap);
+		const perParent = Math.max(1, Math.ceil(cap / parents.length));
+		const next = [];
+
+		logger.info('Artist', `Hop ${hop}: exploring ${parents.length} artist(s), up to ${cap} new (decay ${decay})`);
+
+		for (let i = 0; i < parents.length && next.length < cap; i++) {
+			_checkCancelled(modules);
+			const parent = parents[i];
+			updateProgress(`Last.fm: Hop ${hop} - artists similar to "${parent.artist}" (${i + 1}/${parents.length})...`, 0.45);
+
+			try {
+				const similar = await fetchSimilarArtists(fixPrefixes(parent.artist), similarLimit);
+				if (!similar || similar.length === 0) continue;
+				totalFromApi += similar.length;
+
+				let taken = 0;
+				for (const artist of similar) {
+					if (taken >= perParent || next.length >= cap) break;
+					if (!artist?.name) continue;
+
+					const rawMatch = Number(artist.match) || 0;
+					const linkMatch = rawMatch <= 1 ? rawMatch : rawMatch / 100;
+					if (apiMinMatch > 0 && linkMatch * 100 < apiMinMatch) {
+						apiFilteredCount++;
+						continue;
+					}
+
+					const before = candidates.length;
+					addArtistCandidate(artist.name, seenArtists, blacklist, candidates, parent.seed);
+					if (candidates.length === before) continue;
+
+					const entry = candidates[before];
+					entry.matchScore = (Number(parent.matchScore) || 0) * linkMatch * decay;
+					entry.path = [...parent.path, artist.name];
+					if (parent.seeds) entry.seeds = parent.seeds.slice();
+					next.push(entry);
+					taken++;
+				}
+			} catch (e) {
+				if (e?.message === '__CANCELLED__') throw e;
+				logger.warn('Artist', `Hop ${hop} error for "${parent.artist}": ${e.message}`);
+			}
+		}
+
+		added += next.length;
+		logger.info('Artist', `Hop ${hop}: added ${next.length} artist(s)`);
+		frontier = next;
+	}
+
+	// Show how the artists found by later hops trace back to their seed
+	for (const candidate of candidates) {
+		if (!candidate.path || candidate.path.length <= 2) continue;
+		const score = ((Number(candidate.matchScore) || 0) * 100).toFixed(1);
+		logger.debug('Artist', `Path (hop ${candidate.path.length - 1}, ${score}%): ${candidate.path.join(' → ')}`);
+	}
+
+	return { added, totalFromApi, apiFilteredCount };
+}
+
 // ============================================================================
 // TRACK-BASED DISCOVERY
 // ============================================================================
@@ -211,7 +399,7 @@ async function discoverByTrack(modules, seeds, config) {
 	let maxMatchSeen = 0; // Track highest match value seen (for diagnostics)
 
 	for (let i = 0; i < seedLimit; i++) {
-		if (window.matchMonkeyNotifications?.isCancelled?.()) throw new Error('__CANCELLED__');
+		_checkCancelled(modules);
 		const seed = seeds[i];
 		if (!seed?.artist || !seed?.title) continue;
 
@@ -273,7 +461,8 @@ async function discoverByTrack(modules, seeds, config) {
 						entry.tracks.push({
 							title: simTrack.title,
 							match: simTrack.match || 0,
-							playcount: simTrack.playcount || 0
+							playcount: simTrack.playcount || 0,
+							seed: `${artistName} - ${seed.title}`
 						});
 					}
 				}
@@ -344,6 +533,8 @@ async function discoverByGenre(modules, seeds, config) {
 	const seenArtists = new Set();
 	const collectedTags = new Map(); // tag -> count (to prioritize common tags)
 	const blacklist = buildBlacklist(modules);
+	const genreBlacklist = buildGenreBlacklist(modules);
+	let skippedTagCount = 0;
 
 	// Apply limits
 	const maxCandidates = config.similarLimit ?? 20;
@@ -362,7 +553,7 @@ async function discoverByGenre(modules, seeds, config) {
 	if (config.includeSeedArtist) {
 		const seedArtists = extractSeedArtists(seeds, seedLimit);
 		for (const artistName of seedArtists) {
-			addArtistCandidate(artistName, seenArtists, blacklist, candidates);
+			addArtistCandidate(artistName, seenArtists, blacklist, candidates, artistName);
 		}
 	}
 
@@ -373,6 +564,10 @@ async function discoverByGenre(modules, seeds, config) {
 			const genres = seed.genre.split(';').map(g => g.trim()).filter(Boolean);
 			for (const genre of genres) {
 				const tagKey = genre.toLowerCase();
+				if (genreBlacklist.has(tagKey)) {
+					skippedTagCount++;
+					continue;
+				}
 				collectedTags.set(tagKey, (collectedTags.get(tagKey) || 0) + 3); // Weight seed genres highest
 			}
 		}
@@ -391,6 +586,10 @@ async function discoverByGenre(modules, seeds, config) {
 					updateProgress(`Last.fm: Found ${artistInfo.tags.length} tags for "${artistName}"`, 0.18);
 					for (const tag of artistInfo.tags.slice(0, 3)) {
 						const tagKey = tag.toLowerCase();
+						if (genreBlacklist.has(tagKey)) {
+							skippedTagCount++;
+							continue;
+						}
 						collectedTags.set(tagKey, (collectedTags.get(tagKey) || 0) + 1);
 					}
 				}
@@ -401,6 +600,10 @@ async function discoverByGenre(modules, seeds, config) {
 		}
 	}
 
+	if (skippedTagCount > 0) {
+		logger.info('Genre', `Skipped ${skippedTagCount} blacklisted genre tag(s)`);
+	}
+
 	if (collectedTags.size === 0) {
 		logger.debug('Genre', 'No tags found');
 		updateProgress('No genre tags found from seeds', 0.2);
@@ -420,7 +623,7 @@ async function discoverByGenre(modules, seeds, config) {
 	let totalArtistsFromTags = 0;
 
 	for (let i = 0; i < numTags; i++) {
-		if (window.matchMonkeyNotifications?.isCancelled?.()) throw new Error('__CANCELLED__');
+		_checkCancelled(modules);
 		if (candidates.length >= maxCandidates) {
 			logger.debug('Genre', `Reached limit of ${maxCandidates} candidates`);
 			break;
@@ -443,7 +646,7 @@ async function discoverByGenre(modules, seeds, config) {
 				for (const artist of tagArtists) {
 					if (candidates.length >= maxCandidates) break;
 					if (artist?.name) {
-						addArtistCandidate(artist.name, seenArtists, blacklist, candidates);
+						addArtistCandidate(artist.name, seenArtists, blacklist, candidates, tag);
 					}
 				}
 			}
@@ -666,6 +869,868 @@ async function discoverByRecco(modules, seeds, config) {
 	};
 }
 
+// ============================================================================
+// HYBRID DISCOVERY (Last.fm + ReccoBeats)
+// ============================================================================
+
+/**
+ * Convert raw source scores to 0-1 percentiles so Last.fm match (often 1-15%)
+ * and ReccoBeats popularity (0-100) can be weighted against each other.
+ * 
+ * @param {number[]} values - Raw scores from one source
+ * @returns {Function} Lookup (rawValue) => percentile (ties share the same value)
+ */
+function buildPercentileLookup(values) {
+	const sorted = values.slice().sort((a, b) => a - b);
+	const n = sorted.length;
+	return (value) => {
+		if (n === 0) return 0;
+		// Upper bound: number of scores <= value
+		let lo = 0, hi = n;
+		while (lo < hi) {
+			const mid = (lo + hi) >> 1;
+			if (sorted[mid] <= value) lo = mid + 1; else hi = mid;
+		}
+		return lo / n;
+	};
+}
+
+/**
+ * Merge Last.fm and ReccoBeats candidates by normalized artist/title.
+ * 
+ * Each merged track gets a combined score from both sources' percentiles:
+ * (lastfmWeight * lastfm + reccoWeight * recco) / (lastfmWeight + reccoWeight).
+ * A track missing from one source scores 0 for that source, so agreement ranks highest.
+ * 
+ * @param {object} modules - Module dependencies
+ * @param {Array} lastfmCandidates - Candidates from discoverByTrack/discoverByArtist
+ * @param {Array} reccoCandidates - Candidates from discoverByRecco
+ * @param {object} weights - {lastfmWeight, reccoWeight}
+ * @returns {{candidates: Array, contribution: {lastfm: number, recco: number, both: number}}}
+ */
+function mergeHybridCandidates(modules, lastfmCandidates, reccoCandidates, weights) {
+	const { stripName } = modules.utils.normalization;
+	const artists = new Map(); // artKey → {artist, matchScore, tracks: Map(titleKey → entry)}
+	const lastfmValues = [];
+	const reccoValues = [];
+
+	const getArtistEntry = (candidate) => {
+		const artKey = String(candidate.artist || '').trim().toUpperCase();
+		if (!artKey) return null;
+		if (!artists.has(artKey)) {
+			artists.set(artKey, { artist: candidate.artist, matchScore: undefined, tracks: new Map() });
+		}
+		return artists.get(artKey);
+	};
+
+	for (const candidate of lastfmCandidates) {
+		const entry = getArtistEntry(candidate);
+		if (!entry) continue;
+		if (candidate.matchScore !== undefined) entry.matchScore = candidate.matchScore;
+
+		for (const t of candidate.tracks || []) {
+			const title = typeof t === 'string' ? t : t?.title;
+			const titleKey = stripName(title);
+			if (!titleKey || entry.tracks.has(titleKey)) continue;
+
+			// Artist mode only scores the artist, so its top tracks inherit the artist match
+			const lastfm = Number(t.match) || Number(candidate.matchScore) || 0;
+			lastfmValues.push(lastfm);
+			entry.tracks.set(titleKey, {
+				title,
+				lastfm,
+				recco: null,
+				playcount: t.playcount || 0,
+				rank: t.rank || 0,
+				seed: t.seed || candidate.seed || ''
+			});
+		}
+	}
+
+	for (const candidate of reccoCandidates) {
+		const entry = getArtistEntry(candidate);
+		if (!entry) continue;
+
+		for (const t of candidate.tracks || []) {
+			const titleKey = stripName(t?.title);
+			if (!titleKey) continue;
+
+			const recco = Number(t.popularity) || 0;
+			reccoValues.push(recco);
+			const existing = entry.tracks.get(titleKey);
+			if (existing) {
+				existing.recco = Math.max(existing.recco ?? 0, recco);
+			} else {
+				entry.tracks.set(titleKey, { title: t.title, lastfm: null, recco, playcount: 0, rank: 0, seed: '' });
+			}
+		}
+	}
+
+	const lastfmPct = buildPercentileLookup(lastfmValues);
+	const reccoPct = buildPercentileLookup(reccoValues);
+	let { lastfmWeight, reccoWeight } = weights;
+	if (lastfmWeight + reccoWeight <= 0) {
+		lastfmWeight = 1;
+		reccoWeight = 1;
+	}
+	const totalWeight = lastfmWeight + reccoWeight;
+	const contribution = { lastfm: 0, recco: 0, both: 0 };
+	const candidates = [];
+
+	for (const entry of artists.values()) {
+		const tracks = [];
+		for (const t of entry.tracks.values()) {
+			const hasLastfm = t.lastfm !== null;
+			const hasRecco = t.recco !== null;
+			const source = hasLastfm && hasRecco ? 'both' : (hasLastfm ? 'lastfm' : 'recco');
+			contribution[source]++;
+
+			const score = (
+				lastfmWeight * (hasLastfm ? lastfmPct(t.lastfm) : 0) +
+				reccoWeight * (hasRecco ? reccoPct(t.recco) : 0)
+			) / totalWeight;
+
+			const track = { title: t.title, match: score, hybridSource: source };
+			if (hasRecco) track.popularity = t.recco;
+			if (t.playcount) track.playcount = t.playcount;
+			if (t.rank) track.rank = t.rank;
+			if (t.seed) track.seed = t.seed;
+			tracks.push(track);
+		}
+
+		tracks.sort((a, b) => b.match - a.match);
+		const candidate = { artist: entry.artist, tracks };
+		if (entry.matchScore !== undefined) candidate.matchScore = entry.matchScore;
+		candidates.push(candidate);
+	}
+
+	// Artists with the strongest combined track first (artists without tracks last)
+	candidates.sort((a, b) => (b.tracks[0]?.match || 0) - (a.tracks[0]?.match || 0));
+
+	return { candidates, contribution };
+}
+
+/**
+ * Hybrid discovery strategy.
+ * 
+ * Runs Last.fm discovery (track.getSimilar, or artist.getSimilar when
+ * HybridLastfmSource is set to artists) and ReccoBeats recommendations for the
+ * same seeds, then merges both candidate lists with a weighted combined score.
+ * 
+ * @param {object} modules - Module dependencies
+ * @param {Array} seeds - Seed objects [{artist, title, album, genre}, ...]
+ * @param {object} config - Configuration settings (hybridLastfmSource, hybridLastfmWeight, hybridReccoWeight)
+ * @returns {Promise<object>} {candidates, stats} with stats.sourceContribution
+ */
+async function discoverByHybrid(modules, seeds, config) {
+	const { ui: { notifications } } = modules;
+	const { updateProgress } = notifications;
+	const logger = _getLogger();
+
+	const useArtist = /artist/i.test(String(config.hybridLastfmSource || ''));
+	const lastfmWeight = Math.max(0, config.hybridLastfmWeight ?? 60);
+	const reccoWeight = Math.max(0, config.hybridReccoWeight ?? 40);
+
+	logger.info('Hybrid', `Last.fm ${useArtist ? 'artist' : 'track'} discovery + ReccoBeats (weights ${lastfmWeight}/${reccoWeight})`);
+
+	updateProgress('Hybrid: Querying Last.fm...', 0.15);
+	const lastfmResult = await (useArtist ? discoverByArtist : discoverByTrack)(modules, seeds, config);
+	_checkCancelled(modules);
+
+	updateProgress('Hybrid: Querying ReccoBeats...', 0.2);
+	const reccoResult = await discoverByRecco(modules, seeds, config);
+	_checkCancelled(modules);
+
+	const lastfmCandidates = lastfmResult?.candidates || [];
+	const reccoCandidates = reccoResult?.candidates || [];
+	const { candidates, contribution } = mergeHybridCandidates(
+		modules, lastfmCandidates, reccoCandidates, { lastfmWeight, reccoWeight }
+	);
+
+	const totalTracks = contribution.lastfm + contribution.recco + contribution.both;
+	logger.summary('Hybrid', 'Merge complete', {
+		candidates: candidates.length,
+		tracks: totalTracks,
+		lastfmOnly: contribution.lastfm,
+		reccoOnly: contribution.recco,
+		both: contribution.both
+	});
+	updateProgress(`Hybrid: ${candidates.length} artists, ${totalTracks} tracks (${contribution.both} found by both sources)`, 0.6);
+
+	return {
+		candidates,
+		stats: {
+			apiFilteredCount: (lastfmResult?.stats?.apiFilteredCount || 0) + (reccoResult?.stats?.apiFilteredCount || 0),
+			totalFromApi: (lastfmResult?.stats?.totalFromApi || 0) + (reccoResult?.stats?.totalFromApi || 0),
+			sourceContribution: contribution
+		}
+	};
+}
+
+// ============================================================================
+// ALBUM-BASED DISCOVERY
+// ============================================================================
+
+/**
+ * Album-based discovery strategy.
+ * 
+ * Uses Last.fm artist.getSimilar for the artists of the seed albums, then
+ * artist.getTopAlbums for each similar artist, and looks those albums up in the
+ * library by name (Songs.Album). Albums are returned already matched, one
+ * candidate per album with its tracks in disc/track order. With
+ * albumTracksPerAlbum > 0 only that many tracks (picked at random, kept in
+ * album order) are taken from each album. The seed albums themselves are skipped.
+ * 
+ * @param {object} modules - Module dependencies
+ * @param {Array} seeds - Seed objects [{artist, title, album, genre}, ...]
+ * @param {object} config - Configuration settings (albumsPerArtist, albumTracksPerAlbum)
+ * @returns {Promise<object>} { candidates, stats, libraryTracks }
+ */
+async function discoverByAlbum(modules, seeds, config) {
+	const { api: { lastfmApi }, settings: { prefixes }, ui: { notifications }, db } = modules;
+	const { fetchSimilarArtists, fetchTopAlbums } = lastfmApi;
+	const { fixPrefixes } = prefixes;
+	const { updateProgress } = notifications;
+	const logger = _getLogger();
+
+	const blacklist = buildBlacklist(modules);
+	const similarLimit = config.similarLimit ?? 20;
+	const apiMinMatch = config.apiMinMatch ?? 0;
+	const albumsPerArtist = Math.max(1, config.albumsPerArtist ?? 2);
+	const tracksPerAlbum = Math.max(0, config.albumTracksPerAlbum ?? 0);
+	const uniqueArtists = extractSeedArtists(seeds, config.seedLimit ?? 20);
+	const artistCount = uniqueArtists.length;
+
+	// Seed albums are already in hand - don't hand them back
+	const seedAlbums = new Set();
+	for (const seed of seeds) {
+		if (!seed.album || !seed.artist) continue;
+		seed.artist.split(';').map(a => a.trim()).filter(Boolean)
+			.forEach(a => seedAlbums.add(`${a}||${seed.album}`.toUpperCase()));
+	}
+
+	logger.info('Album', `Processing ${artistCount} seed artist(s), max ${similarLimit} similar per artist, ${albumsPerArtist} album(s) each`);
+	updateProgress(`Querying Last.fm for ${artistCount} seed artist(s)...`, 0.2);
+
+	// Step 1: Similar artists of the seed albums' artists
+	const artists = [];
+	const seenArtists = new Set();
+	let totalSimilarFound = 0;
+	let apiFilteredCount = 0;
+	const filteredArtists = [];
+
+	const addArtist = (name, matchScore, seedArtist) => {
+		const before = artists.length;
+		addArtistCandidate(name, seenArtists, blacklist, artists, seedArtist);
+		if (artists.length > before) artists[before].matchScore = matchScore;
+	};
+
+	for (let i = 0; i < artistCount; i++) {
+		_checkCancelled(modules);
+		const artistName = uniqueArtists[i];
+		const progress = 0.2 + ((i + 1) / artistCount) * 0.15;
+		updateProgress(`Last.fm: Finding artists similar to "${artistName}" (${i + 1}/${artistCount})...`, progress);
+
+		try {
+			if (config.includeSeedArtist) {
+				addArtist(artistName, 1, artistName);
+			}
+
+			const similar = await fetchSimilarArtists(fixPrefixes(artistName), similarLimit);
+			if (!similar || similar.length === 0) {
+				logger.debug('Album', `No similar artists found for "${artistName}"`);
+				continue;
+			}
+			totalSimilarFound += similar.length;
+
+			for (const artist of similar.slice(0, similarLimit)) {
+				if (!artist?.name) continue;
+				const rawMatch = Number(artist.match) || 0;
+				const artistMatch = rawMatch <= 1 ? rawMatch * 100 : rawMatch;
+				if (apiMinMatch > 0 && artistMatch < apiMinMatch) {
+					apiFilteredCount++;
+					filteredArtists.push(`"${artist.name}" ${artistMatch.toFixed(1)}% < ${apiMinMatch}%`);
+					continue;
+				}
+				addArtist(artist.name, rawMatch <= 1 ? rawMatch : rawMatch / 100, artistName);
+			}
+		} catch (e) {
+			if (e?.message === '__CANCELLED__') throw e;
+			logger.error('Album', `Error for "${artistName}": ${e.message}`);
+		}
+	}
+
+	// Step 2: Top albums of each artist, matched in the library by album name
+	// Fetch a few more albums than needed - many won't be in the library
+	const albumFetchLimit = Math.max(10, albumsPerArtist * 5);
+	const candidates = [];
+	const libraryTracks = [];
+	let albumsFromApi = 0;
+
+	for (let i = 0; i < artists.length; i++) {
+		_checkCancelled(modules);
+		const entry = artists[i];
+		const progress = 0.35 + ((i + 1) / artists.length) * 0.45;
+		updateProgress(`Last.fm: Albums by "${entry.artist}" (${i + 1}/${artists.length})...`, progress);
+
+		try {
+			const topAlbums = await fetchTopAlbums(fixPrefixes(entry.artist), albumFetchLimit);
+			albumsFromApi += topAlbums.length;
+
+			let matched = 0;
+			for (const album of topAlbums) {
+				if (matched >= albumsPerArtist) break;
+				if (seedAlbums.has(`${entry.artist}||${album.name}`.toUpperCase())) continue;
+
+				const albumTracks = await db.findLibraryTracks(entry.artist, null, 500, {
+					album: album.name,
+					formatPreference: config.formatPreference,
+					minRating: config.minRating,
+					allowUnknown: config.allowUnknown,
+					collection: config.localCollection || '',
+					genreBlacklist: config.genreBlacklist,
+					skipPlayedDays: config.skipPlayedDays,
+					maxPlayCount: config.maxPlayCount,
+					filterStats: config.filterStats
+				});
+				if (!albumTracks || albumTracks.length === 0) continue;
+
+				const picked = pickAlbumTracks(albumTracks, tracksPerAlbum);
+				matched++;
+				candidates.push({
+					artist: entry.artist,
+					album: album.name,
+					seed: entry.seed,
+					matchScore: entry.matchScore,
+					tracks: picked.map(t => ({
+						title: t.title || t.SongTitle || '',
+						playcount: album.playcount
+					})),
+					_libraryTracks: picked
+				});
+				libraryTracks.push(...picked);
+				logger.debug('Album', `Matched "${entry.artist} - ${album.name}" (${picked.length}/${albumTracks.length} tracks)`);
+			}
+		} catch (e) {
+			if (e?.message === '__CANCELLED__') throw e;
+			logger.warn('Album', `Error for "${entry.artist}": ${e.message}`);
+		}
+	}
+
+	logger.summary('Album', 'Discovery complete', {
+		artists: artists.length,
+		albums: candidates.length,
+		tracks: libraryTracks.length,
+		albumsFromApi,
+		filtered: apiFilteredCount
+	}, filteredArtists);
+	updateProgress(`Found ${candidates.length} album(s) from ${artists.length} artists in your library`, 0.8);
+
+	return {
+		candidates,
+		stats: {
+			apiFilteredCount,
+			totalFromApi: totalSimilarFound
+		},
+		libraryTracks
+	};
+}
+
+/**
+ * Take one copy of each title from an album, then `count` of them at random
+ * (0 = the whole album). Tracks keep their album order.
+ * 
+ * @param {object[]} tracks - Library tracks of one album in disc/track order
+ * @param {number} count - Tracks to keep (0 = all)
+ * @returns {object[]} Picked tracks in album order
+ */
+function pickAlbumTracks(tracks, count) {
+	// findLibraryTracks lists the higher bitrate copy of a title first
+	const seenTitles = new Set();
+	const unique = tracks.filter(t => {
+		const key = String(t.title || t.SongTitle || '').trim().toUpperCase();
+		if (seenTitles.has(key)) return false;
+		seenTitles.add(key);
+		return true;
+	});
+
+	if (count <= 0 || unique.length <= count) return unique;
+
+	const indexes = unique.map((_, idx) => idx);
+	for (let i = indexes.length - 1; i > 0; i--) {
+		const j = Math.floor(Math.random() * (i + 1));
+		[indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+	}
+	const picked = new Set(indexes.slice(0, count));
+	return unique.filter((_, idx) => picked.has(idx));
+}
+
+// ============================================================================
+// ARTIST JOURNEY (bridge between seed artists)
+// ============================================================================
+
+/**
+ * Artists kept per side and hop while searching for a journey path.
+ */
+const JOURNEY_BEAM_WIDTH = 8;
+
+/**
+ * Find a path between two artists through the Last.fm similar-artists graph.
+ * 
+ * Bounded bidirectional search: each step expands the smaller explored side by
+ * one hop (fetchSimilarArtists, cached in lastfm.similarArtists), keeping only
+ * the JOURNEY_BEAM_WIDTH strongest new artists of the hop, until the two sides
+ * meet or `maxHops` links have been used. Blacklisted artists are never stepped on.
+ * 
+ * @param {object} modules - Module dependencies
+ * @param {string} fromArtist - Start artist
+ * @param {string} toArtist - Target artist
+ * @param {object} options - { maxHops, similarLimit, blacklist }
+ * @returns {Promise<object>} { path: [{artist, match}] | null, reason, explored }
+ */
+async function findArtistPath(modules, fromArtist, toArtist, options) {
+	const { api: { lastfmApi }, settings: { prefixes } } = modules;
+	const { fetchSimilarArtists } = lastfmApi;
+	const { fixPrefixes } = prefixes;
+	const { maxHops = 4, similarLimit = 30, blacklist = new Set() } = options;
+	const keyOf = (name) => String(name || '').trim().toUpperCase();
+
+	const fromKey = keyOf(fromArtist);
+	const toKey = keyOf(toArtist);
+	if (fromKey === toKey) return { path: [{ artist: fromArtist, match: 1 }], reason: '', explored: 0 };
+
+	// Explored artists per side: key -> {name, parent, match}
+	const sides = [
+		{ visited: new Map([[fromKey, { name: fromArtist, parent: null, match: 1 }]]), frontier: [fromKey], depth: 0 },
+		{ visited: new Map([[toKey, { name: toArtist, parent: null, match: 1 }]]), frontier: [toKey], depth: 0 },
+	];
+	let explored = 0;
+
+	// Walk a side's parents back to its root
+	const chain = (side, key) => {
+		const out = [];
+		for (let k = key; k; k = side.visited.get(k).parent) out.push(side.visited.get(k));
+		return out;
+	};
+
+	// Join the sides where `headKey` (start side) links to `tailKey` (target side).
+	// Each step's match is the similarity of the link that leads to it.
+	const joinPath = (headKey, tailKey, linkMatch) => {
+		const path = chain(sides[0], headKey).reverse().map((n, i) => ({ artist: n.name, match: i === 0 ? 1 : n.match }));
+		let incoming = linkMatch;
+		for (const n of chain(sides[1], tailKey)) {
+			path.push({ artist: n.name, match: incoming });
+			incoming = n.match;
+		}
+		return path;
+	};
+
+	while (sides[0].depth + sides[1].depth < maxHops) {
+		_checkCancelled(modules);
+
+		const idx = sides[0].visited.size <= sides[1].visited.size ? 0 : 1;
+		const side = sides[idx];
+		const other = sides[1 - idx];
+		if (side.frontier.length === 0) {
+			const stuck = idx === 0 ? fromArtist : toArtist;
+			return { path: null, reason: `Last.fm has no similar artists left to explore around "${stuck}"`, explored };
+		}
+
+		const added = [];
+		for (const key of side.frontier) {
+			const node = side.visited.get(key);
+			const similar = await fetchSimilarArtists(fixPrefixes(node.name), similarLimit);
+			explored++;
+
+			for (const artist of similar || []) {
+				const simKey = keyOf(artist?.name);
+				if (!simKey || side.visited.has(simKey)) continue;
+				if (blacklist.has(simKey) && simKey !== fromKey && simKey !== toKey) continue;
+
+				const match = Number(artist.match) || 0;
+				if (other.visited.has(simKey)) {
+					const path = idx === 0 ? joinPath(key, simKey, match) : joinPath(simKey, key, match);
+					return { path, reason: '', explored };
+				}
+
+				side.visited.set(simKey, { name: artist.name, parent: key, match });
+				added.push(simKey);
+			}
+		}
+
+		side.depth++;
+		side.frontier = added
+			.sort((a, b) => side.visited.get(b).match - side.visited.get(a).match)
+			.slice(0, JOURNEY_BEAM_WIDTH);
+	}
+
+	return { path: null, reason: `no path within ${maxHops} hop(s) (${explored} artist(s) explored)`, explored };
+}
+
+/**
+ * Artist journey strategy.
+ * 
+ * Instead of the union of similar artists, builds a path through the Last.fm
+ * similar-artists graph from the first seed artist to the last (through any
+ * seed artists in between, one leg at a time) and takes library tracks of each
+ * artist along the way. Candidates come back already matched and in path order.
+ * When a leg has no path within JourneyMaxHops, stats.journeyReason says why.
+ * 
+ * @param {object} modules - Module dependencies
+ * @param {Array} seeds - Seed objects [{artist, title, album, genre}, ...]
+ * @param {object} config - Configuration settings (journeyMaxHops, journeyTracksPerArtist)
+ * @returns {Promise<object>} { candidates, stats, libraryTracks }
+ */
+async function discoverByJourney(modules, seeds, config) {
+	const { ui: { notifications }, db } = modules;
+	const { updateProgress } = notifications;
+	const logger = _getLogger();
+
+	const blacklist = buildBlacklist(modules);
+	const maxHops = Math.max(1, config.journeyMaxHops ?? 4);
+	const tracksPerArtist = Math.max(1, config.journeyTracksPerArtist ?? 3);
+	const similarLimit = config.similarLimit ?? 30;
+	const seedArtists = extractSeedArtists(seeds, config.seedLimit ?? 20);
+	const emptyResult = (reason) => ({
+		candidates: [],
+		stats: { apiFilteredCount: 0, totalFromApi: 0, journeyReason: reason },
+		libraryTracks: []
+	});
+
+	if (seedArtists.length < 2) {
+		logger.info('Journey', 'Need at least two seed artists');
+		return emptyResult('Select tracks by at least two different artists.');
+	}
+
+	// Step 1: One leg per consecutive pair of seed artists
+	const path = [];
+	let explored = 0;
+	for (let i = 0; i < seedArtists.length - 1; i++) {
+		const from = seedArtists[i];
+		const to = seedArtists[i + 1];
+		updateProgress(`Last.fm: Finding a path from "${from}" to "${to}"...`, 0.2 + (i / (seedArtists.length - 1)) * 0.3);
+
+		const leg = await findArtistPath(modules, from, to, { maxHops, similarLimit, blacklist });
+		explored += leg.explored;
+		if (!leg.path) {
+			logger.info('Journey', `No path from "${from}" to "${to}": ${leg.reason}`);
+			return emptyResult(`No path from "${from}" to "${to}": ${leg.reason}.`);
+		}
+
+		logger.info('Journey', `Leg ${i + 1}: ${leg.path.map(p => p.artist).join(' → ')}`);
+		// Legs share their joining artist
+		leg.path.slice(path.length > 0 ? 1 : 0).forEach(step => path.push({ ...step, leg: `${from} → ${to}` }));
+	}
+
+	logger.info('Journey', `Path of ${path.length} artist(s), ${explored} artist(s) explored`);
+	updateProgress(`Journey: ${path.map(p => p.artist).join(' → ')}`, 0.55);
+
+	// Step 2: Library tracks of each artist, in path order
+	const candidates = [];
+	const libraryTracks = [];
+	const missingArtists = [];
+	const visitedArtists = new Set();
+
+	for (let i = 0; i < path.length; i++) {
+		_checkCancelled(modules);
+		const step = path[i];
+		// Legs can pass the same artist twice - play it once, at its first visit
+		const stepKey = step.artist.toUpperCase();
+		if (visitedArtists.has(stepKey)) continue;
+		visitedArtists.add(stepKey);
+		updateProgress(`Searching library for "${step.artist}" (${i + 1}/${path.length})...`, 0.55 + (i / path.length) * 0.25);
+
+		const tracks = await db.findLibraryTracks(step.artist, null, tracksPerArtist, {
+			formatPreference: config.formatPreference,
+			minRating: config.minRating,
+			allowUnknown: config.allowUnknown,
+			collection: config.localCollection || '',
+			genreBlacklist: config.genreBlacklist,
+			skipPlayedDays: config.skipPlayedDays,
+			maxPlayCount: config.maxPlayCount,
+			filterStats: config.filterStats
+		});
+		if (!tracks || tracks.length === 0) {
+			missingArtists.push(step.artist);
+			continue;
+		}
+
+		candidates.push({
+			artist: step.artist,
+			seed: step.leg,
+			matchScore: step.match,
+			tracks: tracks.map(t => ({ title: t.title || t.SongTitle || '', match: step.match })),
+			_libraryTracks: tracks
+		});
+		libraryTracks.push(...tracks);
+	}
+
+	if (missingArtists.length > 0) {
+		logger.info('Journey', `Not in library: ${missingArtists.join(', ')}`);
+	}
+	updateProgress(`Journey: ${candidates.length} of ${path.length} artists in your library`, 0.8);
+
+	return {
+		candidates,
+		stats: {
+			apiFilteredCount: 0,
+			totalFromApi: explored,
+			journeyPath: path.map(p => p.artist),
+			journeyReason: candidates.length === 0 ? 'None of the artists along the path are in your library.' : ''
+		},
+		libraryTracks
+	};
+}
+
+// ============================================================================
+// LOCAL LIBRARY DISCOVERY (offline)
+// ============================================================================
+
+/**
+ * Relative weights of the local similarity factors (each factor is 0-1).
+ */
+const LOCAL_SCORE_WEIGHTS = {
+	genre: 30,
+	playlists: 20,
+	albumArtist: 15,
+	year: 15,
+	composer: 10,
+	bpm: 10
+};
+
+/**
+ * Related tracks loaded from the library before scoring.
+ */
+const LOCAL_POOL_LIMIT = 1000;
+
+/**
+ * Shared playlists that count as a full playlist match.
+ */
+const LOCAL_PLAYLIST_FULL_MATCH = 3;
+
+/**
+ * Split a multi-value library field ("Rock; Pop") into lowercase values.
+ * 
+ * @param {string} value - Field value
+ * @returns {string[]} Values
+ */
+function splitLibraryValues(value) {
+	return String(value || '').split(';').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Year of a library track. Songs.Year holds YYYY or a full YYYYMMDD date.
+ * 
+ * @param {object} track - Library track
+ * @returns {number} Year, or 0 when unknown
+ */
+function getLibraryTrackYear(track) {
+	const raw = Number(track.year ?? track.Year ?? 0) || 0;
+	const year = raw > 9999 ? Math.floor(raw / 10000) : raw;
+	return year > 0 ? year : 0;
+}
+
+/**
+ * The metadata of a library track that local discovery compares.
+ * 
+ * @param {object} track - Library track
+ * @returns {object} { id, artist, title, genres, albumArtist, composers, year, bpm }
+ */
+function buildLocalProfile(track) {
+	const bpm = Number(track.bpm ?? track.BPM ?? 0) || 0;
+	return {
+		id: Number(track.id ?? track.ID ?? 0) || 0,
+		artist: String(track.artist || track.Artist || ''),
+		title: String(track.title || track.SongTitle || ''),
+		genres: splitLibraryValues(track.genre || track.Genre),
+		albumArtist: String(track.albumArtist || track.AlbumArtist || '').trim().toLowerCase(),
+		composers: splitLibraryValues(track.author || track.Author),
+		year: getLibraryTrackYear(track),
+		bpm: bpm > 0 ? bpm : 0
+	};
+}
+
+/**
+ * Score how related a library track is to one seed, 0-1.
+ * Genre counts the share of the seed's genres the track has; year and BPM fall off
+ * linearly to 0 at the configured range; playlists saturate at LOCAL_PLAYLIST_FULL_MATCH.
+ * Factors the seed has no data for are left out of the weighting.
+ * 
+ * @param {object} seed - Seed profile from buildLocalProfile()
+ * @param {object} track - Track profile from buildLocalProfile()
+ * @param {number} sharedPlaylists - Playlists the track shares with the seeds
+ * @param {object} ranges - { year, bpm }
+ * @returns {number} Score (0-1)
+ */
+function scoreLocalTrack(seed, track, sharedPlaylists, ranges) {
+	const closeness = (a, b, range) => Math.max(0, 1 - Math.abs(a - b) / (range + 1));
+	const parts = {
+		genre: seed.genres.length > 0 ? seed.genres.filter(g => track.genres.includes(g)).length / seed.genres.length : null,
+		playlists: Math.min(1, sharedPlaylists / LOCAL_PLAYLIST_FULL_MATCH),
+		albumArtist: seed.albumArtist ? (seed.albumArtist === track.albumArtist ? 1 : 0) : null,
+		year: seed.year && track.year ? closeness(seed.year, track.year, ranges.year) : (seed.year ? 0 : null),
+		composer: seed.composers.length > 0 ? (seed.composers.some(c => track.composers.includes(c)) ? 1 : 0) : null,
+		bpm: seed.bpm && track.bpm ? closeness(seed.bpm, track.bpm, ranges.bpm) : (seed.bpm ? 0 : null)
+	};
+
+	let total = 0;
+	let weightSum = 0;
+	for (const [key, weight] of Object.entries(LOCAL_SCORE_WEIGHTS)) {
+		if (parts[key] === null) continue;
+		total += weight * parts[key];
+		weightSum += weight;
+	}
+	return weightSum > 0 ? total / weightSum : 0;
+}
+
+/**
+ * Local library discovery strategy (no Last.fm or ReccoBeats calls).
+ * 
+ * Finds the seed tracks in the library, loads tracks sharing a genre, album artist,
+ * composer or playlist with them, and scores each by shared genres, year proximity,
+ * album artist, composer, BPM proximity and shared playlists (best seed wins).
+ * Candidates come back already matched to library tracks, best first.
+ * 
+ * @param {object} modules - Module dependencies
+ * @param {Array} seeds - Seed objects [{artist, title, album, genre}, ...]
+ * @param {object} config - Configuration settings (localYearRange, localBpmRange)
+ * @returns {Promise<object>} { candidates, stats, libraryTracks }
+ */
+async function discoverByLocal(modules, seeds, config) {
+	const { ui: { notifications }, db } = modules;
+	const { updateProgress } = notifications;
+	const logger = _getLogger();
+
+	const blacklist = buildBlacklist(modules);
+	const ranges = {
+		year: Math.max(0, config.localYearRange ?? 5),
+		bpm: Math.max(0, config.localBpmRange ?? 10)
+	};
+	const tracksPerArtist = config.tracksPerArtist ?? 10000;
+	const libraryOptions = {
+		formatPreference: config.formatPreference,
+		minRating: config.minRating,
+		allowUnknown: config.allowUnknown,
+		collection: config.localCollection || '',
+		genreBlacklist: config.genreBlacklist,
+		skipPlayedDays: config.skipPlayedDays,
+		maxPlayCount: config.maxPlayCount,
+		filterStats: config.filterStats
+	};
+	const emptyResult = (reason) => ({
+		candidates: [],
+		stats: { apiFilteredCount: 0, totalFromApi: 0, localReason: reason },
+		libraryTracks: []
+	});
+
+	// Step 1: Find the seed tracks in the library
+	updateProgress('Library: Looking up seed tracks...', 0.15);
+	const seedProfiles = [];
+	const seedIds = new Set();
+	for (const seed of seeds.slice(0, config.seedLimit ?? 20)) {
+		_checkCancelled(modules);
+		if (!seed.artist || !seed.title) continue;
+		const found = await db.findLibraryTracks(seed.artist, seed.title, 1, {
+			formatPreference: config.formatPreference,
+			minRating: 0,
+			allowUnknown: true,
+			collection: config.localCollection || ''
+		});
+		const profile = found?.[0] ? buildLocalProfile(found[0]) : null;
+		if (profile && profile.id && !seedIds.has(profile.id)) {
+			seedIds.add(profile.id);
+			seedProfiles.push(profile);
+		}
+	}
+
+	if (seedProfiles.length === 0) {
+		logger.info('Local', 'None of the seed tracks are in the library');
+		return emptyResult('None of the seed tracks were found in your library.');
+	}
+	logger.debug('Local', `${seedProfiles.length} seed track(s) found in the library`);
+
+	// Step 2: Songs that share static playlists with the seeds
+	updateProgress(`Library: Checking playlists of ${seedProfiles.length} seed track(s)...`, 0.25);
+	const coMembership = await db.getPlaylistCoMembership(Array.from(seedIds), LOCAL_POOL_LIMIT);
+
+	// Step 3: Related tracks. Playlist co-members are loaded explicitly, since a random
+	// sample over broad genre matches would usually miss them; the metadata matches
+	// (genre, album artist, composer) are then sampled at random on top.
+	updateProgress('Library: Searching related tracks...', 0.4);
+	const songIds = Array.from(coMembership.keys());
+	const pool = songIds.length > 0
+		? await db.findLibraryTracks(null, null, songIds.length, { ...libraryOptions, related: { songIds } })
+		: [];
+	const playlistCount = pool.length;
+
+	const related = {
+		genres: [...new Set(seedProfiles.flatMap(p => p.genres))],
+		albumArtists: [...new Set(seedProfiles.map(p => p.albumArtist).filter(Boolean))],
+		composers: [...new Set(seedProfiles.flatMap(p => p.composers))]
+	};
+	const poolIds = new Set(pool.map(t => Number(t.id ?? t.ID ?? 0)));
+	const sample = await db.findLibraryTracks(null, null, LOCAL_POOL_LIMIT, { ...libraryOptions, related });
+	for (const track of sample) {
+		const id = Number(track.id ?? track.ID ?? 0);
+		if (poolIds.has(id)) continue;
+		poolIds.add(id);
+		pool.push(track);
+	}
+	logger.debug('Local', `${pool.length} related track(s) loaded (playlist songs: ${playlistCount}/${songIds.length}, genres: ${related.genres.length}, album artists: ${related.albumArtists.length}, composers: ${related.composers.length})`);
+
+	// Step 4: Score against the closest seed
+	updateProgress(`Library: Scoring ${pool.length} related tracks...`, 0.6);
+	const seedArtistKeys = new Set(seedProfiles.map(p => p.artist.toUpperCase()));
+	const scored = [];
+	for (const track of pool) {
+		const profile = buildLocalProfile(track);
+		const artistKey = profile.artist.toUpperCase();
+		if (!profile.artist || seedIds.has(profile.id) || blacklist.has(artistKey)) continue;
+		if (!config.includeSeedArtist && seedArtistKeys.has(artistKey)) continue;
+
+		const sharedPlaylists = coMembership.get(profile.id) || 0;
+		let best = { score: 0, seed: null };
+		for (const seed of seedProfiles) {
+			const score = scoreLocalTrack(seed, profile, sharedPlaylists, ranges);
+			if (score > best.score) best = { score, seed };
+		}
+		if (best.score > 0) scored.push({ track, profile, ...best });
+	}
+	scored.sort((a, b) => b.score - a.score);
+
+	// Step 5: Group by artist, best tracks first, up to TracksPerArtist each
+	const byArtist = new Map();
+	for (const entry of scored) {
+		const key = entry.profile.artist.toUpperCase();
+		let candidate = byArtist.get(key);
+		if (!candidate) {
+			candidate = { artist: entry.profile.artist, seed: `${entry.seed.artist} - ${entry.seed.title}`, tracks: [], _libraryTracks: [] };
+			byArtist.set(key, candidate);
+		}
+		if (candidate._libraryTracks.length >= tracksPerArtist) continue;
+		candidate.tracks.push({ title: entry.profile.title, match: entry.score, seed: `${entry.seed.artist} - ${entry.seed.title}` });
+		candidate._libraryTracks.push(entry.track);
+	}
+
+	const candidates = Array.from(byArtist.values());
+	const libraryTracks = candidates.flatMap(c => c._libraryTracks);
+	scored.slice(0, 5).forEach(({ profile, score }) => {
+		logger.debug('Local', `${(score * 100).toFixed(1)}% - "${profile.artist} - ${profile.title}"`);
+	});
+	logger.info('Local', `${libraryTracks.length} related track(s) from ${candidates.length} artist(s)`);
+	updateProgress(`Library: ${libraryTracks.length} related tracks from ${candidates.length} artists`, 0.8);
+
+	return {
+		candidates,
+		stats: {
+			apiFilteredCount: 0,
+			totalFromApi: 0,
+			localReason: candidates.length === 0 ? 'No tracks in your library share a genre, album artist, composer or playlist with the seeds.' : ''
+		},
+		libraryTracks
+	};
+}
+
 // ============================================================================
 // MOOD-BASED DISCOVERY
 // ============================================================================
@@ -755,6 +1820,110 @@ function buildBlacklist(modules) {
 	return blacklist;
 }
 
+/**
+ * Build genre blacklist set from user settings.
+ *
+ * @param {object} modules - Module dependencies
+ * @returns {Set<string>} Set of blacklisted genre names (lowercase)
+ */
+function buildGenreBlacklist(modules) {
+	const { settings: { storage }, utils: { helpers } } = modules;
+	const { getSetting } = storage;
+	const { parseListSetting } = helpers;
+	const logger = _getLogger();
+
+	const genreBlacklist = new Set();
+
+	try {
+		const blacklistRaw = getSetting('GenreBlacklist', '');
+		const items = parseListSetting(blacklistRaw);
+
+		for (const item of items) {
+			if (item) genreBlacklist.add(String(item).trim().toLowerCase());
+		}
+	} catch (e) {
+		logger.error('Blacklist', `Error building genre blacklist: ${e.message}`);
+	}
+
+	return genreBlacklist;
+}
+
+/**
+ * Check whether any of the given genres/tags is blacklisted.
+ * Accepts an MM5 genre field (semicolon-separated) or an array of Last.fm tags.
+ *
+ * @param {string|string[]} genres - Genre field or tag list
+ * @param {Set<string>} genreBlacklist - Set of blacklisted genres (lowercase)
+ * @returns {string|null} The first blacklisted genre found, or null
+ */
+function findBlacklistedGenre(genres, genreBlacklist) {
+	if (!genreBlacklist || genreBlacklist.size === 0 || !genres) return null;
+
+	const list = Array.isArray(genres) ? genres : String(genres).split(';');
+	for (const g of list) {
+		const key = String(g || '').trim().toLowerCase();
+		if (key && genreBlacklist.has(key)) return key;
+	}
+	return null;
+}
+
+/**
+ * Drop candidate artists whose Last.fm tags hit the genre blacklist.
+ * Uses artist.getInfo (cached) for each candidate; lookup failures keep the candidate.
+ *
+ * @param {object} modules - Module dependencies
+ * @param {Array} candidates - Array of {artist, tracks[]} candidates
+ * @param {Set<string>} genreBlacklist - Set of blacklisted genres (lowercase)
+ * @returns {Promise<{candidates: Array, removed: string[]}>} Kept candidates and removed details
+ */
+async function filterCandidatesByGenre(modules, candidates, genreBlacklist) {
+	if (!genreBlacklist || genreBlacklist.size === 0 || !Array.isArray(candidates) || candidates.length === 0) {
+		return { candidates: candidates || [], removed: [] };
+	}
+
+	const { api: { lastfmApi }, settings: { prefixes }, ui: { notifications } } = modules;
+	const { fetchArtistInfo } = lastfmApi;
+	const { fixPrefixes } = prefixes;
+	const { updateProgress } = notifications;
+	const logger = _getLogger();
+
+	const blocked = new Set();
+	const removed = [];
+	const CONCURRENCY = 5;
+
+	updateProgress(`Last.fm: Checking genre tags for ${candidates.length} artists...`, 0.5);
+
+	for (let i = 0; i < candidates.length; i += CONCURRENCY) {
+		_checkCancelled(modules);
+		const batch = candidates.slice(i, i + CONCURRENCY);
+
+		await Promise.all(batch.map(async (candidate) => {
+			if (!candidate?.artist || candidate.artist.startsWith('__')) return;
+			try {
+				const info = await fetchArtistInfo(fixPrefixes(candidate.artist));
+				const hit = findBlacklistedGenre(info?.tags || [], genreBlacklist);
+				if (hit) {
+					blocked.add(candidate);
+					removed.push(`"${candidate.artist}" tagged "${hit}"`);
+				}
+			} catch (e) {
+				if (e?.message === '__CANCELLED__') throw e;
+				logger.debug('Blacklist', `Genre check failed for "${candidate.artist}": ${e.message}`);
+			}
+		}));
+	}
+
+	logger.summary('Blacklist', 'Genre check complete', {
+		checked: candidates.length,
+		removed: removed.length
+	}, removed);
+
+	return {
+		candidates: candidates.filter(c => !blocked.has(c)),
+		removed
+	};
+}
+
 function expandSeedsByArtist(seeds) {
 	const expanded = [];
 
@@ -849,7 +2018,7 @@ function addSeedTracksToResults(seeds, seedLimit, blacklist, seenArtists, tracks
 			const trackKey = seed.title.toUpperCase();
 
 			if (!entry.tracks.some(t => t.title.toUpperCase() === trackKey)) {
-				entry.tracks.push({ title: seed.title, match: 1.0, playcount: 0 });
+				entry.tracks.push({ title: seed.title, match: 1.0, playcount: 0, seed: `${artistName} - ${seed.title}` });
 			}
 		}
 	}
@@ -864,19 +2033,56 @@ function addSeedTracksToResults(seeds, seedLimit, blacklist, seenArtists, tracks
  * @param {Set} seenArtists - Set of already seen artists
  * @param {Set} blacklist - Set of blacklisted artists
  * @param {Array} candidates - Array to add candidate to
+ * @param {string} [seed] - Seed artist or genre tag that led to this artist (shown in the preview dialog)
  */
-function addArtistCandidate(artistName, seenArtists, blacklist, candidates) {
+function addArtistCandidate(artistName, seenArtists, blacklist, candidates, seed) {
 	if (!artistName) return;
 
 	const key = String(artistName).trim().toUpperCase();
 	if (!key || seenArtists.has(key) || blacklist.has(key)) return;
 
 	seenArtists.add(key);
-	candidates.push({ artist: artistName, tracks: [] });
+	candidates.push(seed ? { artist: artistName, tracks: [], seed } : { artist: artistName, tracks: [] });
+}
+
+/**
+ * Minimum number of top tracks fetched per artist in deep cuts mode,
+ * so there is something left to pick from once the hits are skipped.
+ */
+const DEEP_CUTS_POOL = 50;
+
+/**
+ * Pick an artist's deep cuts from their Last.fm top tracks.
+ * Skips the top `skipTop` tracks by rank, then orders the rest by playcount
+ * blended toward its inverse: novelty 0 keeps the most played first,
+ * 0.5 keeps Last.fm order, 1 puts the least played first.
+ * 
+ * @param {object[]} tracks - Top tracks [{title, playcount, rank}], most played first
+ * @param {number} count - Tracks to keep
+ * @param {object} options - { skipTop, novelty (0-1) }
+ * @returns {object[]} Picked tracks
+ */
+function pickDeepCuts(tracks, count, { skipTop, novelty }) {
+	// Rank falls back to list position when Last.fm leaves it out
+	const rest = tracks
+		.map((track, index) => ({ track, rank: track.rank || index + 1 }))
+		.sort((a, b) => a.rank - b.rank)
+		.slice(skipTop);
+	if (rest.length === 0) return [];
+
+	const maxLog = rest.reduce((max, e) => Math.max(max, Math.log1p(e.track.playcount || 0)), 0);
+	const scored = rest.map((e, index) => {
+		const popularity = maxLog > 0 ? Math.log1p(e.track.playcount || 0) / maxLog : 1 - index / rest.length;
+		return { track: e.track, index, score: popularity + novelty * (1 - 2 * popularity) };
+	});
+	scored.sort((a, b) => (b.score - a.score) || (a.index - b.index));
+
+	return scored.slice(0, count).map(s => s.track);
 }
 
 /**
  * Fetch top tracks for candidate artists using Last.fm.
+ * With config.deepCuts, fetches a larger pool and keeps the deep cuts instead (see pickDeepCuts).
  * 
  * @param {object} modules - Module dependencies
  * @param {Array} candidates - Array of candidates to enrich
@@ -891,8 +2097,15 @@ async function fetchTracksForCandidates(modules, candidates, config) {
 
 	const tracksPerArtist = config.tracksPerArtist ?? 10000;
 	const totalCandidates = candidates.length;
+	const deepCuts = config.deepCuts
+		? { skipTop: Math.max(0, config.deepCutsSkipTop ?? 5), novelty: Math.max(0, Math.min(1, config.deepCutsNovelty ?? 0.7)) }
+		: null;
+	const fetchLimit = deepCuts ? Math.max(tracksPerArtist, DEEP_CUTS_POOL) + deepCuts.skipTop : tracksPerArtist;
 
 	logger.debug('Tracks', `Fetching up to ${tracksPerArtist} tracks for ${totalCandidates} artists`);
+	if (deepCuts) {
+		logger.debug('Tracks', `Deep cuts: skipping the top ${deepCuts.skipTop} hits of each artist, novelty ${Math.round(deepCuts.novelty * 100)}%`);
+	}
 
 	let artistsWithTracks = 0;
 	let totalTracksFound = 0;
@@ -906,22 +2119,23 @@ async function fetchTracksForCandidates(modules, candidates, config) {
 	updateProgress(`Last.fm: Getting tracks for ${pending.length} artists...`, 0.5);
 
 	for (let i = 0; i < pending.length; i += CONCURRENCY) {
-		if (window.matchMonkeyNotifications?.isCancelled?.()) throw new Error('__CANCELLED__');
+		_checkCancelled(modules);
 		const batch = pending.slice(i, i + CONCURRENCY);
 
 		await Promise.all(batch.map(async (candidate) => {
 			try {
 				const fixedName = fixPrefixes(candidate.artist);
-				const topTracks = await fetchTopTracks(fixedName, tracksPerArtist, true);
+				const topTracks = await fetchTopTracks(fixedName, fetchLimit, true);
 
 				if (topTracks && topTracks.length > 0) {
-					candidate.tracks = topTracks.map(t => ({
+					const tracks = topTracks.map(t => ({
 						title: typeof t === 'string' ? t : (t.title || ''),
 						playcount: typeof t === 'object' ? (t.playcount || 0) : 0,
 						rank: typeof t === 'object' ? (t.rank || 0) : 0
 					})).filter(t => t.title);
+					candidate.tracks = deepCuts ? pickDeepCuts(tracks, tracksPerArtist, deepCuts) : tracks;
 
-					artistsWithTracks++;
+					if (candidate.tracks.length > 0) artistsWithTracks++;
 					totalTracksFound += candidate.tracks.length;
 				}
 			} catch (e) {
@@ -952,6 +2166,14 @@ function getDiscoveryStrategy(mode) {
 			return discoverByGenre;
 		case DISCOVERY_MODES.ACOUSTICS:
 			return discoverByRecco;
+		case DISCOVERY_MODES.HYBRID:
+			return discoverByHybrid;
+		case DISCOVERY_MODES.ALBUM:
+			return discoverByAlbum;
+		case DISCOVERY_MODES.JOURNEY:
+			return discoverByJourney;
+		case DISCOVERY_MODES.LOCAL:
+			return discoverByLocal;
 		case DISCOVERY_MODES.MOOD:
 			return discoverByMood;
 		case DISCOVERY_MODES.ACTIVITY:
@@ -978,6 +2200,14 @@ function getDiscoveryModeName(mode) {
 			return 'Similar Genre';
 		case DISCOVERY_MODES.ACOUSTICS:
 			return 'Similar Acoustics';
+		case DISCOVERY_MODES.HYBRID:
+			return 'Similar Hybrid';
+		case DISCOVERY_MODES.ALBUM:
+			return 'Similar Albums';
+		case DISCOVERY_MODES.JOURNEY:
+			return 'Artist Journey';
+		case DISCOVERY_MODES.LOCAL:
+			return 'Local Library';
 		case DISCOVERY_MODES.MOOD:
 			return 'Mood';
 		case DISCOVERY_MODES.ACTIVITY:
@@ -988,38 +2218,37 @@ function getDiscoveryModeName(mode) {
 
 /**
  * Helper to format numeric audio target values safely.
+ * Accepts a plain number or a {target, min, max} range.
  */
 function _formatVal(v) {
 	if (v === null || v === undefined) return 'N/A';
 	if (typeof v === 'number') return Number.isFinite(v) ? v.toFixed(2) : String(v);
+	if (typeof v === 'object' && 'target' in v) {
+		return `${_formatVal(v.target)} [${_formatVal(v.min)}-${_formatVal(v.max)}]`;
+	}
 	return String(v);
 }
 
 /**
  * Log and push progress messages for audio target properties.
- * Logs: energy, valence, danceability, tempo, loudness
+ * Logs every feature present in audioTargets (target and min-max range when given).
  * 
  * @param {string} type - 'Mood' or 'Activity' (used in log)
  * @param {string} name - mood/activity name
- * @param {object} audioTargets - object containing audio target properties
+ * @param {object} audioTargets - {feature: number} or {feature: {target, min, max}}
  * @param {function} updateProgress - function to update UI progress (optional)
  */
 function logAudioTargets(type, name, audioTargets, updateProgress) {
 	const logger = _getLogger();
 	try {
-		if (!audioTargets || typeof audioTargets !== 'object') {
+		if (!audioTargets || typeof audioTargets !== 'object' || Object.keys(audioTargets).length === 0) {
 			logger.debug(type, `No audio targets available for "${name}"`);
 			if (typeof updateProgress === 'function') updateProgress(`${type} "${name}": No audio targets`, 0.38);
 			return;
 		}
 
-		const energy = _formatVal(audioTargets.energy);
-		const valence = _formatVal(audioTargets.valence);
-		const danceability = _formatVal(audioTargets.danceability);
-		const tempo = _formatVal(audioTargets.tempo);
-		const loudness = _formatVal(audioTargets.loudness);
-
-		const msg = `Blended targets - energy: ${energy}, valence: ${valence}, danceability: ${danceability}, tempo: ${tempo}, loudness: ${loudness}`;
+		const parts = Object.entries(audioTargets).map(([feature, v]) => `${feature}: ${_formatVal(v)}`);
+		const msg = `Blended targets - ${parts.join(', ')}`;
 
 		logger.debug(type, msg);
 		if (typeof updateProgress === 'function') {
@@ -1037,11 +2266,20 @@ window.matchMonkeyDiscoveryStrategies = {
 	discoverByTrack,
 	discoverByGenre,
 	discoverByRecco,
+	discoverByHybrid,
+	discoverByAlbum,
+	discoverByJourney,
+	findArtistPath,
+	discoverByLocal,
 	discoverByMood,
 	discoverByActivity,
 	getDiscoveryStrategy,
 	getDiscoveryModeName,
 	buildBlacklist,
+	buildGenreBlacklist,
+	findBlacklistedGenre,
+	filterCandidatesByGenre,
+	logAudioTargets,
 	extractSeedArtists,
 	extractGenresFromSeeds,
 };
\ No newline at end of file
@@ -35,7 +35,8 @@ const AUDIO_FEATURE_NAMES = [
 ];
 
 /**
- * Audio feature targets for different moods.
+ * Built-in audio feature targets for different moods.
+ * Users can edit, add and delete presets in Options; these are the reset defaults.
  */
 const MOOD_AUDIO_TARGETS = {
 	energetic: {
@@ -95,7 +96,7 @@ const MOOD_AUDIO_TARGETS = {
 };
 
 /**
- * Audio feature targets for different activities.
+ * Built-in audio feature targets for different activities.
  */
 const ACTIVITY_AUDIO_TARGETS = {
 	cardio: {
@@ -200,26 +201,97 @@ const ACTIVITY_AUDIO_TARGETS = {
 	}
 };
 
+/**
+ * Menu names for built-in presets whose name is not simply the title-cased key.
+ */
+const BUILTIN_PRESET_NAMES = {
+	cardio: 'High Energy',
+	evening_winddown: 'Winddown',
+	hiit: 'HIIT'
+};
+
+// =============================================================================
+// PRESETS
+// =============================================================================
+
+/**
+ * Turn a preset name into a stable id (e.g. "Road Trip" -> "road_trip").
+ * @param {string} name - Preset name
+ * @returns {string} Lowercase id
+ */
+function presetIdFromName(name) {
+	return String(name || '')
+		.trim()
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, '_')
+		.replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Get the built-in presets for a type.
+ * @param {string} type - 'mood' or 'activity'
+ * @returns {Array} [{id, name, builtIn: true, targets}] (deep copies)
+ */
+function getBuiltInPresets(type) {
+	const source = type === 'activity' ? ACTIVITY_AUDIO_TARGETS : MOOD_AUDIO_TARGETS;
+	return Object.keys(source).map(id => ({
+		id,
+		name: BUILTIN_PRESET_NAMES[id] || id.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
+		builtIn: true,
+		targets: JSON.parse(JSON.stringify(source[id]))
+	}));
+}
+
+/**
+ * Get the presets for a type: the user's saved list, or the built-ins when none is saved.
+ * @param {string} type - 'mood' or 'activity'
+ * @returns {Array} [{id, name, builtIn, targets}] sorted by name
+ */
+function getPresets(type) {
+	// MoodActivityPresets: {mood: [...], activity: [...]}, saved by the presets options panel
+	let presets = null;
+	const stored = window.matchMonkeyStorage?.getSetting('MoodActivityPresets', null);
+	if (stored && Array.isArray(stored[type])) presets = stored[type];
+
+	if (!presets) presets = getBuiltInPresets(type);
+
+	return presets
+		.filter(p => p && p.id && p.targets && typeof p.targets === 'object')
+		.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+/**
+ * Get audio targets for a preset id.
+ * @param {string} type - 'mood' or 'activity'
+ * @param {string} id - Preset id
+ * @returns {object|null} Audio target configuration or null if unknown
+ */
+function getPresetTargets(type, id) {
+	const key = String(id || '').toLowerCase();
+	const preset = getPresets(type).find(p => p.id === key);
+	return preset ? preset.targets : null;
+}
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
 /**
  * Get audio targets for a mood.
- * @param {string} mood - Mood name
+ * @param {string} mood - Mood preset id
  * @returns {object|null} Audio target configuration or null if unknown mood
  */
 function getMoodTargets(mood) {
-	return MOOD_AUDIO_TARGETS[mood?.toLowerCase()] || null;
+	return getPresetTargets('mood', mood);
 }
 
 /**
  * Get audio targets for an activity.
- * @param {string} activity - Activity name
+ * @param {string} activity - Activity preset id
  * @returns {object|null} Audio target configuration or null if unknown activity
  */
 function getActivityTargets(activity) {
-	return ACTIVITY_AUDIO_TARGETS[activity?.toLowerCase()] || null;
+	return getPresetTargets('activity', activity);
 }
 
 /**
@@ -290,6 +362,47 @@ function matchesAudioTargets(audioFeatures, targets) {
 	};
 }
 
+/**
+ * Blend mood/activity targets with the averaged audio features of the seed tracks.
+ * Falls back to the preset when none of the seeds can be found on ReccoBeats.
+ * 
+ * @param {object} reccobeatsApi - ReccoBeats API module
+ * @param {Array} seeds - Seed objects [{artist, title, album}, ...]
+ * @param {object} presetTargets - Preset {feature: {target, min, max}}
+ * @param {number} blendRatio - 0.0 (all seed) to 1.0 (all preset)
+ * @returns {Promise<object>} Blended targets
+ */
+async function blendTargetsWithSeeds(reccobeatsApi, seeds, presetTargets, blendRatio) {
+	const logger = _getMoodActivityLogger();
+
+	const lookupSeeds = seeds
+		.filter(seed => seed?.artist && seed?.title)
+		.map(seed => ({
+			artist: seed.artist.split(';')[0].trim(),
+			title: seed.title,
+			album: seed.album || ''
+		}));
+	if (lookupSeeds.length === 0) return presetTargets;
+
+	try {
+		const idResults = await reccobeatsApi.findTrackIdsGroupedBatch(lookupSeeds);
+		const seedFeatures = await reccobeatsApi.getAudioFeatures(idResults.filter(r => r.trackId));
+		const seedAvg = reccobeatsApi.calculateAverageFeatures(seedFeatures);
+
+		if (!seedAvg) {
+			logger?.info('MoodActivity', `No seed audio features found on ReccoBeats, using preset targets (blend ratio ${blendRatio})`);
+			return presetTargets;
+		}
+
+		logger?.info('MoodActivity', `Blending preset with audio features of ${seedFeatures.length}/${lookupSeeds.length} seed(s) (blend ratio ${blendRatio})`);
+		return reccobeatsApi.blendFeatures(seedAvg, presetTargets, blendRatio);
+	} catch (e) {
+		if (e?.message === '__CANCELLED__') throw e;
+		logger?.warn('MoodActivity', `Seed audio feature lookup failed, using preset targets: ${e.message}`);
+		return presetTargets;
+	}
+}
+
 /**
  * Build blacklist set from user settings.
  * @param {object} modules - Module dependencies
@@ -317,6 +430,19 @@ function buildBlacklist(modules) {
 	return blacklist;
 }
 
+/**
+ * Find the original-cased artist name for an uppercase key among similar tracks.
+ * @param {Map} similarTracks - Map of "ARTIST|TITLE" -> {artist, title}
+ * @param {string} artKey - Uppercase artist name
+ * @returns {string|null} Artist name as returned by Last.fm, or null
+ */
+function similarTracksArtistName(similarTracks, artKey) {
+	for (const trackInfo of similarTracks.values()) {
+		if (trackInfo.artist.toUpperCase() === artKey) return trackInfo.artist;
+	}
+	return null;
+}
+
 /**
  * Extract unique artists from seeds, splitting by ';'.
  * @param {Array} seeds - Seed objects
@@ -411,9 +537,9 @@ async function discoverByMoodOrActivity(modules, seeds, config, type, value) {
 	}
 
 	// Get targets for this mood/activity
-	const targets = type === 'mood' ? getMoodTargets(value) : getActivityTargets(value);
+	const presetTargets = type === 'mood' ? getMoodTargets(value) : getActivityTargets(value);
 
-	if (!targets) {
+	if (!presetTargets) {
 		logger?.error('MoodActivity', `Unknown ${type} "${value}"`);
 		updateProgress(`Unknown ${type}: "${value}"`, 0.5);
 		return emptyResult;
@@ -421,6 +547,16 @@ async function discoverByMoodOrActivity(modules, seeds, config, type, value) {
 
 	const blacklist = buildBlacklist(modules);
 	const seedLimit = Math.min(seeds.length, config.seedLimit ?? 20);
+
+	// Pull the preset towards the seeds' own sound (MoodBlendRatio: 0 = all seed, 1 = all preset)
+	const blendRatio = config.moodBlendRatio ?? 1;
+	let targets = presetTargets;
+	if (blendRatio < 1 && reccobeatsApi) {
+		updateProgress(`${typeName} "${value}": Analyzing seed audio features...`, 0.05);
+		targets = await blendTargetsWithSeeds(reccobeatsApi, seeds.slice(0, seedLimit), presetTargets, blendRatio);
+		checkCancelled();
+	}
+	window.matchMonkeyDiscoveryStrategies?.logAudioTargets?.(typeName, value, targets, updateProgress);
 	const targetFeatures = Object.keys(targets);
 
 	const trackSimilarLimit = config.trackSimilarLimit ?? 100;
@@ -563,6 +699,25 @@ async function discoverByMoodOrActivity(modules, seeds, config, type, value) {
 		}
 	}
 
+	// Drop related artists whose Last.fm tags hit the genre blacklist
+	let genreFilteredArtists = 0;
+	const strategies = window.matchMonkeyDiscoveryStrategies;
+	if (config.genreBlacklist?.size > 0 && strategies?.filterCandidatesByGenre) {
+		const artistCandidates = Array.from(expandedArtists).map(artKey => ({
+			artist: similarTracksArtistName(similarTracks, artKey) || artKey,
+			key: artKey
+		}));
+		const genreResult = await strategies.filterCandidatesByGenre(modules, artistCandidates, config.genreBlacklist);
+		const keptKeys = new Set(genreResult.candidates.map(c => c.key));
+		for (const c of artistCandidates) {
+			if (!keptKeys.has(c.key)) {
+				expandedArtists.delete(c.key);
+				blacklist.add(c.key);
+				genreFilteredArtists++;
+			}
+		}
+	}
+
 	logger?.info('MoodActivity', `Artist expansion: ${expandedArtists.size} unique artists (from ${seedArtists.length} seed artist(s))`);
 
 	if (totalSimilar === 0 && expandedArtists.size === 0) {
@@ -620,7 +775,11 @@ async function discoverByMoodOrActivity(modules, seeds, config, type, value) {
 					formatPreference: config.formatPreference,
 					minRating: config.minRating,
 					allowUnknown: config.allowUnknown,
-					collection: config.localCollection || ''
+					collection: config.localCollection || '',
+					genreBlacklist: config.genreBlacklist,
+					skipPlayedDays: config.skipPlayedDays,
+					maxPlayCount: config.maxPlayCount,
+					filterStats: config.filterStats
 				}
 			);
 
@@ -686,7 +845,11 @@ async function discoverByMoodOrActivity(modules, seeds, config, type, value) {
 						formatPreference: config.formatPreference,
 						minRating: config.minRating,
 						allowUnknown: config.allowUnknown,
-						collection: config.localCollection || ''
+						collection: config.localCollection || '',
+						genreBlacklist: config.genreBlacklist,
+						skipPlayedDays: config.skipPlayedDays,
+						maxPlayCount: config.maxPlayCount,
+						filterStats: config.filterStats
 					}
 				);
 
@@ -904,6 +1067,7 @@ async function discoverByMoodOrActivity(modules, seeds, config, type, value) {
 		stats: {
 			audioFeatureFilteredCount: filteredCount, // Tracks filtered by audio feature matching
 			apiFilteredCount, // Tracks filtered by API match threshold
+			genreFilteredArtists, // Artists dropped by the genre blacklist
 			totalFromApi: totalSimilar
 		},
 		// Include the actual library tracks for direct playlist creation
@@ -926,6 +1090,12 @@ window.matchMonkeyMoodActivityDiscovery = {
 	getMoodTargets,
 	getActivityTargets,
 
+	// Presets
+	getPresets,
+	getBuiltInPresets,
+	getPresetTargets,
+	presetIdFromName,
+
 	// Constants
 	AUDIO_FEATURE_NAMES,
 	MOOD_AUDIO_TARGETS,
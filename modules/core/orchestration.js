@@ -3,7 +3,7 @@
  * 
  * Main orchestration layer that ties together:
  * - Input collection (seed tracks)
- * - Discovery strategies (artist/track/genre/recco/mood/activity)
+ * - Discovery strategies (artist/track/genre/recco/hybrid/album/journey/local/mood/activity)
  * - Track matching (multi-pass fuzzy matching against library)
  * - Output generation (playlist creation or queue management)
  * - Auto-mode handling (auto-queue near end of playlist)
@@ -55,22 +55,348 @@ window.matchMonkeyOrchestration = {
 		return { popularity, rawPlaycount };
 	},
 
+	/**
+	 * Discovery scores carried onto a matched library track for ranking.
+	 *
+	 * @param {object} candidate - Discovery candidate {artist, matchScore?, tracks[]}
+	 * @param {object|string} [candidateTrack] - Candidate track the library track matched (omit for artist-only matches)
+	 * @returns {object} Object with { api: number, similarity: number }, both 0-1
+	 */
+	getCandidateScores(candidate, candidateTrack) {
+		const clamp01 = (val) => Math.max(0, Math.min(1, Number(val) || 0));
+		const trackObj = (typeof candidateTrack === 'object' && candidateTrack !== null) ? candidateTrack : null;
+
+		// API score: the weighted combined score for hybrid candidates (HybridLastfmWeight/HybridReccoWeight),
+		// else ReccoBeats popularity or Last.fm playcount, else the track's match value
+		let api = 0;
+		if (trackObj?.hybridSource) {
+			api = clamp01(trackObj.match);
+		} else if (trackObj) {
+			const { popularity } = this.normalizePopularityFromTrack(trackObj);
+			api = popularity > 0 ? popularity / 100 : clamp01(trackObj.match);
+		}
+
+		// Seed similarity: artist similarity when discovery provides it, else the track match
+		const similarity = clamp01(candidate?.matchScore ?? trackObj?.match);
+
+		return { api, similarity };
+	},
+
+	/**
+	 * Where a matched library track came from, for the preview dialog.
+	 *
+	 * @param {object} candidate - Discovery candidate {artist, seed?, seeds?, tracks[]}
+	 * @param {object|string} [candidateTrack] - Candidate track the library track matched (omit for artist-only matches)
+	 * @param {string} discoveryMode - Discovery mode of the run
+	 * @returns {object} Object with { candidate, source, seed, seeds } (seeds = every seed that reached the candidate)
+	 */
+	getTrackOrigin(candidate, candidateTrack, discoveryMode) {
+		const trackObj = (typeof candidateTrack === 'object' && candidateTrack !== null) ? candidateTrack : null;
+
+		let source = 'Last.fm';
+		if (trackObj?.hybridSource === 'both') source = 'Last.fm + ReccoBeats';
+		else if (trackObj?.hybridSource === 'recco' || ['acoustics', 'mood', 'activity'].includes(discoveryMode)) source = 'ReccoBeats';
+		else if (discoveryMode === 'local') source = 'Library';
+
+		const seed = String(trackObj?.seed || candidate?.seed || '');
+		return {
+			candidate: String(candidate?.album ? `${candidate.artist} - ${candidate.album}` : (candidate?.artist || '')),
+			source,
+			seed,
+			seeds: !trackObj?.seed && candidate?.seeds?.length ? candidate.seeds.map(String) : (seed ? [seed] : [])
+		};
+	},
+
+	/**
+	 * Order library tracks by a weighted score, best first.
+	 * Each factor is scaled to 0-1: API score and seed similarity (from trackScores),
+	 * rating (unrated counts as 0.5), play count (log scale against the most played
+	 * result) and format priority. Weights are relative; 0 ignores a factor.
+	 * Deep cuts blend the API score and play count toward their inverse by `novelty`,
+	 * so at 1 the least popular and least played tracks score highest.
+	 *
+	 * @param {object[]} tracks - Library tracks
+	 * @param {Map} trackScores - Track id/path -> {api, similarity} from getCandidateScores()
+	 * @param {object} weights - {api, similarity, rating, playCount, format}
+	 * @param {function} getFormatPriority - Track -> format priority (0-100)
+	 * @param {number} [novelty=0] - Deep cuts novelty weight (0-1)
+	 * @returns {object[]} New array of tracks sorted by score (ties keep their original order)
+	 */
+	rankResults(tracks, trackScores, weights, getFormatPriority, novelty = 0) {
+		const logger = window.matchMonkeyLogger;
+		const factors = ['api', 'similarity', 'rating', 'playCount', 'format'];
+		const totalWeight = factors.reduce((sum, key) => sum + Math.max(0, Number(weights?.[key]) || 0), 0);
+		if (totalWeight <= 0 || tracks.length < 2) return tracks.slice();
+
+		const getPlays = (t) => Math.max(0, Number(t.playCounter ?? t.PlayCounter ?? 0) || 0);
+		const maxPlays = tracks.reduce((max, t) => Math.max(max, getPlays(t)), 0);
+		const invert = (val) => val + novelty * (1 - 2 * val);
+
+		const scored = tracks.map((track, index) => {
+			const info = trackScores?.get(track.id || track.ID || track.path) || { api: 0, similarity: 0 };
+			const rating = Number(track.rating ?? track.Rating ?? -1);
+			const parts = {
+				api: invert(info.api),
+				similarity: info.similarity,
+				rating: rating >= 0 ? Math.min(100, rating) / 100 : 0.5,
+				playCount: invert(maxPlays > 0 ? Math.log1p(getPlays(track)) / Math.log1p(maxPlays) : 0),
+				format: (getFormatPriority(track) || 0) / 100
+			};
+			const score = factors.reduce((sum, key) => sum + Math.max(0, Number(weights[key]) || 0) * parts[key], 0) / totalWeight;
+			return { track, index, score };
+		});
+
+		scored.sort((a, b) => (b.score - a.score) || (a.index - b.index));
+
+		scored.slice(0, 5).forEach(({ track, score }) => {
+			logger.debug('Ranking', `${(score * 100).toFixed(1)} - "${track.artist || track.Artist || ''} - ${track.title || track.SongTitle || ''}"`);
+		});
+
+		return scored.map(s => s.track);
+	},
+
+	/**
+	 * Reorder tracks by their position blended with a learned weight.
+	 * Position scores run from 1 (first) down toward 0 and are multiplied by the
+	 * weight, so a neutral weight of 1 keeps the order.
+	 *
+	 * @param {object[]} tracks - Tracks in their current order
+	 * @param {function} getWeight - Track -> weight (1 = neutral)
+	 * @returns {object[]} New array of tracks
+	 */
+	applyFeedbackOrder(tracks, getWeight) {
+		const logger = window.matchMonkeyLogger;
+		let adjusted = 0;
+
+		const scored = tracks.map((track, index) => {
+			const weight = Number(getWeight(track)) || 1;
+			if (weight !== 1) adjusted++;
+			return { track, index, score: (1 - index / tracks.length) * weight };
+		});
+
+		if (adjusted === 0) return tracks.slice();
+
+		scored.sort((a, b) => (b.score - a.score) || (a.index - b.index));
+		logger.debug('Feedback', `Skip feedback adjusted ${adjusted} of ${tracks.length} tracks`);
+		return scored.map(s => s.track);
+	},
+
+	/**
+	 * Interleave tracks by the seed that produced them, so a limit taken from the
+	 * front is shared between the seeds instead of going to the seed with the most
+	 * library matches. Each slot goes to the seed with the smallest share so far
+	 * (tracks taken + 1, divided by its weight); ties go to the seed whose best track
+	 * ranked higher. A seed's tracks keep their order, and a seed that runs out
+	 * leaves its slots to the others. Equal weights give a plain round-robin.
+	 * Tracks without a seed are not balanced: they keep their positions.
+	 *
+	 * @param {object[]} tracks - Library tracks, best first
+	 * @param {function} getSeed - Track -> seed label ('' when unknown)
+	 * @param {function} getWeight - Seed label -> weight (> 0)
+	 * @returns {object[]} New array with the same tracks, interleaved by seed
+	 */
+	balanceBySeed(tracks, getSeed, getWeight) {
+		const groups = new Map();
+		let seeded = 0;
+		for (const track of tracks) {
+			const seed = getSeed(track) || '';
+			if (!seed) continue;
+			seeded++;
+			if (!groups.has(seed)) {
+				const weight = Number(getWeight(seed));
+				groups.set(seed, { tracks: [], taken: 0, weight: weight > 0 ? weight : 1 });
+			}
+			groups.get(seed).tracks.push(track);
+		}
+		if (groups.size < 2) return tracks.slice();
+
+		const order = [...groups.values()];
+		const interleaved = [];
+		while (interleaved.length < seeded) {
+			let next = null;
+			for (const group of order) {
+				if (group.taken >= group.tracks.length) continue;
+				if (!next || (group.taken + 1) / group.weight < (next.taken + 1) / next.weight) next = group;
+			}
+			interleaved.push(next.tracks[next.taken++]);
+		}
+
+		// Seeded slots take the interleaved order; seedless tracks stay where they were
+		let nextSeeded = 0;
+		return tracks.map(track => getSeed(track) ? interleaved[nextSeeded++] : track);
+	},
+
+	/**
+	 * Take tracks in order until their summed length reaches the target or the track cap.
+	 * Tracks without a known length count as 4 minutes; at least one track is kept.
+	 *
+	 * @param {object[]} tracks - Library tracks, best first
+	 * @param {number} targetMs - Playing time to fill (ms)
+	 * @param {number} [maxTracks=0] - Upper bound on the track count (0 = no cap)
+	 * @returns {object[]} Leading tracks covering the target
+	 */
+	limitByDuration(tracks, targetMs, maxTracks = 0) {
+		const result = [];
+		let totalMs = 0;
+
+		for (const track of tracks) {
+			if (result.length > 0 && (totalMs >= targetMs || (maxTracks > 0 && result.length >= maxTracks))) break;
+			const lengthMs = Number(track.songLength ?? track.SongLength ?? 0) || 0;
+			totalMs += lengthMs > 0 ? lengthMs : 240000;
+			result.push(track);
+		}
+
+		return result;
+	},
+
+	/**
+	 * Split tracks into runs of consecutive tracks from the same album.
+	 * Album mode keeps these runs together when limiting, reordering and shuffling.
+	 *
+	 * @param {object[]} tracks - Library tracks in album order
+	 * @returns {object[][]} Album runs in their original order
+	 */
+	groupAlbumRuns(tracks) {
+		const runs = [];
+		let lastKey = null;
+
+		for (const track of tracks) {
+			const key = String(track.album || track.Album || '').trim().toUpperCase();
+			if (runs.length === 0 || key !== lastKey) {
+				runs.push([]);
+				lastKey = key;
+			}
+			runs[runs.length - 1].push(track);
+		}
+
+		return runs;
+	},
+
+	/**
+	 * Take whole albums in order until the track limit or playing time is reached.
+	 * An album that would go over the track limit ends the list; the first album is always kept.
+	 * Tracks without a known length count as 4 minutes.
+	 *
+	 * @param {object[][]} runs - Album runs from groupAlbumRuns()
+	 * @param {number} maxTracks - Track limit (0 = no limit)
+	 * @param {number} [targetMs=0] - Playing time to fill (ms); maxTracks stays the upper bound
+	 * @returns {object[][]} Leading album runs within the limit
+	 */
+	limitByAlbums(runs, maxTracks, targetMs = 0) {
+		const result = [];
+		let trackCount = 0;
+		let totalMs = 0;
+
+		for (const run of runs) {
+			if (result.length > 0) {
+				if (targetMs > 0 && totalMs >= targetMs) break;
+				if (maxTracks > 0 && trackCount + run.length > maxTracks) break;
+			}
+			for (const track of run) {
+				const lengthMs = Number(track.songLength ?? track.SongLength ?? 0) || 0;
+				totalMs += lengthMs > 0 ? lengthMs : 240000;
+			}
+			trackCount += run.length;
+			result.push(run);
+		}
+
+		return result;
+	},
+
+	/**
+	 * Notifications stand-in for background prefetch runs: no toasts or progress task,
+	 * and cancellation comes from the prefetch instead of the shared progress task.
+	 * 
+	 * @param {Function} [isCancelled] - Prefetch cancellation check
+	 * @returns {object} Object with the notifications functions used by a run
+	 */
+	createSilentNotifications(isCancelled) {
+		const noop = () => { };
+		return {
+			showToast: noop,
+			updateProgress: noop,
+			createProgressTask: () => null,
+			terminateProgressTask: noop,
+			terminateProgressTaskAfterDelay: noop,
+			getProgressTask: () => null,
+			isCancelled: () => typeof isCancelled === 'function' && isCancelled() === true,
+		};
+	},
+
+	/**
+	 * Queue a batch prepared by a background prefetch.
+	 * Revalidates it first: tracks heard or queued since the prefetch are dropped
+	 * (session history), and a time-based trigger keeps only the minutes still missing.
+	 * Tracks already in Now Playing are skipped by queueResults (SkipDuplicates).
+	 * 
+	 * @param {object} modules - Module dependencies
+	 * @param {object} prefetchResult - generateSimilarPlaylist prefetch result {prefetched, trackOrigins, discoveryMode}
+	 * @param {object} [options={}] - { fillMs } playing time to add (0 = use the whole batch)
+	 * @returns {Promise<object>} { success, tracksAdded, error }
+	 */
+	async queuePrefetchedResults(modules, prefetchResult, options = {}) {
+		const { intSetting, boolSetting } = modules.settings.storage;
+		const logger = window.matchMonkeyLogger;
+		let tracks = prefetchResult?.prefetched || [];
+
+		if (boolSetting('AutoModeHistoryEnabled', true) && window.matchMonkeyAutoMode?.filterByHistory) {
+			const historyResult = window.matchMonkeyAutoMode.filterByHistory(tracks, {
+				trackHours: intSetting('AutoModeNoRepeatTrackHours', 8),
+				artistTracks: intSetting('AutoModeNoRepeatArtistTracks', 10),
+			});
+			if (historyResult.tracks.length < tracks.length) {
+				logger?.info('Prefetch', `Dropped ${tracks.length - historyResult.tracks.length} prefetched track(s) heard since the prefetch`);
+			}
+			tracks = historyResult.tracks;
+		}
+
+		if (options.fillMs > 0 && tracks.length > 0) {
+			tracks = prefetchResult.discoveryMode === 'album'
+				? [].concat(...this.limitByAlbums(this.groupAlbumRuns(tracks), 0, options.fillMs))
+				: this.limitByDuration(tracks, options.fillMs);
+		}
+
+		if (tracks.length === 0) {
+			return { success: false, error: 'No prefetched tracks left', tracksAdded: 0 };
+		}
+
+		const output = await this.queueResults(modules, tracks, { autoMode: true, trackOrigins: prefetchResult.trackOrigins });
+		const added = output?.added || 0;
+		logger?.info('Prefetch', `Queued ${added} of ${tracks.length} prefetched track(s)`);
+		return added > 0
+			? { success: true, tracksAdded: added }
+			: { success: false, error: 'Prefetched tracks are already queued', tracksAdded: 0 };
+	},
+
 	/**
 	 * Main orchestration function that runs the complete MatchMonkey workflow.
 	 * 
 	 * @param {object} modules - Injected module dependencies
 	 * @param {boolean} [autoMode=false] - Whether running in auto-mode
-	 * @param {string} [discoveryMode='artist'] - Discovery mode: 'artist', 'track', 'genre', 'acoustics', 'mood', or 'activity'
+	 * @param {string} [discoveryMode='artist'] - Discovery mode: 'artist', 'track', 'genre', 'acoustics', 'hybrid', 'album', 'journey', 'local', 'mood', or 'activity'
 	 * @param {number} [autoModeThreshold] - Threshold for auto-mode seed collection
+	 * @param {object} [autoOptions={}] - Per-trigger auto-mode overrides
+	 * @param {number} [autoOptions.fillMs=0] - Playing time to add (ms) when > 0; AutoModeMaxTracks stays the upper bound
+	 * @param {object} [autoOptions.limits] - Active schedule limits {maxTracks, similarLimit}; each replaces its setting when > 0
+	 * @param {boolean} [autoOptions.prefetch=false] - Background prefetch: seeds from the end of the queue, no progress
+	 *        or toasts, and results are returned as `prefetched` instead of being queued (see queuePrefetchedResults)
+	 * @param {Function} [autoOptions.isCancelled] - Prefetch cancellation check
 	 * @returns {Promise<object>} Result object with status, tracklist, playlist info
 	 */
-	async generateSimilarPlaylist(modules, autoMode = false, discoveryMode = 'artist', autoModeThreshold = 3) {
+	async generateSimilarPlaylist(modules, autoMode = false, discoveryMode = 'artist', autoModeThreshold = 3, autoOptions = {}) {
+		const prefetch = autoMode && autoOptions.prefetch === true;
+		if (prefetch) {
+			// Keep a background prefetch away from the shared progress task and toasts
+			modules = { ...modules, ui: { ...modules.ui, notifications: this.createSilentNotifications(autoOptions.isCancelled) } };
+		}
+
 		const {
 			utils: { helpers },
 			settings: { storage },
 			ui: { notifications },
 			db,
 			_moodActivityContext,
+			_seedPlaylist,
 		} = modules;
 
 		const { getSetting, intSetting, boolSetting, stringSetting, refreshSettings } = storage;
@@ -126,19 +452,33 @@ window.matchMonkeyOrchestration = {
 			let config_;
 
 			if (autoMode) {
+				const autoModeFillMs = autoOptions.fillMs > 0 ? autoOptions.fillMs : 0;
+				const scheduleLimits = autoOptions.limits || {};
 				config_ = {
 					seedLimit: intSetting('AutoModeSeedLimit', 2),
-					similarLimit: intSetting('AutoModeSimilarLimit', 10),
+					similarLimit: scheduleLimits.similarLimit > 0 ? scheduleLimits.similarLimit : intSetting('AutoModeSimilarLimit', 10),
 					trackSimilarLimit: intSetting('TrackSimilarLimit', 100),
 					tracksPerArtist: intSetting('AutoModeTracksPerArtist', 5),
-					totalLimit: intSetting('AutoModeMaxTracks', 30),
+					// Time-based trigger fills by duration, capped at the track limit
+					totalLimit: scheduleLimits.maxTracks > 0 ? scheduleLimits.maxTracks : intSetting('AutoModeMaxTracks', 30),
+					fillDurationMs: autoModeFillMs,
 					includeSeedArtist: boolSetting('IncludeSeedArtist', true),
 					rankEnabled: boolSetting('UseLastfmRanking', true),
 					formatPreference: stringSetting('AudioFormatPreference', 'Mixed (all formats)'),
 					randomize: true,
 					showConfirm: false,
+					showPreview: false,
 					minRating: intSetting('AutoModeMinRating', 0),
 					allowUnknown: boolSetting('AutoModeIncludeUnrated', true),
+					skipPlayedDays: intSetting('AutoModeSkipPlayedDays', 0),
+					historyEnabled: boolSetting('AutoModeHistoryEnabled', true),
+					learnFromSkips: boolSetting('AutoModeLearnFromSkips', true),
+					radioEnabled: boolSetting('AutoModeRadioEnabled', false),
+					anchorRatio: intSetting('AutoModeAnchorRatio', 50),
+					historyWindows: {
+						trackHours: intSetting('AutoModeNoRepeatTrackHours', 8),
+						artistTracks: intSetting('AutoModeNoRepeatArtistTracks', 10),
+					},
 					autoMode: true,
 					discoveryMode,
 				};
@@ -157,8 +497,10 @@ window.matchMonkeyOrchestration = {
 					formatPreference: stringSetting('AudioFormatPreference', 'Mixed (all formats)'),
 					randomize: boolSetting('ShuffleResults', true),
 					showConfirm: boolSetting('ShowConfirmDialog', false),
+					showPreview: boolSetting('ShowPreviewDialog', false),
 					minRating: intSetting('MinRating', 0),
 					allowUnknown: boolSetting('IncludeUnrated', true),
+					skipPlayedDays: intSetting('SkipPlayedDays', 0),
 					autoMode: false,
 					discoveryMode,
 				};
@@ -178,10 +520,135 @@ window.matchMonkeyOrchestration = {
 				}
 				config_.apiMinMatch = Math.max(0, Math.min(99.99, Math.round(apiMatch * 100) / 100));
 				logger.debug('Config', `localCollection='${config_.localCollection}', apiMinMatch=${config_.apiMinMatch === 0 ? 'disabled' : config_.apiMinMatch + '%'}`);
+
+				// MaxPlayCount: skip tracks played more often than this (0 = no cap); pairs with the SkipPlayedDays window
+				config_.maxPlayCount = Math.max(0, intSetting('MaxPlayCount', 0));
+				if (config_.skipPlayedDays > 0 || config_.maxPlayCount > 0) {
+					logger.debug('Config', `skipPlayedDays=${config_.skipPlayedDays}, maxPlayCount=${config_.maxPlayCount || 'no cap'}`);
+				}
+
+				// GenreBlacklist: applied to genre tags, candidate artist tags and library track genres
+				config_.genreBlacklist = strategies.buildGenreBlacklist(modules);
+				if (config_.genreBlacklist.size > 0) {
+					logger.debug('Config', `genreBlacklist=${Array.from(config_.genreBlacklist).join(', ')}`);
+				}
+
+				// TitleExclusions: words, "quoted phrases" and /regex/ rules matched against track titles
+				config_.titleExclusions = helpers.parseTitleExclusions(getSetting('TitleExclusions', ''));
+				if (config_.titleExclusions.length > 0) {
+					logger.debug('Config', `titleExclusions=${config_.titleExclusions.map(r => r.label).join(', ')}`);
+				}
+
+				// Score weights used to rank results when UseLastfmRanking is on (relative, 0 = ignore)
+				config_.scoreWeights = {
+					api: Math.max(0, intSetting('ScoreWeightApi', 40)),
+					similarity: Math.max(0, intSetting('ScoreWeightSimilarity', 25)),
+					rating: Math.max(0, intSetting('ScoreWeightRating', 15)),
+					playCount: Math.max(0, intSetting('ScoreWeightPlayCount', 10)),
+					format: Math.max(0, intSetting('ScoreWeightFormat', 10)),
+				};
+				if (config_.rankEnabled) {
+					const w = config_.scoreWeights;
+					logger.debug('Config', `scoreWeights: api=${w.api}, similarity=${w.similarity}, rating=${w.rating}, playCount=${w.playCount}, format=${w.format}`);
+				}
+
+				// Seed balance: share the final limit between the seeds instead of taking the best tracks overall
+				config_.seedBalance = stringSetting('SeedBalance', 'Off');
+				if (config_.seedBalance === 'Weighted') {
+					config_.seedWeights = helpers.parseSeedWeights(getSetting('SeedWeights', ''));
+					logger.debug('Config', `seedBalance=Weighted, seedWeights=${[...config_.seedWeights].map(([k, w]) => `${k}=${w}`).join(', ') || '(none)'}`);
+				} else if (config_.seedBalance !== 'Off') {
+					logger.debug('Config', `seedBalance=${config_.seedBalance}`);
+				}
+
+				// SeedSource: selected/playing tracks, or a Last.fm user's recent/loved/top tracks (manual runs only)
+				if (!autoMode) {
+					config_.seedSource = stringSetting('SeedSource', 'Selected tracks');
+					config_.lastfmUsername = stringSetting('LastfmUsername', '').trim();
+					config_.lastfmUserPeriod = stringSetting('LastfmUserPeriod', 'Last 7 days');
+					logger.debug('Config', `seedSource='${config_.seedSource}'${config_.lastfmUsername ? `, lastfmUsername='${config_.lastfmUsername}'` : ''}`);
+				}
+
+				// Artist exploration: extra artist.getSimilar hops with decaying match scores (1 = off)
+				config_.explorationDepth = Math.max(1, Math.min(3, intSetting('ExplorationDepth', 1)));
+				if (config_.explorationDepth > 1) {
+					const rawDecay = parseFloat(String(getSetting('ExplorationDecay', 0.5)));
+					config_.explorationDecay = Number.isFinite(rawDecay) ? Math.max(0, Math.min(1, rawDecay)) : 0.5;
+					config_.explorationHopLimits = [
+						Math.max(0, intSetting('ExplorationHop2Limit', 10)),
+						Math.max(0, intSetting('ExplorationHop3Limit', 5)),
+					];
+					logger.debug('Config', `exploration: depth=${config_.explorationDepth}, decay=${config_.explorationDecay}, hop caps=${config_.explorationHopLimits.join('/')}`);
+				}
+
+				// Seed intersection (artist mode): favour artists several seed artists have in common
+				if (discoveryMode === 'artist') {
+					config_.seedIntersection = boolSetting('SeedIntersection', false);
+					if (config_.seedIntersection) {
+						config_.intersectionMinSeeds = Math.max(1, intSetting('IntersectionMinSeeds', 1));
+						logger.debug('Config', `seedIntersection: minSeeds=${config_.intersectionMinSeeds}`);
+					}
+				}
+
+				// Deep cuts (artist and genre modes): skip each artist's top hits and favour less played tracks
+				if (discoveryMode === 'artist' || discoveryMode === 'genre') {
+					config_.deepCuts = boolSetting('DeepCuts', false);
+					if (config_.deepCuts) {
+						config_.deepCutsSkipTop = Math.max(0, intSetting('DeepCutsSkipTopHits', 5));
+						config_.deepCutsNovelty = Math.max(0, Math.min(100, intSetting('DeepCutsNoveltyWeight', 70))) / 100;
+						logger.debug('Config', `deepCuts: skipTopHits=${config_.deepCutsSkipTop}, novelty=${config_.deepCutsNovelty}`);
+					}
+				}
+
+				// MoodBlendRatio: 0.0 = all seed taste, 1.0 = all mood/activity preset
+				if (discoveryMode === 'mood' || discoveryMode === 'activity') {
+					const rawBlend = parseFloat(String(getSetting('MoodBlendRatio', 0.5)));
+					config_.moodBlendRatio = Number.isFinite(rawBlend) ? Math.max(0, Math.min(1, rawBlend)) : 0.5;
+					logger.debug('Config', `moodBlendRatio=${config_.moodBlendRatio}`);
+				}
+
+				// Hybrid mode: Last.fm source and per-source weights for the combined score
+				if (discoveryMode === 'hybrid') {
+					config_.hybridLastfmSource = stringSetting('HybridLastfmSource', 'Similar Tracks');
+					config_.hybridLastfmWeight = intSetting('HybridLastfmWeight', 60);
+					config_.hybridReccoWeight = intSetting('HybridReccoWeight', 40);
+					logger.debug('Config', `hybrid: source='${config_.hybridLastfmSource}', weights=${config_.hybridLastfmWeight}/${config_.hybridReccoWeight}`);
+				}
+
+				// Album mode: albums per similar artist and tracks taken from each album (0 = whole album)
+				if (discoveryMode === 'album') {
+					config_.albumsPerArtist = Math.max(1, intSetting('AlbumsPerArtist', 2));
+					config_.albumTracksPerAlbum = Math.max(0, intSetting('AlbumTracksPerAlbum', 0));
+					logger.debug('Config', `album: albumsPerArtist=${config_.albumsPerArtist}, tracksPerAlbum=${config_.albumTracksPerAlbum || 'whole album'}`);
+				}
+
+				// Journey mode: how far to search between two seed artists and tracks per artist on the path
+				if (discoveryMode === 'journey') {
+					config_.journeyMaxHops = Math.max(1, Math.min(8, intSetting('JourneyMaxHops', 4)));
+					config_.journeyTracksPerArtist = Math.max(1, intSetting('JourneyTracksPerArtist', 3));
+					logger.debug('Config', `journey: maxHops=${config_.journeyMaxHops}, tracksPerArtist=${config_.journeyTracksPerArtist}`);
+				}
+
+				// Local mode: how far apart years and BPM may be and still count as related
+				if (discoveryMode === 'local') {
+					config_.localYearRange = Math.max(0, intSetting('LocalYearRange', 5));
+					config_.localBpmRange = Math.max(0, intSetting('LocalBpmRange', 10));
+					logger.debug('Config', `local: yearRange=${config_.localYearRange}, bpmRange=${config_.localBpmRange}`);
+				}
 			} catch (e) {
 				logger.warn('Config', `Failed to read additional settings: ${e.message}`);
 			}
 
+			// Per-run counters for post-query library filters (incremented by db lookups)
+			config_.filterStats = { genre: 0, title: 0, recent: 0 };
+
+			// Per-run discovery scores of matched library tracks (track id/path -> {api, similarity})
+			config_.trackScores = new Map();
+
+			// Per-run origin of matched library tracks and missed results, shown by the preview dialog
+			config_.trackOrigins = new Map();
+			config_.runMissedResults = [];
+
 			// Add mood/activity context if present
 			if (_moodActivityContext) {
 				// Context explicitly provided
@@ -202,8 +669,28 @@ window.matchMonkeyOrchestration = {
 
 				// In auto-mode, collect seeds from Now Playing queue
 				if (autoMode) {
-					logger.debug('Seeds', `Using Now Playing queue (threshold=${autoModeThreshold})`);
-					seeds = await this.collectAutoModeSeedsFromQueue(modules, autoModeThreshold);
+					logger.debug('Seeds', `Using Now Playing queue (threshold=${autoModeThreshold}${prefetch ? ', prefetch' : ''})`);
+					seeds = await this.collectAutoModeSeedsFromQueue(modules, autoModeThreshold, prefetch);
+
+					// Anchored radio: keep the station near its starting seeds
+					const radio = window.matchMonkeyAutoMode;
+					if (config_.radioEnabled && radio?.getRadioAnchors) {
+						const anchors = radio.getRadioAnchors();
+						if (anchors.length === 0) {
+							const pinned = radio.setRadioAnchors(seeds);
+							logger.info('Radio', `No anchors yet - pinned ${pinned} seed(s) from Now Playing`);
+						} else {
+							seeds = radio.blendRadioSeeds(anchors, seeds, autoModeThreshold, config_.anchorRatio);
+							logger.info('Radio', `Blended ${anchors.length} anchor(s) with queue seeds at ${config_.anchorRatio}% → ${seeds.length} seed(s)`);
+						}
+					}
+				} else if (_seedPlaylist) {
+					// Manual mode seeded from a whole playlist (Seed from Playlist)
+					seeds = await this.collectPlaylistSeeds(modules, _seedPlaylist, config_);
+					config_.seedPlaylistName = _seedPlaylist.name || 'Playlist';
+				} else if (this.isLastfmSeedSource(config_.seedSource)) {
+					// Manual mode with a Last.fm profile as seed source
+					seeds = await this.collectLastfmUserSeeds(modules, config_);
 				} else {
 					// Manual mode: use selection or current track
 					seeds = await this.collectSeedTracks(modules);
@@ -212,13 +699,19 @@ window.matchMonkeyOrchestration = {
 				if (!seeds || seeds.length === 0) {
 						terminateProgressTask(taskId);
 						await persistRunData();
-						const modeMsg = autoMode ? 'No tracks in Now Playing queue.' : 'Select tracks or play something first.';
+						const modeMsg = autoMode ? 'No tracks in Now Playing queue.'
+							: _seedPlaylist ? `Playlist "${config_.seedPlaylistName}" has no tracks with an artist.`
+							: this.isLastfmSeedSource(config_.seedSource) ? 'Check the Last.fm username in Match Monkey options.'
+							: 'Select tracks or play something first.';
 					showToast(`No seed tracks found. ${modeMsg}`, { type: 'warning', duration: 5000 });
 					logger.info('Seeds', 'No seed tracks found, exiting');
 					return { success: false, error: 'No seed tracks found.', tracksAdded: 0 };
 				}
 
 				logger.info('Seeds', `Collected ${seeds.length} seed track(s)`);
+				if (!autoMode && seeds.length > config_.seedLimit) {
+					logger.info('Seeds', `${seeds.length} seeds exceed the seed limit (${config_.seedLimit}) - only the first ones are used; Seed from Playlist samples a large set instead`);
+				}
 					updateProgress(`Found ${seeds.length} seed track(s)`, 0.1);
 					checkCancelled();
 				} else {
@@ -238,17 +731,30 @@ window.matchMonkeyOrchestration = {
 			try {
 				const discoveryResult = await discoveryFn(modules, seeds, config_);
 				// Discovery strategies now return {candidates, stats}
-				// Mood/Activity hybrid mode also returns {libraryTracks} for direct use
+				// Mood/Activity hybrid mode and album mode also return {libraryTracks} for direct use
 				candidates = discoveryResult.candidates || discoveryResult;
 				discoveryStats = discoveryResult.stats || { apiFilteredCount: 0, totalFromApi: 0 };
 
 				// Check if discovery already matched to library (new mood/activity hybrid approach)
 				if (discoveryResult.libraryTracks && discoveryResult.libraryTracks.length > 0) {
-					logger.info('Discovery', `Mood/Activity hybrid mode: ${discoveryResult.libraryTracks.length} library tracks already matched`);
+					logger.info('Discovery', `${modeName}: ${discoveryResult.libraryTracks.length} library tracks already matched`);
 					// Store for use in library matching step (skip normal matching)
 					config_._preMatchedLibraryTracks = discoveryResult.libraryTracks;
 				}
-			
+
+				// Drop candidate artists whose Last.fm tags hit the genre blacklist
+				// (mood/activity discovery applies this itself before library matching)
+				if (config_.genreBlacklist?.size > 0 && !config_._preMatchedLibraryTracks && Array.isArray(candidates)) {
+					const genreResult = await strategies.filterCandidatesByGenre(modules, candidates, config_.genreBlacklist);
+					candidates = genreResult.candidates;
+					discoveryStats.genreFilteredArtists = (discoveryStats.genreFilteredArtists || 0) + genreResult.removed.length;
+				}
+
+				// Drop candidate titles that hit TitleExclusions before they reach the library lookup
+				if (!config_._preMatchedLibraryTracks && Array.isArray(candidates)) {
+					config_.filterStats.title += this.applyTitleExclusions(candidates, config_.titleExclusions);
+				}
+
 			} catch (discoveryError) {
 					if (discoveryError?.message === '__CANCELLED__') throw discoveryError;
 					logger.error('Discovery', 'Discovery failed', discoveryError);
@@ -272,6 +778,17 @@ window.matchMonkeyOrchestration = {
 				} else if (discoveryMode === 'mood' || discoveryMode === 'activity') {
 					errorMsg = `No matching tracks found for ${modeName}.`;
 					guidance = ' Try different seed tracks or verify your tags match official release names.';
+				} else if (discoveryMode === 'album') {
+					errorMsg = `No similar albums found in your library.`;
+					guidance = ' Albums are matched by name, so check that your Album tags match official release names, or raise Similar artists per seed.';
+				} else if (discoveryMode === 'journey') {
+					errorMsg = `No artist journey found.`;
+					guidance = discoveryStats.journeyReason ? ` ${discoveryStats.journeyReason}` : ' Try seeds by artists that are closer together, or raise Maximum hops.';
+				} else if (discoveryMode === 'local') {
+					errorMsg = `No related tracks found in your library.`;
+					guidance = discoveryStats.localReason ? ` ${discoveryStats.localReason}` : ' Local discovery needs Genre, Album Artist, Composer tags or playlists shared with the seeds.';
+				} else if (discoveryStats.intersectionFilteredCount > 0) {
+					guidance = ` No artist is similar to at least ${config_.intersectionMinSeeds} of the seed artists. Lower "Reached by at least" or pick seeds that are closer together.`;
 				} else {
 					guidance = ' Try different seeds or adjust settings.';
 				}
@@ -288,11 +805,21 @@ window.matchMonkeyOrchestration = {
 				const filterParts = [];
 				if (audioFiltered > 0) filterParts.push(`${audioFiltered} filtered by audio features`);
 				if (apiFiltered > 0) filterParts.push(`${apiFiltered} filtered by API threshold`);
+				if (discoveryStats.genreFilteredArtists > 0) filterParts.push(`${discoveryStats.genreFilteredArtists} artists excluded by genre`);
 				const filterMsg = filterParts.length > 0 ? ` (${filterParts.join(', ')})` : '';
 				logger.info('Discovery', `Found ${candidates.length} candidates${filterMsg}`);
 			} else {
 				const apiFiltered = discoveryStats.apiFilteredCount || 0;
-				logger.info('Discovery', `Found ${candidates.length} candidates${apiFiltered > 0 ? ` (${apiFiltered} filtered by API threshold)` : ''}`);
+				const genreArtists = discoveryStats.genreFilteredArtists || 0;
+				const filterParts = [];
+				if (apiFiltered > 0) filterParts.push(`${apiFiltered} filtered by API threshold`);
+				if (genreArtists > 0) filterParts.push(`${genreArtists} artists excluded by genre`);
+				const filterMsg = filterParts.length > 0 ? ` (${filterParts.join(', ')})` : '';
+				logger.info('Discovery', `Found ${candidates.length} candidates${filterMsg}`);
+				if (discoveryStats.sourceContribution) {
+					const { lastfm, recco, both } = discoveryStats.sourceContribution;
+					logger.info('Discovery', `Hybrid sources: ${lastfm} Last.fm only, ${recco} ReccoBeats only, ${both} from both`);
+				}
 			}
 			updateProgress(`Found ${candidates.length} candidate(s)`, 0.5);
 
@@ -310,6 +837,19 @@ window.matchMonkeyOrchestration = {
 				if (config_._preMatchedLibraryTracks && config_._preMatchedLibraryTracks.length > 0) {
 					// Use pre-matched tracks directly (mood/activity hybrid mode)
 					results = config_._preMatchedLibraryTracks;
+					// Pre-matched candidates list their library tracks in the same order as their tracks
+					for (const candidate of candidates) {
+						(candidate._libraryTracks || []).forEach((track, idx) => {
+							const trackId = track.id || track.ID || track.path;
+							config_.trackScores.set(trackId, this.getCandidateScores(candidate, candidate.tracks?.[idx]));
+							config_.trackOrigins.set(trackId, this.getTrackOrigin(candidate, candidate.tracks?.[idx], discoveryMode));
+						});
+					}
+					if (config_.titleExclusions?.length > 0) {
+						const beforeCount = results.length;
+						results = results.filter(t => !helpers.findTitleExclusion(t.title || t.SongTitle || '', config_.titleExclusions));
+						config_.filterStats.title += beforeCount - results.length;
+					}
 					logger.info('Library', `Using ${results.length} pre-matched library tracks from hybrid discovery`);
 				}
 				// Check if this is a mood/activity filter candidate (legacy special handling)
@@ -414,7 +954,7 @@ window.matchMonkeyOrchestration = {
 				}
 			}
 
-			const dedupedResults = Array.from(duplicateMap.values());
+			let dedupedResults = Array.from(duplicateMap.values());
 			const dedupRemovedCount = results.length - dedupedResults.length;
 
 			logger.debug('Dedup', `Removed ${dedupRemovedCount} duplicates, ${dedupedResults.length} unique tracks remain`);
@@ -422,7 +962,11 @@ window.matchMonkeyOrchestration = {
 
 			// Step 5: Include seed tracks if enabled (before shuffling)
 			// When IncludeSeedArtist is true, we also include the actual seed tracks
-			if (config_.includeSeedArtist && seeds.length > 0) {
+			// (album mode hands back whole albums and journey mode a path between the seeds,
+			// so loose seed tracks are left out)
+			const isAlbumMode = discoveryMode === 'album';
+			const isJourneyMode = discoveryMode === 'journey';
+			if (config_.includeSeedArtist && seeds.length > 0 && !isAlbumMode && !isJourneyMode) {
 				updateProgress(`Including seed tracks...`, 0.84);
 				logger.debug('Seeds', `Including ${seeds.length} seed track(s) in results`);
 
@@ -449,7 +993,9 @@ window.matchMonkeyOrchestration = {
 								formatPreference: config_.formatPreference,
 								minRating: 0, // Don't filter seed tracks by rating
 								allowUnknown: true,
-								collection: config_.localCollection || ''
+								collection: config_.localCollection || '',
+								// No play-history filters: in auto mode the seed is usually the track that just played
+								genreBlacklist: config_.genreBlacklist
 							}
 						);
 
@@ -461,6 +1007,10 @@ window.matchMonkeyOrchestration = {
 							if (key && !existingKeys.has(key)) {
 								existingKeys.add(key);
 								seedTracksToAdd.push(foundTrack);
+								// Seeds are the reference every candidate is compared to
+								const seedTrackId = foundTrack.id || foundTrack.ID || foundTrack.path;
+								config_.trackScores.set(seedTrackId, { api: 1, similarity: 1 });
+								config_.trackOrigins.set(seedTrackId, { candidate: seed.artist, source: 'Seed', seed: `${seed.artist} - ${seed.title}` });
 								logger.debug('Seeds', `Added seed track "${seed.artist} - ${seed.title}"`);
 							}
 						}
@@ -477,19 +1027,88 @@ window.matchMonkeyOrchestration = {
 				}
 			}
 
-			// Step 6: Apply randomization if enabled (after adding seed tracks)
-			if (config_.randomize) {
-				logger.debug('Shuffle', `Dispersing and randomizing ${dedupedResults.length} results to avoid artist clustering`);
-				updateProgress(`Shuffling ${dedupedResults.length} tracks...`, 0.86);
+			// Step 5b: Auto-mode session history - skip tracks and artists heard or queued too recently
+			let historySkippedCount = 0;
+			if (config_.autoMode && config_.historyEnabled && window.matchMonkeyAutoMode?.filterByHistory) {
+				const historyResult = window.matchMonkeyAutoMode.filterByHistory(dedupedResults, config_.historyWindows);
+				historySkippedCount = historyResult.removedTracks + historyResult.removedArtists;
+				if (historySkippedCount > 0) {
+					logger.info('History', `Skipped ${historyResult.removedTracks} repeated track(s) and ${historyResult.removedArtists} track(s) by recent artists`);
+					updateProgress(`Skipped ${historySkippedCount} recently heard track(s)`, 0.855);
+				}
+				dedupedResults = historyResult.tracks;
+			}
 
-				// Use enhanced shuffle that disperses tracks from the same artist/album
-				// This creates better perceived randomness by interleaving artists
-				const shuffled = shuffleWithDispersion(dedupedResults);
-				dedupedResults.length = 0;
-				dedupedResults.push(...shuffled);
+			// Step 6: Rank by weighted score so the final limit keeps the best tracks
+			// (album mode keeps discovery order: albums by artist similarity, tracks in album order;
+			// journey mode keeps the order of the artists along the path)
+			let rankedResults = dedupedResults;
+			if (config_.rankEnabled && !isAlbumMode && !isJourneyMode) {
+				updateProgress(`Ranking ${dedupedResults.length} tracks...`, 0.86);
+				rankedResults = this.rankResults(dedupedResults, config_.trackScores, config_.scoreWeights, getFormatPriority, config_.deepCuts ? config_.deepCutsNovelty : 0);
+				logger.debug('Ranking', `Ranked ${rankedResults.length} tracks by weighted score`);
+			} else if (config_.randomize && !isAlbumMode && !isJourneyMode) {
+				// Without ranking, shuffle before the limit so it keeps a random subset
+				// instead of the first seeds' tracks (step 7 then disperses the artists)
+				rankedResults = shuffleUtil(dedupedResults.slice());
+				logger.debug('Shuffle', `Shuffled ${rankedResults.length} unranked tracks before the limit`);
+			}
 
-				logger.debug('Shuffle', 'Shuffle complete - tracks dispersed across artists');
-				updateProgress(`Shuffled ${dedupedResults.length} tracks`, 0.87);
+			// Step 6b: Auto-mode skip feedback - move artists/seeds the listener skips down, finished ones up
+			if (config_.autoMode && config_.learnFromSkips && window.matchMonkeyAutoMode?.getFeedbackWeight) {
+				// Read the stored feedback once, not once per track of the sort
+				const feedback = window.matchMonkeyAutoMode.loadFeedback();
+				const getWeight = (track) => {
+					const origin = config_.trackOrigins.get(track.id || track.ID || track.path);
+					return window.matchMonkeyAutoMode.getFeedbackWeight(track.artist || track.Artist || '', origin?.seed, feedback);
+				};
+				// Album mode moves whole albums, weighted by their first track
+				rankedResults = isAlbumMode
+					? [].concat(...this.applyFeedbackOrder(this.groupAlbumRuns(rankedResults), run => getWeight(run[0])))
+					: this.applyFeedbackOrder(rankedResults, getWeight);
+			}
+
+			// Step 6c: Per-seed quotas - interleave by seed so the limit below is shared between the seeds
+			// (album and journey modes keep their own order)
+			if (config_.seedBalance && config_.seedBalance !== 'Off' && !isAlbumMode && !isJourneyMode) {
+				const getSeed = (track) => config_.trackOrigins.get(track.id || track.ID || track.path)?.seed || '';
+				const weights = config_.seedBalance === 'Weighted' ? config_.seedWeights : null;
+
+				// Weigh each seed object by its artist (else its genre), under the labels the strategies
+				// give its tracks: "Artist" or "Artist - Title" (genre seeds are labelled by their tag)
+				const labelWeights = new Map();
+				if (weights && weights.size > 0) {
+					for (const seed of seeds) {
+						const genres = String(seed.genre || '').split(';').map(g => g.trim().toUpperCase()).filter(Boolean);
+						const genreWeight = genres.map(g => weights.get(g)).find(w => w !== undefined);
+						for (const artist of String(seed.artist || '').split(';').map(a => a.trim()).filter(Boolean)) {
+							const weight = weights.get(artist.toUpperCase()) ?? genreWeight ?? 1;
+							labelWeights.set(artist.toUpperCase(), weight);
+							if (seed.title) labelWeights.set(`${artist} - ${seed.title}`.toUpperCase(), weight);
+						}
+					}
+				}
+				const getWeight = (seed) => labelWeights.get(seed.toUpperCase()) ?? weights?.get(seed.toUpperCase()) ?? 1;
+				rankedResults = this.balanceBySeed(rankedResults, getSeed, getWeight);
+
+				const quota = Math.min(rankedResults.length, config_.totalLimit);
+				const counts = new Map();
+				rankedResults.slice(0, quota).forEach(track => {
+					const seed = getSeed(track);
+					if (seed) counts.set(seed, (counts.get(seed) || 0) + 1);
+				});
+				logger.info('Balance', `${config_.seedBalance} seed quotas for ${quota} track(s): ${[...counts].map(([seed, n]) => `${seed} ${n}`).join(', ')}`);
+			}
+
+			// Step 6d: Auto-mode artist window inside the batch - space the same artist out in ranked order,
+			// so the limit keeps spaced-out tracks and only falls back to the rest to fill up
+			// (album mode keeps whole albums, so it is only checked against the history)
+			if (config_.autoMode && config_.historyEnabled && !isAlbumMode && window.matchMonkeyAutoMode?.spaceByArtist) {
+				const spaced = window.matchMonkeyAutoMode.spaceByArtist(rankedResults, config_.historyWindows?.artistTracks);
+				if (spaced.deferred > 0) {
+					logger.info('History', `Moved ${spaced.deferred} track(s) by an artist already in this batch to the end`);
+				}
+				rankedResults = spaced.tracks;
 			}
 
 			// Apply final limit
@@ -497,19 +1116,88 @@ window.matchMonkeyOrchestration = {
 			// multi-step filtering (Last.fm similarity → library match → ReccoBeats audio
 			// features → mood/activity template filtering). The settings govern processing
 			// effort, but once a track passes all criteria it should be included.
+			// A time-based auto-queue run fills a duration instead, in every mode, up to the track limit.
+			// Album mode only stops at album boundaries; a journey is kept whole.
 			const isMoodActivity = discoveryMode === 'mood' || discoveryMode === 'activity';
-			const finalResults = (!isMoodActivity && config_.totalLimit < 100000)
-				? dedupedResults.slice(0, config_.totalLimit)
-				: dedupedResults;
+			let finalResults;
+			if (isAlbumMode) {
+				const albumLimit = config_.totalLimit < 100000 ? config_.totalLimit : 0;
+				const albumRuns = this.limitByAlbums(this.groupAlbumRuns(rankedResults), albumLimit, config_.fillDurationMs);
+				finalResults = [].concat(...albumRuns);
+				logger.debug('Output', `Album limit: ${albumRuns.length} album(s), ${finalResults.length} tracks`);
+			} else if (config_.fillDurationMs > 0) {
+				finalResults = this.limitByDuration(rankedResults, config_.fillDurationMs, config_.totalLimit < 100000 ? config_.totalLimit : 0);
+				logger.debug('Output', `Duration fill: ${finalResults.length} tracks for ${(config_.fillDurationMs / 60000).toFixed(1)} min`);
+			} else {
+				finalResults = (!isMoodActivity && !isJourneyMode && config_.totalLimit < 100000)
+					? rankedResults.slice(0, config_.totalLimit)
+					: rankedResults;
+			}
 
-			if (finalResults.length < dedupedResults.length) {
-				logger.info('Output', `Applied limit: ${dedupedResults.length} → ${finalResults.length} tracks`);
-				updateProgress(`Applied limit: ${finalResults.length} of ${dedupedResults.length} tracks`, 0.88);
+			if (finalResults.length < rankedResults.length) {
+				logger.info('Output', `Applied limit: ${rankedResults.length} → ${finalResults.length} tracks`);
+				updateProgress(`Applied limit: ${finalResults.length} of ${rankedResults.length} tracks`, 0.87);
+			}
+
+			// Step 7: Apply randomization if enabled (after ranking and the limit, so only the order changes;
+			// unranked results were already shuffled in step 6)
+			// Album mode shuffles the order of the albums; tracks stay in album order
+			// Journey mode is never shuffled, the order is the point of the playlist
+			if (isJourneyMode) {
+				if (config_.randomize) logger.debug('Shuffle', 'Journey mode keeps path order, shuffle skipped');
+			} else if (config_.randomize && isAlbumMode) {
+				const albumRuns = shuffleUtil(this.groupAlbumRuns(finalResults));
+				finalResults = [].concat(...albumRuns);
+				logger.debug('Shuffle', `Shuffled the order of ${albumRuns.length} album(s)`);
+			} else if (config_.randomize) {
+				logger.debug('Shuffle', `Dispersing and randomizing ${finalResults.length} results to avoid artist clustering`);
+				updateProgress(`Shuffling ${finalResults.length} tracks...`, 0.88);
+
+				// Use enhanced shuffle that disperses tracks from the same artist/album
+				// This creates better perceived randomness by interleaving artists
+				finalResults = shuffleWithDispersion(finalResults);
+
+				logger.debug('Shuffle', 'Shuffle complete - tracks dispersed across artists');
+			}
+
+			// Step 7b: Let the user review, untick and reorder the tracks before anything is written
+			if (config_.showPreview) {
+				updateProgress(`Waiting for preview of ${finalResults.length} track(s)...`, 0.89);
+				const previewed = await this.showPreviewDialog(finalResults, config_);
+				checkCancelled();
+
+				if (previewed === null) {
+					terminateProgressTask(taskId);
+					await persistRunData();
+					logger.info('Output', 'Preview cancelled by user');
+					showToast('Discovery cancelled.', { type: 'info', duration: 2000 });
+					return { success: false, error: 'Cancelled', tracksAdded: 0 };
+				}
+
+				if (previewed.length === 0) {
+					terminateProgressTask(taskId);
+					await persistRunData();
+					logger.info('Output', 'All tracks were unticked in the preview');
+					showToast('No tracks selected in the preview.', { type: 'info', duration: 3000 });
+					return { success: false, error: 'No tracks selected.', tracksAdded: 0 };
+				}
+
+				if (previewed.length !== finalResults.length) {
+					logger.info('Output', `Preview: kept ${previewed.length} of ${finalResults.length} tracks`);
+				}
+				finalResults = previewed;
 			}
 
 			logger.info('Output', `Final track count: ${finalResults.length}`);
 
-			// Step 6: Output results
+			// Background prefetch stops here: auto-mode queues the batch when it triggers
+			if (prefetch) {
+				await persistRunData();
+				logger.info('Prefetch', `Prepared ${finalResults.length} track(s) for the next auto-queue trigger`);
+				return { success: true, tracksAdded: 0, prefetched: finalResults, trackOrigins: config_.trackOrigins, discoveryMode };
+			}
+
+			// Step 8: Output results
 			const enqueueEnabled = boolSetting('EnqueueMode', false);
 			const outputMode = config_.autoMode || enqueueEnabled ? 'queue' : 'playlist';
 
@@ -524,8 +1212,8 @@ window.matchMonkeyOrchestration = {
 					output = await this.queueResults(modules, finalResults, config_);
 				} else {
 					const formatActivityName = (val) => String(val || '').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
-					const seedName = seeds.length > 0 ? this.buildPlaylistSeedName(seeds) : formatActivityName(config_.moodActivityValue) || 'Selection';
-					const genreName = seeds.length > 0 && config_.discoveryMode === 'genre' ? this.buildPlaylistGenreName(seeds) : null;
+					const seedName = config_.seedPlaylistName || (seeds.length > 0 ? this.buildPlaylistSeedName(seeds) : formatActivityName(config_.moodActivityValue) || 'Selection');
+					const genreName = seeds.length > 0 && config_.discoveryMode === 'genre' && !config_.seedPlaylistName ? this.buildPlaylistGenreName(seeds) : null;
 					config_.seedName = seedName;
 					config_.genreName = genreName;
 					config_.modeName = modeName;
@@ -553,16 +1241,29 @@ window.matchMonkeyOrchestration = {
 			const notInLibraryCount = matchStats?.notInLibrary || 0;
 			const filteredByRatingCount = matchStats?.filteredByRating || 0;
 			const apiFilteredCount = discoveryStats?.apiFilteredCount || 0;
+			const genreFilteredCount = config_.filterStats?.genre || 0;
+			const genreFilteredArtists = discoveryStats?.genreFilteredArtists || 0;
+			const titleExcludedCount = config_.filterStats?.title || 0;
+			const recentlyPlayedCount = config_.filterStats?.recent || 0;
 			const missedCount = missedResultsTracker?.getMissedResultsCount?.() || 0;
 
 			// Log human-readable final summary (always visible)
 			const summaryParts = [`${actualTracksAdded} tracks added in ${elapsed}s`];
 			summaryParts.push(`Mode: ${modeName}`);
 			if (outputName) summaryParts.push(`${outputMode === 'queue' ? 'Queue' : 'Playlist'}: "${outputName}"`);
+			if (discoveryStats?.sourceContribution) {
+				const { lastfm, recco, both } = discoveryStats.sourceContribution;
+				summaryParts.push(`Candidate tracks: ${lastfm} Last.fm, ${recco} ReccoBeats, ${both} both`);
+			}
 			const filterParts = [];
 			if (notInLibraryCount > 0) filterParts.push(`${notInLibraryCount} not in library`);
 			if (apiFilteredCount > 0) filterParts.push(`${apiFilteredCount} below API threshold`);
 			if (filteredByRatingCount > 0) filterParts.push(`${filteredByRatingCount} below rating threshold`);
+			if (genreFilteredCount > 0) filterParts.push(`${genreFilteredCount} removed by genre filter`);
+			if (genreFilteredArtists > 0) filterParts.push(`${genreFilteredArtists} artists excluded by genre`);
+			if (titleExcludedCount > 0) filterParts.push(`${titleExcludedCount} excluded by title`);
+			if (recentlyPlayedCount > 0) filterParts.push(`${recentlyPlayedCount} recently played`);
+			if (historySkippedCount > 0) filterParts.push(`${historySkippedCount} repeated too soon`);
 			if (dedupRemovedCount > 0) filterParts.push(`${dedupRemovedCount} duplicates removed`);
 			if (missedCount > 0) filterParts.push(`${missedCount} missed results tracked`);
 			if (filterParts.length > 0) summaryParts.push(`Skipped: ${filterParts.join(', ')}`);
@@ -577,9 +1278,21 @@ window.matchMonkeyOrchestration = {
 			if (filteredByRatingCount > 0) {
 				detailParts.push(`${filteredByRatingCount} below rating threshold`);
 			}
+			if (titleExcludedCount > 0) {
+				detailParts.push(`${titleExcludedCount} excluded by title`);
+			}
 			if (apiFilteredCount > 0) {
 				detailParts.push(`${apiFilteredCount} below API threshold`);
 			}
+			if (genreFilteredCount > 0) {
+				detailParts.push(`${genreFilteredCount} removed by genre filter`);
+			}
+			if (recentlyPlayedCount > 0) {
+				detailParts.push(`${recentlyPlayedCount} recently played`);
+			}
+			if (historySkippedCount > 0) {
+				detailParts.push(`${historySkippedCount} repeated too soon`);
+			}
 			if (detailParts.length > 0) {
 				successMsg += ` (${detailParts.join(', ')})`;
 			}
@@ -587,6 +1300,8 @@ window.matchMonkeyOrchestration = {
 			// Show success toast with auto-dismiss
 			showToast(successMsg, { type: 'success', duration: 4000 });
 
+			this.recordFilterStats({ genre: genreFilteredCount, title: titleExcludedCount });
+
 			return {
 				success: true,
 				tracksAdded: actualTracksAdded,
@@ -598,7 +1313,7 @@ window.matchMonkeyOrchestration = {
 			if (e?.message === '__CANCELLED__') {
 				terminateProgressTask(taskId);
 				await persistRunData();
-				logger.info('Workflow', 'Cancelled by user');
+				logger.info('Workflow', prefetch ? 'Prefetch cancelled' : 'Cancelled by user');
 				showToast('Discovery cancelled.', { type: 'info', duration: 2000 });
 				return { success: false, error: 'Cancelled', tracksAdded: 0 };
 			}
@@ -694,15 +1409,174 @@ window.matchMonkeyOrchestration = {
 		return seeds.filter(s => s.artist && s.artist.trim().length > 0);
 	},
 
+	/**
+	 * Check whether a SeedSource setting value selects a Last.fm profile.
+	 * 
+	 * @param {string} seedSource - SeedSource setting value
+	 * @returns {boolean} True for the Last.fm recent/loved/top track sources
+	 */
+	isLastfmSeedSource(seedSource) {
+		return /^last\.fm/i.test(String(seedSource || ''));
+	},
+
+	/**
+	 * Collect seed tracks from a Last.fm user's recent, loved or top tracks.
+	 * 
+	 * @param {object} modules - Module dependencies
+	 * @param {object} config - Run config (seedSource, lastfmUsername, lastfmUserPeriod, seedLimit)
+	 * @returns {Promise<Array>} Array of seed objects [{artist, title, genre, album}, ...]
+	 */
+	async collectLastfmUserSeeds(modules, config) {
+		const logger = window.matchMonkeyLogger;
+		const { api: { lastfmApi } } = modules;
+
+		if (!config.lastfmUsername) {
+			logger?.warn('Seeds', `Seed source "${config.seedSource}" needs a Last.fm username`);
+			return [];
+		}
+
+		const source = /loved/i.test(config.seedSource) ? 'loved' : /top/i.test(config.seedSource) ? 'top' : 'recent';
+		const periods = {
+			'Last 7 days': '7day',
+			'Last month': '1month',
+			'Last 3 months': '3month',
+			'Last 6 months': '6month',
+			'Last year': '12month',
+			'All time': 'overall',
+		};
+		const period = periods[config.lastfmUserPeriod] || '7day';
+		const seedLimit = Math.max(1, config.seedLimit || 20);
+
+		// Recent tracks repeat a lot; ask for extra so enough unique tracks remain
+		const fetchLimit = source === 'recent' ? Math.min(200, seedLimit * 3) : seedLimit;
+		const tracks = await lastfmApi.fetchUserTracks(config.lastfmUsername, source, period, fetchLimit);
+
+		const seeds = tracks.slice(0, seedLimit).map(t => ({
+			artist: matchMonkeyHelpers.cleanArtistName(t.artist || ''),
+			title: matchMonkeyHelpers.cleanTrackName(t.title || ''),
+			album: matchMonkeyHelpers.cleanAlbumName(t.album || ''),
+			genre: '',
+		}));
+
+		logger?.info('Seeds', `Last.fm ${source} tracks for "${config.lastfmUsername}"${source === 'top' ? ` (${period})` : ''}: ${seeds.length} seed(s)`);
+		return seeds.filter(s => s.artist && s.artist.trim().length > 0);
+	},
+
+	/**
+	 * Collect seed tracks from a whole playlist.
+	 * Reads every track of the playlist and samples up to seedLimit of them with
+	 * samplePlaylistSeeds, so big playlists are not just cut off after the first N tracks.
+	 *
+	 * @param {object} modules - Module dependencies
+	 * @param {object} playlist - MM5 playlist object
+	 * @param {object} config - Run config (seedLimit)
+	 * @returns {Promise<Array>} Array of seed objects [{artist, title, genre, album}, ...]
+	 */
+	async collectPlaylistSeeds(modules, playlist, config) {
+		const logger = window.matchMonkeyLogger;
+		const tracks = [];
+
+		try {
+			const list = playlist?.getTracklist?.();
+			if (!list) {
+				logger?.warn('Seeds', `Could not read tracks of playlist "${playlist?.name || ''}"`);
+				return [];
+			}
+
+			await list.whenLoaded();
+			list.locked(() => {
+				let track;
+				for (let i = 0; i < list.count; i++) {
+					track = list.getFastObject(i, track);
+					tracks.push({
+						artist: matchMonkeyHelpers.cleanArtistName(track.artist || ''),
+						title: matchMonkeyHelpers.cleanTrackName(track.title || ''),
+						album: matchMonkeyHelpers.cleanAlbumName(track.album || ''),
+						genre: track.genre || '',
+						rating: Number(track.rating ?? -1),
+						playCounter: Number(track.playCounter ?? 0) || 0,
+					});
+				}
+			});
+		} catch (e) {
+			logger?.error('Seeds', `Error reading playlist "${playlist?.name || ''}"`, e);
+			return [];
+		}
+
+		const seedLimit = Math.max(1, config.seedLimit || 20);
+		const seeds = this.samplePlaylistSeeds(tracks, seedLimit);
+		logger?.info('Seeds', `Playlist "${playlist.name || ''}": sampled ${seeds.length} seed(s) from ${tracks.length} track(s)`);
+		return seeds;
+	},
+
+	/**
+	 * Pick up to `limit` seeds from a list of playlist tracks.
+	 * Every artist gets one seed before any artist gets a second one. Within an artist,
+	 * and in the order artists are visited, highly rated and often played tracks are
+	 * more likely to come first (weighted random, so repeated runs vary).
+	 *
+	 * @param {Array} tracks - [{artist, title, album, genre, rating, playCounter}, ...]
+	 * @param {number} limit - Maximum seeds to return
+	 * @returns {Array} Array of seed objects [{artist, title, genre, album}, ...]
+	 */
+	samplePlaylistSeeds(tracks, limit) {
+		const unique = new Map();
+		for (const t of tracks) {
+			if (!t.artist || !t.artist.trim()) continue;
+			const key = `${t.artist.toUpperCase()}\u0000${(t.title || '').toUpperCase()}`;
+			if (!unique.has(key)) unique.set(key, t);
+		}
+
+		const maxPlays = [...unique.values()].reduce((max, t) => Math.max(max, t.playCounter || 0), 0);
+		const weightOf = (t) => {
+			const rating = t.rating >= 0 ? Math.min(100, t.rating) / 100 : 0.5;
+			const plays = maxPlays > 0 ? Math.log1p(t.playCounter || 0) / Math.log1p(maxPlays) : 0;
+			return 0.25 + rating + plays;
+		};
+		// Weighted random order: higher weights tend to sort first (Efraimidis-Spirakis keys)
+		const sortKey = (weight) => Math.pow(Math.random(), 1 / weight);
+
+		const byArtist = new Map();
+		for (const t of unique.values()) {
+			const artistKey = t.artist.toUpperCase();
+			if (!byArtist.has(artistKey)) byArtist.set(artistKey, []);
+			byArtist.get(artistKey).push({ track: t, weight: weightOf(t) });
+		}
+
+		const groups = [...byArtist.values()].map(items => {
+			items.forEach(item => { item.key = sortKey(item.weight); });
+			items.sort((a, b) => b.key - a.key);
+			return { items, key: sortKey(Math.max(...items.map(item => item.weight))) };
+		});
+		groups.sort((a, b) => b.key - a.key);
+
+		// Round-robin over the artists so one prolific artist cannot fill every seed slot
+		const seeds = [];
+		for (let round = 0; seeds.length < limit; round++) {
+			let added = false;
+			for (const group of groups) {
+				if (seeds.length >= limit) break;
+				const item = group.items[round];
+				if (!item) continue;
+				const { artist, title, album, genre } = item.track;
+				seeds.push({ artist, title, album, genre });
+				added = true;
+			}
+			if (!added) break;
+		}
+		return seeds;
+	},
+
 	/**
 	 * Collect seed tracks from Now Playing queue for auto-mode.
 	 * Uses the threshold setting to determine how many remaining tracks to use as seeds.
 	 * 
 	 * @param {object} modules - Module dependencies
 	 * @param {number} threshold - Number of remaining tracks that trigger auto-mode
+	 * @param {boolean} [fromEnd=false] - Take the last tracks of the queue instead of the playing one onwards
 	 * @returns {Promise<Array>} Array of seed objects [{artist, title, genre, album}, ...]
 	 */
-	async collectAutoModeSeedsFromQueue(modules, threshold) {
+	async collectAutoModeSeedsFromQueue(modules, threshold, fromEnd = false) {
 		const seeds = [];
 
 		const logger = window.matchMonkeyLogger;
@@ -746,7 +1620,8 @@ window.matchMonkeyOrchestration = {
 			const totalTracks = tracklist.count || 0;
 			const seedCount = threshold;
 
-			const startIndex = currentIndex;
+			// A prefetch seeds from the last tracks, which are the ones playing when it is queued
+			const startIndex = fromEnd ? Math.max(currentIndex, totalTracks - seedCount) : currentIndex;
 			const endIndex = Math.min(startIndex + seedCount, totalTracks);
 
 			logger?.debug('AutoMode', `Collecting seeds from Now Playing (playing=${currentIndex}, total=${totalTracks}, collecting ${endIndex - startIndex} tracks)`);
@@ -803,7 +1678,7 @@ window.matchMonkeyOrchestration = {
 			logger.debug('Library', `API threshold - min match: ${config.apiMinMatch}% (applies to both Last.fm and ReccoBeats)`);
 		}
 		if (config.localCollection) {
-			logger.warn('Library', `Collection filter: "${config.localCollection}" (NOTE: not yet implemented in MM5)`);
+			logger.debug('Library', `Collection filter: "${config.localCollection}"`);
 		}
 
 		updateProgress(`Searching local library for ${totalCandidates} artists...`, 0.55);
@@ -833,6 +1708,8 @@ window.matchMonkeyOrchestration = {
 			try {
 				let tracks = [];
 				let searchedSpecificTracks = false; // Track if we searched for specific tracks
+				const trackScores = new Map(); // library track -> {api, similarity} for ranking
+				const trackOrigins = new Map(); // library track -> {candidate, source, seed} for the preview
 
 				// If candidate has specific tracks, search for those
 				if (candidate.tracks && candidate.tracks.length > 0) {
@@ -853,7 +1730,11 @@ window.matchMonkeyOrchestration = {
 								formatPreference: config.formatPreference,
 								minRating: 0, // Get all tracks regardless of rating
 								allowUnknown: true,
-								collection: config.localCollection || ''
+								collection: config.localCollection || '',
+								genreBlacklist: config.genreBlacklist,
+								skipPlayedDays: config.skipPlayedDays,
+								maxPlayCount: config.maxPlayCount,
+								filterStats: config.filterStats
 							}
 						);
 
@@ -938,6 +1819,8 @@ window.matchMonkeyOrchestration = {
 									if (matchVal === 0 && candidate.matchScore) {
 										matchVal = candidate.matchScore;
 									}
+									trackScores.set(bestTrack, this.getCandidateScores(candidate, originalTrack));
+									trackOrigins.set(bestTrack, this.getTrackOrigin(candidate, originalTrack, config.discoveryMode));
 									const matchValNorm = matchVal <= 1 ? (matchVal * 100).toFixed(1) : Number(matchVal).toFixed(1);
 									//console.log(`Match Monkey: MATCHED in library - "${candidate.artist} - ${title}" (API score: ${matchValNorm}%)`);
 								} else {
@@ -957,7 +1840,8 @@ window.matchMonkeyOrchestration = {
 								// Determine source for logging
 								const source = config.discoveryMode === 'acoustics' ||
 									config.discoveryMode === 'mood' ||
-									config.discoveryMode === 'activity' ? 'ReccoBeats' : 'Last.fm';
+									config.discoveryMode === 'activity' ||
+									originalTrack?.hybridSource === 'recco' ? 'ReccoBeats' : 'Last.fm';
 
 								// Get match/popularity value for logging
 								// Try track-level match/popularity first, then fall back to candidate-level matchScore
@@ -1013,7 +1897,12 @@ window.matchMonkeyOrchestration = {
 							formatPreference: config.formatPreference,
 							minRating: config.minRating,
 							allowUnknown: config.allowUnknown,
-							collection: config.localCollection || ''
+							collection: config.localCollection || '',
+							genreBlacklist: config.genreBlacklist,
+							skipPlayedDays: config.skipPlayedDays,
+							maxPlayCount: config.maxPlayCount,
+							filterStats: config.filterStats,
+							leastPlayed: !!config.deepCuts
 						}
 					);
 
@@ -1021,7 +1910,7 @@ window.matchMonkeyOrchestration = {
 					// BUT only if we didn't already search for specific tracks (to avoid double-tracking)
 					if (tracks.length === 0 && !searchedSpecificTracks && candidate.tracks && candidate.tracks.length > 0) {
 						// Determine source for logging
-						const source = config.discoveryMode === 'acoustics' ||
+						const modeSource = config.discoveryMode === 'acoustics' ||
 							config.discoveryMode === 'mood' ||
 							config.discoveryMode === 'activity' ? 'ReccoBeats' : 'Last.fm';
 
@@ -1029,6 +1918,7 @@ window.matchMonkeyOrchestration = {
 						candidate.tracks.slice(0, 3).forEach(t => {
 							const trackTitle = typeof t === 'string' ? t : (t.title || '');
 							if (!trackTitle) return;
+							const source = t?.hybridSource === 'recco' ? 'ReccoBeats' : modeSource;
 
 							// Extract and normalize popularity
 							const { popularity, rawPlaycount } = this.normalizePopularityFromTrack(t);
@@ -1070,6 +1960,13 @@ window.matchMonkeyOrchestration = {
 					}
 				}
 
+				// Remove matched library tracks whose titles hit TitleExclusions
+				if (config.titleExclusions?.length > 0 && tracks.length > 0) {
+					const beforeCount = tracks.length;
+					tracks = tracks.filter(t => !window.matchMonkeyHelpers.findTitleExclusion(t.title || t.SongTitle || '', config.titleExclusions));
+					if (config.filterStats) config.filterStats.title += beforeCount - tracks.length;
+				}
+
 				// Add unique tracks to results
 				let matchedForArtist = 0;
 				for (const track of tracks) {
@@ -1077,6 +1974,9 @@ window.matchMonkeyOrchestration = {
 					if (trackId && !seenTrackIds.has(trackId)) {
 						seenTrackIds.add(trackId);
 						results.push(track);
+						// Artist-only fallback matches only carry the artist similarity
+						config.trackScores?.set(trackId, trackScores.get(track) || this.getCandidateScores(candidate, null));
+						config.trackOrigins?.set(trackId, trackOrigins.get(track) || this.getTrackOrigin(candidate, null, config.discoveryMode));
 						matchedForArtist++;
 					}
 				}
@@ -1116,6 +2016,7 @@ window.matchMonkeyOrchestration = {
 			if (filteredMissedResults.length > 0) {
 				logger.debug('Library', `Adding ${filteredMissedResults.length} missed recommendations to tracker (filtered from ${missedTracksToTrack.length})`);
 				window.matchMonkeyMissedResults.addMissedResultsBatch(filteredMissedResults);
+				config.runMissedResults?.push(...filteredMissedResults);
 			} else {
 				logger.debug('Library', `No missed recommendations passed configured thresholds (${missedTracksToTrack.length} filtered out)`);
 			}
@@ -1126,6 +2027,9 @@ window.matchMonkeyOrchestration = {
 			matched: totalTracksMatched,
 			notInLibrary: notInLibraryCount,
 			filteredByRating: filteredByRatingCount,
+			filteredByGenre: config.filterStats?.genre || 0,
+			excludedByTitle: config.filterStats?.title || 0,
+			recentlyPlayed: config.filterStats?.recent || 0,
 			artists: `${artistsMatched}/${totalCandidates}`
 		});
 		updateProgress(`Library: Found ${totalTracksMatched} tracks from ${artistsMatched}/${totalCandidates} artists`, 0.8);
@@ -1143,6 +2047,61 @@ window.matchMonkeyOrchestration = {
 		};
 	},
 
+	/**
+	 * Remove candidate tracks whose titles match a TitleExclusions rule.
+	 * Candidates are modified in place; a candidate left with no tracks falls back
+	 * to the artist-only library search (where the rules are applied again).
+	 * 
+	 * @param {Array} candidates - Array of {artist, tracks[]} from discovery
+	 * @param {Array} rules - Compiled rules from helpers.parseTitleExclusions()
+	 * @returns {number} Number of candidate tracks removed
+	 */
+	applyTitleExclusions(candidates, rules) {
+		if (!rules || rules.length === 0) return 0;
+
+		const logger = window.matchMonkeyLogger;
+		const { findTitleExclusion } = window.matchMonkeyHelpers;
+		const excluded = [];
+
+		for (const candidate of candidates) {
+			if (!candidate?.tracks?.length || candidate.artist?.startsWith('__')) continue;
+
+			candidate.tracks = candidate.tracks.filter(t => {
+				const title = typeof t === 'string' ? t : (t?.title || '');
+				const rule = findTitleExclusion(title, rules);
+				if (rule) excluded.push(`"${candidate.artist} - ${title}" matched ${rule}`);
+				return !rule;
+			});
+		}
+
+		logger.summary('Filters', 'Title exclusions applied', { excluded: excluded.length }, excluded);
+		return excluded.length;
+	},
+
+	/**
+	 * Persist per-run filter counts so the Options panel can display them.
+	 * Stores the last run's counts plus running totals under 'MatchMonkeyFilterMeta'.
+	 * 
+	 * @param {object} counts - Filter counts keyed by filter name (e.g. {genre: 12})
+	 */
+	recordFilterStats(counts) {
+		try {
+			const meta = app.getValue('MatchMonkeyFilterMeta', {}) || {};
+			const totals = (meta.totals && typeof meta.totals === 'object') ? meta.totals : {};
+			const lastRun = {};
+
+			for (const [key, value] of Object.entries(counts || {})) {
+				const n = Number(value) || 0;
+				lastRun[key] = n;
+				totals[key] = (Number(totals[key]) || 0) + n;
+			}
+
+			app.setValue('MatchMonkeyFilterMeta', { lastRun, totals, lastRunTs: Date.now() });
+		} catch (e) {
+			window.matchMonkeyLogger?.warn('Filters', `Failed to record filter stats: ${e.message}`);
+		}
+	},
+
 	/**
 	 * Match mood/activity filter to library tracks.
 	 * Searches entire library and filters based on audio characteristics.
@@ -1174,6 +2133,11 @@ window.matchMonkeyOrchestration = {
 					formatPreference: config.formatPreference,
 					minRating: config.minRating,
 					allowUnknown: config.allowUnknown,
+					collection: config.localCollection || '',
+					genreBlacklist: config.genreBlacklist,
+					skipPlayedDays: config.skipPlayedDays,
+					maxPlayCount: config.maxPlayCount,
+					filterStats: config.filterStats,
 				}
 			);
 
@@ -1262,6 +2226,7 @@ window.matchMonkeyOrchestration = {
 			}
 
 			let skippedDuplicates = 0;
+			const queued = [];
 
 			// Add tracks to Now Playing
 			updateProgress(`Adding ${tracks.length} tracks to Now Playing...`, 0.93);
@@ -1277,6 +2242,7 @@ window.matchMonkeyOrchestration = {
 				try {
 					await db.queueTrack(track);
 					added++;
+					queued.push(track);
 					if (dupKey) existing.add(dupKey);
 				} catch (e) {
 					window.matchMonkeyLogger?.warn('Queue', `Failed to queue track: ${e?.message || e}`);
@@ -1292,6 +2258,11 @@ window.matchMonkeyOrchestration = {
 
 			window.matchMonkeyLogger?.info('Queue', `Queued ${added} tracks to Now Playing`);
 
+			// Auto-queue runs feed the session history used by the no-repeat windows
+			if (config.autoMode && queued.length > 0) {
+				window.matchMonkeyAutoMode?.recordQueued?.(queued, t => config.trackOrigins?.get(t.id || t.ID || t.path)?.seed);
+			}
+
 		} catch (e) {
 			window.matchMonkeyLogger?.error('Queue', 'Error queuing results', e);
 		}
@@ -1316,6 +2287,10 @@ window.matchMonkeyOrchestration = {
 	 * - Track Mode:     "Similar Tracks (The Beatles, Metallica...)"
 	 * - Genre Mode:     "Similar Genres (Rock, Blues, Jazz)"
 	 * - Acoustics Mode: "Similar Acoustics (Artist Name)"
+	 * - Hybrid Mode: "Similar Hybrid (Artist Name)"
+	 * - Album Mode:     "Similar Albums (Artist Name)"
+	 * - Journey Mode:   "Artist Journey (Artist Name, Other Artist)"
+	 * - Local Mode:     "Local Library (Artist Name)"
 	 * - Mood Mode:      "Similar Energetic (Artist Name)"
 	 * - Activity Mode:  "Similar Workout (Artist Name)"
 	 * 
@@ -1328,8 +2303,8 @@ window.matchMonkeyOrchestration = {
 	 * Users can customize naming by setting a PlaylistName template:
 	 * 
 	 * Placeholders:
-	 * - %action% = Discovery type (Artists, Tracks, Genres, Acoustics, mood name, activity name)
-	 * - %seed%   = Seed summary (artist names, genre names, or selection)
+	 * - %action% = Discovery type (Artists, Tracks, Genres, Acoustics, Hybrid, Albums, Journey, Local, mood name, activity name)
+	 * - %seed%   = Seed summary (artist names, genre names, seed playlist name, or selection)
 	 * - %        = Legacy placeholder (same as %seed% for backward compatibility)
 	 * 
 	 * - Examples:
@@ -1349,8 +2324,8 @@ window.matchMonkeyOrchestration = {
 	 * @param {object} modules - Module dependencies
 	 * @param {Array} tracks - Track objects for playlist
 	 * @param {object} config - Configuration settings
-	 * @param {string} config.discoveryMode - Discovery mode ('artist', 'track', 'genre', 'acoustics', 'mood', 'activity')
-	 * @param {string} config.seedName - Formatted seed names (artists or "Selection")
+	 * @param {string} config.discoveryMode - Discovery mode ('artist', 'track', 'genre', 'acoustics', 'hybrid', 'album', 'journey', 'local', 'mood', 'activity')
+	 * @param {string} config.seedName - Formatted seed names (artists, seed playlist name or "Selection")
 	 * @param {string} config.genreName - Formatted genre names (for genre mode only)
 	 * @param {string} config.moodActivityValue - Mood/activity value if applicable
 	 * @returns {Promise<object>} Result with playlist reference
@@ -1387,6 +2362,14 @@ window.matchMonkeyOrchestration = {
 				actionText = 'Tracks';
 			} else if (config.discoveryMode === 'acoustics') {
 				actionText = 'Acoustics';
+			} else if (config.discoveryMode === 'hybrid') {
+				actionText = 'Hybrid';
+			} else if (config.discoveryMode === 'album') {
+				actionText = 'Albums';
+			} else if (config.discoveryMode === 'journey') {
+				actionText = 'Journey';
+			} else if (config.discoveryMode === 'local') {
+				actionText = 'Local';
 			} else {
 				// Artist mode (default)
 				actionText = 'Artists';
@@ -1425,6 +2408,18 @@ window.matchMonkeyOrchestration = {
 			} else if (config.discoveryMode === 'acoustics') {
 				// Acoustics: "Similar Acoustics (%artist%)"
 				playlistName = `Similar Acoustics (${seedName})`;
+			} else if (config.discoveryMode === 'hybrid') {
+				// Hybrid: "Similar Hybrid (%artist%)"
+				playlistName = `Similar Hybrid (${seedName})`;
+			} else if (config.discoveryMode === 'album') {
+				// Album: "Similar Albums (%artist%)"
+				playlistName = `Similar Albums (${seedName})`;
+			} else if (config.discoveryMode === 'journey') {
+				// Journey: "Artist Journey (%artist%)"
+				playlistName = `Artist Journey (${seedName})`;
+			} else if (config.discoveryMode === 'local') {
+				// Local: "Local Library (%artist%)"
+				playlistName = `Local Library (${seedName})`;
 			} else {
 				// Artist (default): "Similar Artists (%artist%)"
 				playlistName = `Similar Artists (${seedName})`;
@@ -1573,6 +2568,67 @@ window.matchMonkeyOrchestration = {
 		});
 	},
 
+	/**
+	 * Show the dry-run preview dialog for the final tracks.
+	 * The dialog receives plain rows (tracks are referenced by index) and returns
+	 * the indexes of the tracks the user kept, in the chosen order.
+	 *
+	 * @param {object[]} tracks - Final library tracks, in output order
+	 * @param {object} config - Run configuration (trackScores, trackOrigins, runMissedResults, randomize)
+	 * @returns {Promise<object[]|null>} Kept tracks in the chosen order, or null when cancelled
+	 */
+	async showPreviewDialog(tracks, config) {
+		if (typeof uitools === 'undefined' || !uitools.openDialog) {
+			console.log('Match Monkey: uitools.openDialog not available, skipping preview');
+			return tracks;
+		}
+
+		const items = tracks.map((track, index) => {
+			const trackId = track.id || track.ID || track.path;
+			const origin = config.trackOrigins?.get(trackId) || {};
+			const scores = config.trackScores?.get(trackId);
+			return {
+				index,
+				artist: String(track.artist || track.Artist || ''),
+				title: String(track.title || track.SongTitle || ''),
+				album: String(track.album || track.Album || ''),
+				candidate: origin.candidate || '',
+				source: origin.source || '',
+				seed: (origin.seeds || []).join(', ') || origin.seed || '',
+				apiScore: scores ? Math.round(scores.api * 100) : 0,
+			};
+		});
+
+		return new Promise((resolve) => {
+			try {
+				const dlg = uitools.openDialog('dlgPreviewResults', {
+					modal: true,
+					tracks: items,
+					missed: config.runMissedResults || []
+				});
+
+				if (!dlg) {
+					console.log('Match Monkey: Preview dialog failed to open');
+					resolve(tracks);
+					return;
+				}
+
+				app.listen(dlg, 'closed', () => {
+					if (dlg.modalResult !== 1) {
+						resolve(null);
+						return;
+					}
+					const order = dlg.getValue?.('getResult')?.();
+					resolve(Array.isArray(order) ? order.map(i => tracks[i]).filter(Boolean) : tracks);
+				});
+
+			} catch (e) {
+				console.error('showPreviewDialog error:', e);
+				resolve(tracks);
+			}
+		});
+	},
+
 	/**
 	 * Navigate to playlist or now playing based on user settings.
 	 */
@@ -22,6 +22,8 @@ function buildDbInterface() {
 		// Library search operations (from window.dbLibrary)
 		findLibraryTracks: window.dbLibrary?.findLibraryTracks || (() => Promise.resolve([])),
 		findLibraryTracksBatch: window.dbLibrary?.findLibraryTracksBatch || (() => Promise.resolve(new Map())),
+		getPlaylistCoMembership: window.dbLibrary?.getPlaylistCoMembership || (() => Promise.resolve(new Map())),
+		getCollectionNames: window.dbLibrary?.getCollectionNames || (() => Promise.resolve([])),
 
 		// Playlist operations (from window.dbPlaylist)
 		findPlaylist: window.dbPlaylist?.findPlaylist || (() => null),
@@ -3,7 +3,9 @@
  *
  * Handles searching for tracks in the MediaMonkey library by matching
  * artist names and track titles. Supports both single and batch lookups
- * with configurable filtering options.
+ * with configurable filtering options, optionally scoped to a MediaMonkey collection
+ * and skipping recently played tracks. Also finds tracks related by library
+ * metadata and shared playlists for offline (local) discovery.
  *
  - No MM4 fallbacks
  *
@@ -55,6 +57,215 @@ function matchesFormatPreference(track, formatPreference) {
 	return true; // Unknown preference - include track
 }
 
+/**
+ * Helper function to determine if a track's genre is blacklisted.
+ * Songs.Genre holds semicolon-separated values, so filtering is done post-query
+ * against the track object (same approach as format filtering).
+ *
+ * @param {object} track - Track object with genre property
+ * @param {Set<string>} genreBlacklist - Blacklisted genres (lowercase)
+ * @returns {boolean} True if any of the track's genres is blacklisted
+ */
+function hasBlacklistedGenre(track, genreBlacklist) {
+	if (!track || !genreBlacklist || genreBlacklist.size === 0) return false;
+
+	const genres = String(track.genre || track.Genre || '').split(';');
+	return genres.some(g => genreBlacklist.has(g.trim().toLowerCase()));
+}
+
+// Collection name (uppercase) -> collection ID. Misses are not cached, so a collection
+// created or renamed later in the session is picked up; they are only warned about once.
+const _collectionIdCache = new Map();
+const _collectionMissesWarned = new Set();
+
+/**
+ * List the names of all MediaMonkey collections.
+ *
+ * @async
+ * @function getCollectionNames
+ * @returns {Promise<string[]>} Collection names sorted alphabetically (empty on error)
+ */
+async function getCollectionNames() {
+	const names = [];
+	try {
+		if (typeof app === 'undefined' || !app.db || typeof app.db.getQueryResultAsync !== 'function') return names;
+
+		const rows = await app.db.getQueryResultAsync('SELECT Name FROM Collections ORDER BY Name');
+		while (rows && !rows.eof) {
+			const name = rows.fields.getValue(0);
+			if (name) names.push(String(name));
+			rows.next();
+		}
+	} catch (e) {
+		_getLibraryLogger()?.warn('Library', 'getCollectionNames error: ' + e.toString());
+	}
+	return names;
+}
+
+/**
+ * Resolve a collection name to its database ID (found IDs are cached per session).
+ *
+ * @async
+ * @param {string} collection - Collection name
+ * @returns {Promise<number|null>} Collection ID, or null if the collection doesn't exist
+ */
+async function resolveCollectionId(collection) {
+	const name = String(collection || '').trim();
+	if (!name) return null;
+
+	const key = name.toUpperCase();
+	if (_collectionIdCache.has(key)) return _collectionIdCache.get(key);
+
+	let id = null;
+	try {
+		if (typeof app !== 'undefined' && app.db && typeof app.db.getQueryResultAsync === 'function') {
+			const rows = await app.db.getQueryResultAsync(
+				`SELECT ID FROM Collections WHERE Name = '${String(name).replace(/'/g, "''")}' LIMIT 1`
+			);
+			if (rows && !rows.eof) {
+				const value = Number(rows.fields.getValue(0));
+				if (Number.isFinite(value)) id = value;
+			}
+		}
+	} catch (e) {
+		_getLibraryLogger()?.warn('Library', `resolveCollectionId error for "${name}": ${e.toString()}`);
+	}
+
+	if (id === null) {
+		if (!_collectionMissesWarned.has(key)) {
+			_collectionMissesWarned.add(key);
+			_getLibraryLogger()?.warn('Library', `Collection "${name}" not found - searching entire library`);
+		}
+		return null;
+	}
+
+	_collectionMissesWarned.delete(key);
+	_collectionIdCache.set(key, id);
+	return id;
+}
+
+// Whether the database has a CollectionsSongs membership table (null = not checked yet).
+// Checked once per session; collection filtering is skipped when the table is missing.
+let _collectionsSongsAvailable = null;
+
+/**
+ * Check the database schema for the CollectionsSongs membership table.
+ *
+ * @async
+ * @returns {Promise<boolean>} True if the table exists
+ */
+async function hasCollectionsSongsTable() {
+	if (_collectionsSongsAvailable !== null) return _collectionsSongsAvailable;
+
+	let found = false;
+	try {
+		if (typeof app === 'undefined' || !app.db || typeof app.db.getQueryResultAsync !== 'function') return false;
+
+		const rows = await app.db.getQueryResultAsync(
+			"SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'CollectionsSongs'"
+		);
+		found = !!(rows && !rows.eof);
+	} catch (e) {
+		_getLibraryLogger()?.warn('Library', 'hasCollectionsSongsTable error: ' + e.toString());
+	}
+
+	_collectionsSongsAvailable = found;
+	if (!found) {
+		_getLibraryLogger()?.warn('Library', 'Collection filtering is not supported by this database (no CollectionsSongs table) - ignoring collection filter');
+	}
+	return found;
+}
+
+/**
+ * Build a WHERE condition restricting Songs to a collection's track set.
+ * Falls back to the entire library when the collection is unknown or the
+ * database has no CollectionsSongs table.
+ *
+ * @async
+ * @param {string} collection - Collection name (blank = entire library)
+ * @returns {Promise<string>} SQL condition, or '' when no restriction applies
+ */
+async function buildCollectionClause(collection) {
+	if (!String(collection || '').trim()) return '';
+	if (!(await hasCollectionsSongsTable())) return '';
+
+	const id = await resolveCollectionId(collection);
+	if (id === null) return '';
+	return `Songs.ID IN (SELECT CollectionsSongs.IDSong FROM CollectionsSongs WHERE CollectionsSongs.IDCollection = ${id})`;
+}
+
+/**
+ * Build a WHERE condition matching tracks the recently-played filter skips:
+ * played within the last `skipPlayedDays` days, or played more than `maxPlayCount` times.
+ * Songs.LastTimePlayed is a local-time Delphi date (days since 1899-12-30; 0 = never played).
+ *
+ * @param {number} skipPlayedDays - Skip tracks played in the last N days (0 = off)
+ * @param {number} maxPlayCount - Skip tracks with a higher play count (0 = no cap)
+ * @returns {string} SQL condition, or '' when neither limit is set
+ */
+function buildRecentlyPlayedClause(skipPlayedDays, maxPlayCount) {
+	const conds = [];
+	const days = Number(skipPlayedDays) || 0;
+	if (days > 0) {
+		// Unix epoch is Delphi day 25569; shift by the UTC offset to compare in local time
+		const cutoff = Date.now() / 86400000 + 25569 - new Date().getTimezoneOffset() / 1440 - days;
+		conds.push(`IFNULL(Songs.LastTimePlayed, 0) > ${cutoff.toFixed(5)}`);
+	}
+	const cap = Math.floor(Number(maxPlayCount) || 0);
+	if (cap > 0) {
+		conds.push(`IFNULL(Songs.PlayCounter, 0) > ${cap}`);
+	}
+	return conds.length ? `(${conds.join(' OR ')})` : '';
+}
+
+/**
+ * Build a WHERE condition matching tracks related to a set of seeds by library metadata:
+ * any shared genre, album artist or composer, or one of the given song IDs.
+ * Genre and Author (composer) are multi-value fields, so they are matched with LIKE.
+ *
+ * @param {object} related - { genres: string[], albumArtists: string[], composers: string[], songIds: number[] }
+ * @returns {string} SQL condition, or '' when nothing can be matched
+ */
+function buildRelatedClause(related) {
+	if (!related) return '';
+	const escapeSql = (s) => String(s ?? '').replace(/'/g, "''");
+	const clean = (list) => (Array.isArray(list) ? list : []).map(v => String(v || '').trim()).filter(Boolean);
+	const conds = [];
+
+	clean(related.genres).forEach(g => conds.push(`Songs.Genre LIKE '%${escapeSql(g)}%'`));
+	const albumArtists = clean(related.albumArtists).map(a => `'${escapeSql(a.toUpperCase())}'`);
+	if (albumArtists.length > 0) conds.push(`UPPER(Songs.AlbumArtist) IN (${albumArtists.join(', ')})`);
+	clean(related.composers).forEach(c => conds.push(`Songs.Author LIKE '%${escapeSql(c)}%'`));
+	const songIds = (Array.isArray(related.songIds) ? related.songIds : []).map(Number).filter(id => Number.isInteger(id) && id > 0);
+	if (songIds.length > 0) conds.push(`Songs.ID IN (${songIds.join(', ')})`);
+
+	return conds.length ? `(${conds.join(' OR ')})` : '';
+}
+
+/**
+ * Run a two-column (key, count) query and return the rows.
+ * Used to find titles the SQL-side recently-played filter left without a match.
+ *
+ * @async
+ * @param {string} query - SQL returning (key, count) rows
+ * @returns {Promise<Array<[*, number]>>} Rows (empty on error)
+ */
+async function queryCounts(query) {
+	const out = [];
+	try {
+		if (typeof app.db.getQueryResultAsync !== 'function') return out;
+		_getLibraryLogger()?.debug('Library', `Count SQL: ${query.replace(/\s+/g, ' ').trim()}`);
+		const rows = await app.db.getQueryResultAsync(query);
+		while (rows && !rows.eof) {
+			out.push([rows.fields.getValue(0), Number(rows.fields.getValue(1)) || 0]);
+			rows.next();
+		}
+	} catch (e) {
+		_getLibraryLogger()?.warn('Library', 'queryCounts error: ' + e.toString());
+	}
+	return out;
+}
+
 /**
  * Find tracks in the library matching optional artist name and/or track titles.
  *
@@ -72,11 +283,21 @@ function matchesFormatPreference(track, formatPreference) {
  * @param {boolean} [options.best=false] - Only include highly-rated tracks
  * @param {number} [options.minRating=0] - Minimum rating threshold (0-100)
  * @param {boolean} [options.allowUnknown=true] - Include tracks with unknown (-1) rating
+ * @param {string} [options.collection=''] - Restrict to this MediaMonkey collection (blank = entire library)
+ * @param {Set<string>} [options.genreBlacklist] - Genres (lowercase) whose tracks are removed
+ * @param {number} [options.skipPlayedDays=0] - Skip tracks played in the last N days (0 = off)
+ * @param {number} [options.maxPlayCount=0] - Skip tracks played more than N times (0 = no cap)
+ * @param {object} [options.filterStats] - Optional counter object; `genre` is incremented per removed track,
+ *                                         `recent` per title findLibraryTracksBatch lost to the recently-played filter
+ * @param {string} [options.album=''] - Only tracks of this album (Songs.Album, case-insensitive), returned in disc/track order
+ * @param {boolean} [options.leastPlayed=false] - Return the least played tracks first (deep cuts)
+ * @param {object} [options.related] - Only tracks sharing a genre, album artist, composer or song ID with these
+ *                                     (see buildRelatedClause), returned in random order
  * @returns {Promise<object[]>} Array of matching track objects
  */
 async function findLibraryTracks(artistName, trackTitles, limit = 100, options = {}) {
 	try {
-		const { rank = true, formatPreference = 'Mixed (all formats)', minRating = 0, allowUnknown = true, collection = '' } = options;
+		const { rank = true, formatPreference = 'Mixed (all formats)', minRating = 0, allowUnknown = true, collection = '', genreBlacklist = null, skipPlayedDays = 0, maxPlayCount = 0, filterStats = null, album = '', leastPlayed = false, related = null } = options;
 
 		const logger = _getLibraryLogger();
 
@@ -139,6 +360,14 @@ async function findLibraryTracks(artistName, trackTitles, limit = 100, options =
 			return `(${conds.join(' OR ')})`;
 		})();
 
+		// Build album clause (album mode matches whole albums by name)
+		const albumName = String(album || '').trim();
+		const albumClause = albumName ? `UPPER(Songs.Album) = ${quote(albumName.toUpperCase())}` : '';
+
+		// Build related-metadata clause (local discovery); nothing to relate to means no results
+		const relatedClause = buildRelatedClause(related);
+		if (related && !relatedClause) return [];
+
 		// Build rating clause
 		const ratingClause = (() => {
 			if (ratingThreshold > 0) {
@@ -153,45 +382,49 @@ async function findLibraryTracks(artistName, trackTitles, limit = 100, options =
 			return '';
 		})();
 
+		// Restrict to the chosen collection's track set (blank or unknown collection = entire library)
+		const collectionClause = await buildCollectionClause(collection);
+
+		// Skip recently played / over-played tracks
+		const recentClause = buildRecentlyPlayedClause(skipPlayedDays, maxPlayCount);
+
 		// Build WHERE clause
 		// Note: Format filtering is applied post-query in JavaScript (Songs.FileType/FileExtension are not SQL columns)
 		const where = [];
 		if (artistClause) where.push(artistClause);
 		if (titleClause) where.push(titleClause);
+		if (albumClause) where.push(albumClause);
+		if (relatedClause) where.push(relatedClause);
 		if (ratingClause) where.push(ratingClause);
-
-		// Always order by bitrate descending for quality, then random for variety
-		const orderClause = 'ORDER BY Songs.Bitrate DESC, Random()';
-
-		// Collection filtering - disabled until MM5 schema is confirmed
-		// MediaMonkey 5 may not have CollectionsSongs/Collections tables
-		if (collection) {
-			logger?.warn('Library', 'findLibraryTracks: Collection filtering is not yet supported in MM5 - ignoring collection filter');
+		if (collectionClause) where.push(collectionClause);
+		const queryWhere = recentClause ? [...where, `NOT ${recentClause}`] : where;
+
+		// Albums play in disc/track order; deep cuts start with the least played tracks;
+		// related tracks are a random sample (they are scored afterwards);
+		// otherwise order by bitrate descending for quality, then random for variety
+		let orderClause = 'ORDER BY Songs.Bitrate DESC, Random()';
+		if (albumClause) {
+			orderClause = 'ORDER BY CAST(Songs.DiscNumber AS INTEGER), CAST(Songs.TrackNumber AS INTEGER), Songs.Bitrate DESC';
+		} else if (relatedClause) {
+			orderClause = 'ORDER BY Random()';
+		} else if (leastPlayed) {
+			orderClause = 'ORDER BY IFNULL(Songs.PlayCounter, 0) ASC, Songs.Bitrate DESC, Random()';
 		}
+		const maxRows = Math.max(1, Math.min(limit, 10000));
 
 		// Different query structure depending on whether we're filtering by artist
-		let query;
-		if (artistClause) {
-			// Query with artist join
-			query = `
-							SELECT Songs.*
-							FROM Songs
+		const fromClause = artistClause
+			? `FROM Songs
 							INNER JOIN ArtistsSongs ON Songs.ID = ArtistsSongs.IDSong AND ArtistsSongs.PersonType = 1
-							INNER JOIN Artists ON ArtistsSongs.IDArtist = Artists.ID
-							${where.length ? 'WHERE ' + where.join(' AND ') : ''}
-							${orderClause}
-							LIMIT ${Math.max(1, Math.min(limit, 10000))}
-						`;
-		} else {
-			// Query without artist join (search entire library)
-			query = `
+							INNER JOIN Artists ON ArtistsSongs.IDArtist = Artists.ID`
+			: 'FROM Songs';
+		const query = `
 					SELECT Songs.*
-					FROM Songs
-					${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+					${fromClause}
+					${queryWhere.length ? 'WHERE ' + queryWhere.join(' AND ') : ''}
 					${orderClause}
-					LIMIT ${Math.max(1, Math.min(limit, 10000))}
+					LIMIT ${maxRows}
 				`;
-		}
 
 		// Log SQL query in debug mode
 		logger?.debug('Library', `findLibraryTracks SQL: ${query.replace(/\s+/g, ' ').trim()}`);
@@ -226,6 +459,17 @@ async function findLibraryTracks(artistName, trackTitles, limit = 100, options =
 			}
 		}
 
+		// Apply genre blacklist post-query (Songs.Genre is a multi-value field)
+		if (genreBlacklist && genreBlacklist.size > 0) {
+			const beforeFilter = results.length;
+			results = results.filter(track => !hasBlacklistedGenre(track, genreBlacklist));
+			const removedCount = beforeFilter - results.length;
+			if (removedCount > 0) {
+				if (filterStats) filterStats.genre = (filterStats.genre || 0) + removedCount;
+				logger?.debug('Library', `findLibraryTracks: Genre blacklist removed ${removedCount} tracks (${results.length} remain)`);
+			}
+		}
+
 		if (results.length > 0) {
 			const searchDesc = artistName ? `"${artistName}"` : 'entire library';
 			const summary = results.slice(0, 3).map(r =>
@@ -254,7 +498,8 @@ async function findLibraryTracks(artistName, trackTitles, limit = 100, options =
  * @param {string[]} trackTitles - Array of track titles to find
  * @param {number} [limit=100] - Max tracks per title
  * @param {object} [options={}] - Query options (same as findLibraryTracks)
- * @returns {Promise<Map<string, object[]>>} Map of title -> matched tracks
+ * @returns {Promise<Map<string, object[]>>} Map of title -> matched tracks (titles fully removed by the genre blacklist
+ *                                           or the recently-played filter are omitted)
  */
 async function findLibraryTracksBatch(artistName, trackTitles, limit = 100, options = {}) {
 	const resultMap = new Map();
@@ -283,7 +528,7 @@ async function findLibraryTracksBatch(artistName, trackTitles, limit = 100, opti
 			return resultMap;
 		}
 
-		const { formatPreference = 'Mixed (all formats)', minRating = 0, allowUnknown = false, collection = '' } = options;
+		const { formatPreference = 'Mixed (all formats)', minRating = 0, allowUnknown = false, collection = '', genreBlacklist = null, skipPlayedDays = 0, maxPlayCount = 0, filterStats = null } = options;
 		const ratingThreshold = Number(minRating) || 0;
 
 		// SQL escaping helpers
@@ -365,24 +610,30 @@ async function findLibraryTracksBatch(artistName, trackTitles, limit = 100, opti
 			whereParts.push(`(Songs.Rating >= 0 AND Songs.Rating <= 100)`);
 		}
 
+		// Restrict to the chosen collection's track set (blank or unknown collection = entire library)
+		const collectionClause = await buildCollectionClause(collection);
+		if (collectionClause) whereParts.push(collectionClause);
+
+		// Skip recently played / over-played tracks (titles left without a match are looked up below)
+		const recentClause = buildRecentlyPlayedClause(skipPlayedDays, maxPlayCount);
+		const queryWhere = recentClause ? [...whereParts, `NOT ${recentClause}`] : whereParts;
+
 		// Note: Format filtering is applied post-query in JavaScript (Songs.FileType/FileExtension are not SQL columns)
 
 		// Always order by bitrate descending for quality, then random for variety
 		const orderClause = ' ORDER BY Songs.Bitrate DESC, Random()';
 
-		// Collection filtering - disabled until MM5 schema is confirmed
-		if (collection) {
-			logger?.warn('Library', 'findLibraryTracksBatch: Collection filtering is not yet supported in MM5 - ignoring collection filter');
-		}
+		const fromClause = `
+					  FROM Songs
+					INNER JOIN ArtistsSongs ON Songs.ID = ArtistsSongs.IDSong AND ArtistsSongs.PersonType = 1
+					INNER JOIN Artists ON ArtistsSongs.IDArtist = Artists.ID
+					INNER JOIN Wanted ON (UPPER(Songs.SongTitle) = Wanted.RawUpper OR ${songTitleNormExpr} = Wanted.Norm OR Songs.SongTitle = Wanted.Raw)`;
 
 		const query = `
 					WITH Wanted(Idx, Raw, RawUpper, Norm) AS (VALUES ${wantedValuesSql})
 					SELECT Songs.*, Wanted.Raw AS RequestedTitle
-					  FROM Songs
-					INNER JOIN ArtistsSongs ON Songs.ID = ArtistsSongs.IDSong AND ArtistsSongs.PersonType = 1
-					INNER JOIN Artists ON ArtistsSongs.IDArtist = Artists.ID
-					INNER JOIN Wanted ON (UPPER(Songs.SongTitle) = Wanted.RawUpper OR ${songTitleNormExpr} = Wanted.Norm OR Songs.SongTitle = Wanted.Raw)
-					WHERE ${whereParts.join(' AND ')}
+					${fromClause}
+					WHERE ${queryWhere.join(' AND ')}
 					${orderClause}
 					LIMIT ${Math.max(1, Math.min(limit * wanted.length, 10000))}
 				`;
@@ -449,6 +700,54 @@ async function findLibraryTracksBatch(artistName, trackTitles, limit = 100, opti
 			}
 		}
 
+		// Apply genre blacklist post-query. Titles whose every match was removed are dropped
+		// from the map so callers don't report them as "not in library".
+		if (genreBlacklist && genreBlacklist.size > 0) {
+			let removedCount = 0;
+
+			for (const [title, tracks] of Array.from(resultMap.entries())) {
+				if (tracks.length === 0) continue;
+				const kept = tracks.filter(track => !hasBlacklistedGenre(track, genreBlacklist));
+				removedCount += tracks.length - kept.length;
+				if (kept.length === 0) {
+					resultMap.delete(title);
+				} else {
+					resultMap.set(title, kept);
+				}
+			}
+
+			if (removedCount > 0) {
+				if (filterStats) filterStats.genre = (filterStats.genre || 0) + removedCount;
+				logger?.debug('Library', `findLibraryTracksBatch: Genre blacklist removed ${removedCount} tracks`);
+			}
+		}
+
+		// Titles left with no match may only have recently played copies. Those are dropped so
+		// callers don't report them as "not in library", and counted once per title in filterStats.
+		const unmatched = recentClause ? wanted.filter(r => resultMap.get(trackTitles[r.idx])?.length === 0) : [];
+		if (unmatched.length > 0) {
+			const unmatchedValuesSql = unmatched
+				.map(r => `(${r.idx}, '${escapeSql(r.raw)}', '${escapeSql(r.rawUpper)}', '${escapeSql(r.norm)}')`)
+				.join(',');
+			const rows = await queryCounts(`
+					WITH Wanted(Idx, Raw, RawUpper, Norm) AS (VALUES ${unmatchedValuesSql})
+					SELECT Wanted.Idx, COUNT(*)
+					${fromClause}
+					WHERE ${[...whereParts, recentClause].join(' AND ')}
+					GROUP BY Wanted.Idx
+				`);
+			let skippedCount = 0;
+			for (const [idx, count] of rows) {
+				if (count <= 0) continue;
+				resultMap.delete(trackTitles[Number(idx)]);
+				skippedCount++;
+			}
+			if (skippedCount > 0) {
+				if (filterStats) filterStats.recent = (filterStats.recent || 0) + skippedCount;
+				logger?.debug('Library', `findLibraryTracksBatch: ${skippedCount} title(s) only matched recently played tracks`);
+			}
+		}
+
 		// Log summary
 		let totalMatches = 0;
 		for (const arr of resultMap.values()) {
@@ -466,8 +765,43 @@ async function findLibraryTracksBatch(artistName, trackTitles, limit = 100, opti
 	return resultMap;
 }
 
+/**
+ * Count, for each other song, how many of the given songs' playlists it shares.
+ * Only static playlists count (PlaylistSongs); auto-playlists have no stored tracks.
+ *
+ * @async
+ * @function getPlaylistCoMembership
+ * @param {number[]} songIds - Song IDs (e.g. the seed tracks)
+ * @param {number} [limit=500] - Maximum number of songs returned, most shared first
+ * @returns {Promise<Map<number, number>>} Map of song ID -> number of shared playlists
+ */
+async function getPlaylistCoMembership(songIds, limit = 500) {
+	const result = new Map();
+	const ids = (Array.isArray(songIds) ? songIds : []).map(Number).filter(id => Number.isInteger(id) && id > 0);
+	if (ids.length === 0) return result;
+
+	const idList = ids.join(', ');
+	const rows = await queryCounts(`
+				SELECT Other.IDSong, COUNT(DISTINCT Other.IDPlaylist)
+				  FROM PlaylistSongs AS Seed
+				INNER JOIN PlaylistSongs AS Other ON Other.IDPlaylist = Seed.IDPlaylist
+				WHERE Seed.IDSong IN (${idList}) AND Other.IDSong NOT IN (${idList})
+				GROUP BY Other.IDSong
+				ORDER BY 2 DESC
+				LIMIT ${Math.max(1, Math.min(Number(limit) || 500, 10000))}
+			`);
+	for (const [id, count] of rows) {
+		if (Number(id) > 0 && count > 0) result.set(Number(id), count);
+	}
+
+	_getLibraryLogger()?.debug('Library', `getPlaylistCoMembership: ${result.size} song(s) share a playlist with ${ids.length} seed(s)`);
+	return result;
+}
+
 // Export to window namespace for MM5
 window.dbLibrary = {
 	findLibraryTracks,
 	findLibraryTracksBatch,
+	getPlaylistCoMembership,
+	getCollectionNames,
 };
@@ -270,6 +270,124 @@ function parseListSetting(raw) {
 	}
 }
 
+/**
+ * Parse the TitleExclusions setting into compiled matching rules.
+ *
+ * Rules are comma-separated and come in three forms:
+ * - Plain word:    Live              → matches "Live" as a whole word (not "Alive")
+ * - Quoted phrase: "Radio Edit"      → matches the phrase anywhere in the title
+ * - Regex:         /\bskit\b/i        → matches the regular expression (commas allowed inside)
+ *
+ * All plain words and phrases are case-insensitive. Invalid regexes are skipped.
+ *
+ * @param {*} raw Raw setting value (string or array).
+ * @returns {{label: string, test: Function}[]} Compiled rules.
+ */
+function parseTitleExclusions(raw) {
+	const rules = [];
+	const logger = window.matchMonkeyLogger;
+
+	// Split on top-level commas, keeping commas inside quotes or /regex/ bodies
+	const tokens = [];
+	const source = Array.isArray(raw) ? raw.join(',') : String(raw ?? '');
+	let current = '';
+	let inQuote = false;
+	let inRegex = false;
+
+	for (let i = 0; i < source.length; i++) {
+		const ch = source[i];
+
+		if (inRegex) {
+			current += ch;
+			if (ch === '\\' && i + 1 < source.length) {
+				current += source[++i];
+			} else if (ch === '/') {
+				inRegex = false;
+			}
+			continue;
+		}
+
+		if (ch === '"') {
+			inQuote = !inQuote;
+			current += ch;
+		} else if (ch === '/' && !inQuote && current.trim() === '') {
+			inRegex = true;
+			current += ch;
+		} else if (ch === ',' && !inQuote) {
+			tokens.push(current);
+			current = '';
+		} else {
+			current += ch;
+		}
+	}
+	tokens.push(current);
+
+	const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+	for (const token of tokens) {
+		const rule = token.trim();
+		if (!rule) continue;
+
+		try {
+			const regexMatch = rule.match(/^\/(.+)\/([a-z]*)$/);
+			if (regexMatch) {
+				// Drop the global/sticky flags so test() has no lastIndex state
+				const flags = regexMatch[2].replace(/[gy]/g, '');
+				const re = new RegExp(regexMatch[1], flags);
+				rules.push({ label: rule, test: (title) => re.test(title) });
+				continue;
+			}
+
+			if (rule.length >= 2 && rule.startsWith('"') && rule.endsWith('"')) {
+				const phrase = rule.slice(1, -1).trim().toLowerCase();
+				if (phrase) rules.push({ label: rule, test: (title) => title.toLowerCase().includes(phrase) });
+				continue;
+			}
+
+			// Plain word: match on letter/number boundaries so "Live" doesn't hit "Alive"
+			const re = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(rule)}($|[^\\p{L}\\p{N}])`, 'iu');
+			rules.push({ label: rule, test: (title) => re.test(title) });
+		} catch (e) {
+			logger?.warn('Helpers', `Ignoring invalid title exclusion ${rule}: ${e.message}`);
+		}
+	}
+
+	return rules;
+}
+
+/**
+ * Find the first title exclusion rule matching a track title.
+ * @param {string} title Track title.
+ * @param {{label: string, test: Function}[]} rules Rules from parseTitleExclusions().
+ * @returns {string|null} Label of the matching rule, or null when the title is allowed.
+ */
+function findTitleExclusion(title, rules) {
+	if (!title || !rules || rules.length === 0) return null;
+	const text = String(title);
+	for (const rule of rules) {
+		if (rule.test(text)) return rule.label;
+	}
+	return null;
+}
+
+/**
+ * Parse the SeedWeights setting ("Artist=weight" pairs, comma-separated).
+ * Entries without a positive numeric weight are skipped.
+ * @param {*} raw Raw setting value (string or array).
+ * @returns {Map<string, number>} Upper-cased seed name -> weight.
+ */
+function parseSeedWeights(raw) {
+	const weights = new Map();
+	for (const entry of parseListSetting(raw)) {
+		const eq = entry.lastIndexOf('=');
+		if (eq <= 0) continue;
+		const name = entry.slice(0, eq).trim().toUpperCase();
+		const weight = parseFloat(entry.slice(eq + 1));
+		if (name && Number.isFinite(weight) && weight > 0) weights.set(name, weight);
+	}
+	return weights;
+}
+
 /**
  * Sleep for a specified duration (async utility).
  * @param {number} ms Milliseconds to sleep.
@@ -314,6 +432,9 @@ window.matchMonkeyHelpers = {
 	shuffle,
 	shuffleWithDispersion,
 	parseListSetting,
+	parseTitleExclusions,
+	findTitleExclusion,
+	parseSeedWeights,
 	sleep,
 	escapeSql,
 	debounce,